@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+
+// Watch analytics. Players report what they actually played, as time ranges,
+// in heartbeats to a beacon endpoint; range requests for the file itself
+// count for nothing, since buffering, seeking and download managers make
+// them useless as a measure of watching.
+//
+// Each heartbeat belongs to a playback session (one page showing one video).
+// Sessions live in memory so repeated and overlapping ranges are only counted
+// once. A session can only claim as much playback as the wall clock allows
+// since its first heartbeat, which players send when playback starts, so a
+// view takes heartbeats spread over real time. The totals per video are kept
+// in a record store:
+//
+//   plays          sessions that played anything
+//   views          sessions that played at least viewThreshold() seconds
+//   uniqueViewers  how many different viewers those views came from
+//   viewers        hashed keys of the most recent MAX_VIEWERS of them; past
+//                  that, a viewer who comes back after many others counts again
+//   watchTime      seconds played, including re-watched parts
+//   retention      per second of the video, how many sessions played it
+
+// Players send a heartbeat this often (seconds)
+const HEARTBEAT_INTERVAL = 10;
+// Playback can't outrun the wall clock by more than this (2x playback speed)
+const MAX_PLAYBACK_RATE = 2;
+const MAX_RANGES = 100;
+// Retention curve length when the duration isn't known yet
+const MAX_RETENTION_SECONDS = 6 * 60 * 60;
+const SESSION_TTL = 30 * 60 * 1000;
+const MAX_VIEWERS = 1000;
+// How often sessions past SESSION_TTL are dropped
+const PRUNE_INTERVAL = 60 * 1000;
+
+// Seconds a session has to play before it counts as a view
+function viewThreshold(duration) {
+  return duration ? Math.min(5, duration / 2) : 5;
+}
+
+// Check a heartbeat body: { sessionId, ranges: [[start, end], ...], position }
+// with times in seconds; position, where the player is now, is optional.
+// Returns { beacon } or { error }.
+function parseBeacon(body) {
+  if (!body || typeof body.sessionId !== 'string' || !/^[A-Za-z0-9_-]{8,64}$/.test(body.sessionId)) {
+    return { error: 'sessionId must be 8 to 64 letters, digits, - or _' };
+  }
+  const ranges = body.ranges === undefined ? [] : body.ranges;
+  if (!Array.isArray(ranges) || ranges.length > MAX_RANGES) {
+    return { error: `ranges must be an array of at most ${MAX_RANGES} [start, end] pairs` };
+  }
+  const valid = ranges.every(range =>
+    Array.isArray(range) && range.length === 2 &&
+    range.every(time => typeof time === 'number' && Number.isFinite(time) && time >= 0) &&
+    range[0] <= range[1]
+  );
+  if (!valid) {
+    return { error: 'Each range must be [start, end] in seconds, with start <= end' };
+  }
+  const position = body.position === undefined ? null : body.position;
+  if (position !== null && !(typeof position === 'number' && Number.isFinite(position) && position >= 0)) {
+    return { error: 'position must be a number of seconds' };
+  }
+  return { beacon: { sessionId: body.sessionId, ranges, position } };
+}
+
+// Stable, anonymous key for the person behind a request: their account, or
+// their address and browser when signed out. Only the hash is stored.
+function viewerKey(secret, { userId, ip, userAgent }) {
+  const identity = userId ? `user:${userId}` : `anon:${ip}:${userAgent || ''}`;
+  return crypto.createHmac('sha256', secret).update(identity).digest('base64url').slice(0, 22);
+}
+
+// Counts requests per key (a client address) in fixed windows:
+// allow(key) is false once a key has made `limit` requests in the current
+// window of `windowMs` milliseconds.
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+  let nextPrune = 0;
+  
+  function allow(key) {
+    const now = Date.now();
+    if (now >= nextPrune) {
+      for (const [windowKey, window] of windows) {
+        if (now >= window.resetAt) windows.delete(windowKey);
+      }
+      nextPrune = now + windowMs;
+    }
+    let window = windows.get(key);
+    if (!window || now >= window.resetAt) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+    return window.count <= limit;
+  }
+  
+  return { allow };
+}
+
+function createWatchAnalytics({ store }) {
+  const sessions = new Map();
+  let nextPrune = 0;
+  
+  function pruneSessions(now) {
+    if (now < nextPrune) return;
+    nextPrune = now + PRUNE_INTERVAL;
+    for (const [key, session] of sessions) {
+      if (now - session.lastSeen > SESSION_TTL) sessions.delete(key);
+    }
+  }
+  
+  // Add a heartbeat to the totals of a video. `duration` may be null for a
+  // video that hasn't been probed yet.
+  function record(videoId, duration, { sessionId, ranges }, viewer) {
+    const now = Date.now();
+    pruneSessions(now);
+    
+    const key = `${videoId}:${sessionId}`;
+    let session = sessions.get(key);
+    if (!session) {
+      // Nothing can have been played yet. A session that was already
+      // playing when the server restarted only counts from here on.
+      session = { seconds: new Set(), played: 0, counted: false, startedAt: now, lastSeen: now };
+    }
+    
+    // Clip the ranges to the video and to what could have been played since
+    // the session started, so a client can't claim more than it watched
+    const end = duration || MAX_RETENTION_SECONDS;
+    let allowance = ((now - session.startedAt) / 1000) * MAX_PLAYBACK_RATE + 1 - session.played;
+    const played = [];
+    for (const [rangeStart, rangeEnd] of ranges) {
+      const start = Math.min(rangeStart, end);
+      const clipped = Math.min(rangeEnd, end, start + allowance);
+      if (clipped > start) {
+        played.push([start, clipped]);
+        allowance -= clipped - start;
+      }
+    }
+    session.lastSeen = now;
+    sessions.set(key, session);
+    if (played.length === 0) return;
+    
+    const isFirstPlay = session.played === 0;
+    const stats = store.get(videoId) || { id: videoId, plays: 0, views: 0, viewers: [], watchTime: 0, retention: [] };
+    const retention = [...stats.retention];
+    let watchTime = stats.watchTime;
+    played.forEach(([start, stop]) => {
+      watchTime += stop - start;
+      session.played += stop - start;
+      for (let second = Math.floor(start); second < Math.ceil(stop); second++) {
+        if (session.seconds.has(second)) continue;
+        session.seconds.add(second);
+        while (retention.length <= second) retention.push(0);
+        retention[second]++;
+      }
+    });
+    
+    const changes = {
+      plays: stats.plays + (isFirstPlay ? 1 : 0),
+      watchTime,
+      retention,
+      updatedAt: new Date().toISOString()
+    };
+    if (!session.counted && session.played >= viewThreshold(duration)) {
+      session.counted = true;
+      changes.views = stats.views + 1;
+      // Totals from before uniqueViewers was kept counted the whole list
+      const uniqueViewers = stats.uniqueViewers === undefined ? stats.viewers.length : stats.uniqueViewers;
+      changes.uniqueViewers = uniqueViewers + (stats.viewers.includes(viewer) ? 0 : 1);
+      changes.viewers = [...stats.viewers.filter(other => other !== viewer), viewer].slice(-MAX_VIEWERS);
+    }
+    store.put({ ...stats, ...changes });
+  }
+  
+  // Totals of a video for the stats API. Retention is the share of plays
+  // that reached each second of the video.
+  function summarize(videoId, duration) {
+    const stats = store.get(videoId) || { plays: 0, views: 0, viewers: [], watchTime: 0, retention: [], updatedAt: null };
+    const length = duration ? Math.ceil(duration) : stats.retention.length;
+    const retention = [];
+    for (let second = 0; second < length; second++) {
+      const count = stats.retention[second] || 0;
+      retention.push(stats.plays > 0 ? Math.round((count / stats.plays) * 1000) / 1000 : 0);
+    }
+    return {
+      plays: stats.plays,
+      views: stats.views,
+      uniqueViewers: stats.uniqueViewers === undefined ? stats.viewers.length : stats.uniqueViewers,
+      watchTime: Math.round(stats.watchTime),
+      averageWatchTime: stats.plays > 0 ? Math.round((stats.watchTime / stats.plays) * 10) / 10 : 0,
+      retention,
+      updated: stats.updatedAt
+    };
+  }
+  
+  function remove(videoId) {
+    store.remove(videoId);
+    for (const key of sessions.keys()) {
+      if (key.startsWith(`${videoId}:`)) sessions.delete(key);
+    }
+  }
+  
+  return { record, summarize, remove };
+}
+
+module.exports = {
+  HEARTBEAT_INTERVAL,
+  parseBeacon,
+  viewerKey,
+  createRateLimiter,
+  createWatchAnalytics
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// Password hashing with scrypt; the salt and parameters travel with the hash
+// so they can be raised later without invalidating existing accounts
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH, SCRYPT_PARAMS).toString('hex');
+  return { salt, hash, params: SCRYPT_PARAMS };
+}
+
+function verifyPassword(password, stored) {
+  const expected = Buffer.from(stored.hash, 'hex');
+  const actual = crypto.scryptSync(password, stored.salt, expected.length, stored.params || SCRYPT_PARAMS);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Session IDs and API tokens are random secrets; only their SHA-256 is stored,
+// so a leaked data folder can't be used to log in
+function generateSecret(prefix) {
+  return `${prefix}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  if (!header) return cookies;
+  
+  header.split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index === -1) return;
+    const name = pair.slice(0, index).trim();
+    const value = pair.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+}
+
+function isValidUsername(username) {
+  return typeof username === 'string' && /^[A-Za-z0-9_.-]{3,32}$/.test(username);
+}
+
+function isValidPassword(password) {
+  return typeof password === 'string' && password.length >= 8 && password.length <= 256;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  generateSecret,
+  hashSecret,
+  parseCookies,
+  isValidUsername,
+  isValidPassword
+};
@@ -0,0 +1,79 @@
+const { VISIBILITIES, normalizeTags } = require('./catalog');
+
+// Bulk operations: one request names some videos and one thing to do to all
+// of them, and the response reports on each video separately, so a video
+// that can't be changed doesn't stop the others.
+//
+//   POST /api/videos/bulk { ids: [...], operation, ...options }
+//
+//   delete       move to the trash
+//   tag          add and remove tags: { addTags, removeTags }
+//   playlist     add to one of your playlists: { playlistId }
+//   thumbnails   pick new poster candidates from the video
+//   visibility   { visibility }
+//   download     a download link for each video
+//
+// Each result is { id, ok: true, ...details } or
+// { id, ok: false, status, error } with the status a request for that
+// video alone would have had.
+
+const BULK_OPERATIONS = ['delete', 'tag', 'playlist', 'thumbnails', 'visibility', 'download'];
+// Operations that only need to see a video rather than own it
+const VIEW_OPERATIONS = ['playlist', 'download'];
+const MAX_BULK_ITEMS = 500;
+
+// Check a bulk request body. Returns { ids, operation, options } or { error }.
+function parseBulkRequest(body) {
+  const { ids, operation } = body || {};
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_BULK_ITEMS ||
+    ids.some(id => typeof id !== 'string' || id === '')) {
+    return { error: `ids must be a list of 1 to ${MAX_BULK_ITEMS} video IDs` };
+  }
+  if (!BULK_OPERATIONS.includes(operation)) {
+    return { error: `operation must be one of: ${BULK_OPERATIONS.join(', ')}` };
+  }
+  
+  const options = {};
+  if (operation === 'tag') {
+    options.addTags = body.addTags === undefined ? [] : normalizeTags(body.addTags);
+    options.removeTags = body.removeTags === undefined ? [] : normalizeTags(body.removeTags);
+    if (!options.addTags || !options.removeTags) {
+      return { error: 'addTags and removeTags must be lists of tags' };
+    }
+    if (options.addTags.length === 0 && options.removeTags.length === 0) {
+      return { error: 'Give tags to add (addTags) or remove (removeTags)' };
+    }
+  }
+  if (operation === 'playlist') {
+    if (typeof body.playlistId !== 'string' || body.playlistId === '') {
+      return { error: 'playlistId is required' };
+    }
+    options.playlistId = body.playlistId;
+  }
+  if (operation === 'visibility') {
+    if (!VISIBILITIES.includes(body.visibility)) {
+      return { error: `Visibility must be one of: ${VISIBILITIES.join(', ')}` };
+    }
+    options.visibility = body.visibility;
+  }
+  return { ids: [...new Set(ids)], operation, options };
+}
+
+// A video's tags after a tag operation; null when there would be too many
+function applyTagChanges(tags, { addTags, removeTags }) {
+  return normalizeTags([...tags, ...addTags].filter(tag => !removeTags.includes(tag)));
+}
+
+function summarizeBulk(operation, results) {
+  const succeeded = results.filter(result => result.ok).length;
+  return { operation, succeeded, failed: results.length - succeeded, results };
+}
+
+module.exports = {
+  BULK_OPERATIONS,
+  VIEW_OPERATIONS,
+  MAX_BULK_ITEMS,
+  parseBulkRequest,
+  applyTagChanges,
+  summarizeBulk
+};
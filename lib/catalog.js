@@ -0,0 +1,281 @@
+const path = require('path');
+const crypto = require('crypto');
+
+const MIME_TYPES = {
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.ogg': 'video/ogg',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo',
+  '.mkv': 'video/x-matroska',
+  '.flv': 'video/x-flv',
+  '.wmv': 'video/x-ms-wmv',
+  '.m4v': 'video/x-m4v',
+  '.3gp': 'video/3gpp'
+};
+
+const VIDEO_EXTENSIONS = Object.keys(MIME_TYPES);
+
+function isVideoFile(filename) {
+  return VIDEO_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+function getMimeType(filename) {
+  return MIME_TYPES[path.extname(filename).toLowerCase()] || 'video/mp4';
+}
+
+// public: listed and playable by anyone; unlisted: playable by anyone with the
+// link but left out of listings; private: owner, admins and signed URLs only
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+// New videos nobody chose a visibility for are not shared
+const DEFAULT_VISIBILITY = 'private';
+
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 50;
+
+// Clean up tags from a request: an array or a comma-separated string. Tags are
+// lower-cased with whitespace collapsed, and duplicates are dropped. Returns
+// null when the value can't be read as tags.
+function normalizeTags(value) {
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) return null;
+  
+  const tags = [...new Set(list.map(tag => tag.trim().replace(/\s+/g, ' ').toLowerCase()).filter(Boolean))];
+  if (tags.length > MAX_TAGS || tags.some(tag => tag.length > MAX_TAG_LENGTH)) return null;
+  return tags;
+}
+
+// Video IDs are random, URL-safe and never change once assigned
+const ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+
+function generateId(catalog) {
+  let id;
+  do {
+    id = crypto.randomBytes(8).toString('base64url').slice(0, 11);
+  } while (catalog.get(id));
+  return id;
+}
+
+function isOpaqueId(id) {
+  return ID_PATTERN.test(id);
+}
+
+// Remember that an old name-based URL should now point at a video ID
+function addRedirect(redirects, name, videoId) {
+  if (!name || name === videoId) return;
+  redirects.put({ id: name, videoId, createdAt: new Date().toISOString() });
+}
+
+// Pick a title that no other video uses yet: "name", "name_1", "name_2", ...
+function uniqueTitle(catalog, baseName, exceptId) {
+  const taken = title => !!catalog.find(record => record.title === title && record.id !== exceptId);
+  let title = baseName;
+  let counter = 1;
+  while (taken(title)) {
+    title = `${baseName}_${counter}`;
+    counter++;
+  }
+  return title;
+}
+
+// The visibility of a catalog record. Records from before videos had one
+// were shared with everyone and stay public.
+function recordVisibility(record) {
+  return record.visibility || 'public';
+}
+
+// Check the visibility asked for a new video; leaving it out (or empty) gives
+// DEFAULT_VISIBILITY. Returns { visibility } or { error }.
+function validateVisibility(value) {
+  if (value === undefined || value === null || value === '') {
+    return { visibility: DEFAULT_VISIBILITY };
+  }
+  if (!VISIBILITIES.includes(value)) {
+    return { error: `Visibility must be one of: ${VISIBILITIES.join(', ')}` };
+  }
+  return { visibility: value };
+}
+
+// Build a catalog record with every known field present, so consumers never
+// have to distinguish "unknown" from "absent".
+function createRecord(fields) {
+  const now = new Date().toISOString();
+  return {
+    id: fields.id,
+    title: fields.title || path.basename(fields.filename, path.extname(fields.filename)),
+    description: fields.description || '',
+    tags: fields.tags || [],
+    ownerId: fields.ownerId || null,
+    visibility: VISIBILITIES.includes(fields.visibility) ? fields.visibility : DEFAULT_VISIBILITY,
+    filename: fields.filename,
+    originalFilename: fields.originalFilename || fields.filename,
+    mimeType: fields.mimeType || getMimeType(fields.filename),
+    size: fields.size || 0,
+    duration: fields.duration || null,
+    width: fields.width || null,
+    height: fields.height || null,
+    thumbnail: fields.thumbnail || null,
+    thumbnails: fields.thumbnails || [],
+    posterId: fields.posterId || null,
+    storyboard: fields.storyboard || null,
+    hls: fields.hls || null,
+    transcode: fields.transcode || null,
+    subtitles: fields.subtitles || [],
+    media: fields.media || null,
+    // Segments of other videos this one was cut or joined from
+    sources: fields.sources || [],
+    playable: null,
+    problems: [],
+    uploadedAt: fields.uploadedAt || now,
+    modifiedAt: fields.modifiedAt || now,
+    missing: false
+  };
+}
+
+// Bring the catalog in line with what is actually in video storage: import
+// video files that were copied in by hand and flag records whose file is gone.
+// Records from before IDs were opaque are given a fresh ID, and their old
+// name-based ID is kept as a redirect so shared links keep working.
+// Imported files are private to `ownerId` (an admin), since nobody is known
+// to have published them. Returns the records that were newly imported so
+// the caller can process them.
+async function reconcileCatalog(catalog, redirects, videoStorage, thumbnailStorage, { ownerId = null } = {}) {
+  const files = (await videoStorage.list()).filter(file => !file.key.includes('/') && isVideoFile(file.key));
+  const onDisk = new Set(files.map(file => file.key));
+  const imported = [];
+  
+  catalog.all().forEach(record => {
+    if (isOpaqueId(record.id)) return;
+    const id = generateId(catalog);
+    catalog.remove(record.id);
+    catalog.put({ ...record, id });
+    addRedirect(redirects, record.id, id);
+    console.log(`Assigned id ${id} to legacy video ${record.id}`);
+  });
+  
+  catalog.all().forEach(record => {
+    const missing = !onDisk.has(record.filename);
+    if (record.missing !== missing) {
+      catalog.update(record.id, { missing });
+      if (missing) console.warn(`Video file missing for catalog entry ${record.id}: ${record.filename}`);
+    }
+  });
+  
+  for (const file of files) {
+    if (catalog.find(record => record.filename === file.key)) continue;
+    
+    const name = path.basename(file.key, path.extname(file.key));
+    const id = generateId(catalog);
+    const thumbnail = `${name}.jpg`;
+    const modifiedAt = new Date(file.mtimeMs).toISOString();
+    const record = catalog.put(createRecord({
+      id,
+      title: uniqueTitle(catalog, name),
+      ownerId,
+      visibility: 'private',
+      filename: file.key,
+      size: file.size,
+      thumbnail: await thumbnailStorage.stat(thumbnail) ? thumbnail : null,
+      uploadedAt: modifiedAt,
+      modifiedAt
+    }));
+    if (!redirects.get(name)) addRedirect(redirects, name, id);
+    imported.push(record);
+    console.log(`Imported ${file.key} into catalog`);
+  }
+  
+  return imported;
+}
+
+function serializeSubtitle(record, track) {
+  return {
+    id: track.id,
+    language: track.language,
+    label: track.label,
+    source: track.source,
+    url: `/subtitles/${record.id}/${track.id}`
+  };
+}
+
+// A poster candidate: a frame picked from the video or an uploaded image
+function serializeThumbnail(record, entry) {
+  return {
+    id: entry.id,
+    source: entry.source,
+    time: entry.time,
+    widths: entry.widths,
+    isPoster: record.posterId === entry.id,
+    url: `/thumbnail/${record.id}/${entry.id}`
+  };
+}
+
+// Shape a catalog record for the JSON API.
+function serializeVideo(record) {
+  const poster = (record.thumbnails || []).find(entry => entry.id === record.posterId);
+  return {
+    id: record.id,
+    filename: record.filename,
+    displayName: record.title,
+    title: record.title,
+    description: record.description,
+    tags: record.tags || [],
+    ownerId: record.ownerId || null,
+    visibility: recordVisibility(record),
+    originalFilename: record.originalFilename,
+    mimeType: record.mimeType,
+    size: record.size,
+    duration: record.duration,
+    width: record.width,
+    height: record.height,
+    container: record.media ? record.media.container : null,
+    videoCodec: record.media ? record.media.videoCodec : null,
+    audioCodec: record.media ? record.media.audioCodec : null,
+    frameRate: record.media ? record.media.frameRate : null,
+    bitrate: record.media ? record.media.bitrate : null,
+    audioChannels: record.media ? record.media.audioChannels : null,
+    rotation: record.media ? record.media.rotation : null,
+    playable: record.playable,
+    problems: record.problems || [],
+    created: record.uploadedAt,
+    modified: record.modifiedAt,
+    missing: record.missing,
+    hasThumbnail: !!record.thumbnail,
+    url: `/video/${record.id}`,
+    watchUrl: `/watch/${record.id}`,
+    embedUrl: `/embed/${record.id}`,
+    thumbnailUrl: record.thumbnail ? `/thumbnail/${record.id}` : null,
+    thumbnailWidths: poster ? poster.widths : [],
+    thumbnails: (record.thumbnails || []).map(entry => serializeThumbnail(record, entry)),
+    storyboardUrl: record.storyboard ? `/storyboard/${record.id}/thumbnails.vtt` : null,
+    playbackUrl: record.transcode ? `/video/${record.id}/transcoded` : `/video/${record.id}`,
+    hlsStatus: record.hls ? record.hls.status : null,
+    hlsUrl: record.hls && record.hls.status === 'ready' ? `/hls/${record.id}/master.m3u8` : null,
+    subtitles: (record.subtitles || []).map(track => serializeSubtitle(record, track)),
+    sources: (record.sources || []).map(source => ({
+      videoId: source.videoId,
+      start: source.start,
+      end: source.end,
+      watchUrl: `/watch/${source.videoId}`
+    }))
+  };
+}
+
+module.exports = {
+  VIDEO_EXTENSIONS,
+  VISIBILITIES,
+  DEFAULT_VISIBILITY,
+  recordVisibility,
+  validateVisibility,
+  isVideoFile,
+  isOpaqueId,
+  getMimeType,
+  normalizeTags,
+  generateId,
+  addRedirect,
+  uniqueTitle,
+  createRecord,
+  reconcileCatalog,
+  serializeSubtitle,
+  serializeThumbnail,
+  serializeVideo
+};
@@ -0,0 +1,138 @@
+const path = require('path');
+const { TRANSCODE_FORMATS } = require('./transcode');
+
+// New videos made from parts of existing ones. An edit is a list of segments,
+// { videoId, start, end } in seconds (end null for "to the end"), joined in
+// order: a single segment is a clip, several make a joined video.
+//
+// Segments are cut with stream copy when nothing has to be decoded: every cut
+// starts on a keyframe and the sources share their container, codecs and
+// frame size. Otherwise every segment is re-encoded with the same settings, so
+// the parts can still be joined without another encode.
+
+const MAX_SEGMENTS = 20;
+const EDIT_MODES = ['auto', 'copy', 'encode'];
+// A cut this close to a keyframe (seconds) counts as being on it
+const KEYFRAME_TOLERANCE = 0.05;
+const CONCAT_MOV_EXTENSIONS = ['.mp4', '.m4v', '.mov'];
+
+// Seconds from a number or "90", "1:30", "01:02:03.5"; null when invalid
+function parseTime(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{2}(?:\.\d+)?)$/.exec(text);
+  if (!match) return null;
+  return parseInt(match[1] || '0', 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+}
+
+// Check the segments of an edit request. Returns { segments } or { error }.
+function validateSegments(list) {
+  if (!Array.isArray(list) || list.length === 0 || list.length > MAX_SEGMENTS) {
+    return { error: `segments must be a list of 1 to ${MAX_SEGMENTS} { videoId, start, end } entries` };
+  }
+  const segments = [];
+  for (const [index, entry] of list.entries()) {
+    if (!entry || typeof entry.videoId !== 'string' || entry.videoId === '') {
+      return { error: `Segment ${index + 1} needs a videoId` };
+    }
+    const start = entry.start === undefined || entry.start === null ? 0 : parseTime(entry.start);
+    const end = entry.end === undefined || entry.end === null ? null : parseTime(entry.end);
+    if (start === null || start < 0 || (entry.end !== undefined && entry.end !== null && end === null)) {
+      return { error: `Segment ${index + 1}: times must be seconds or [hh:]mm:ss` };
+    }
+    if (end !== null && end <= start) {
+      return { error: `Segment ${index + 1}: end must be after start` };
+    }
+    segments.push({ videoId: entry.videoId, start, end });
+  }
+  return { segments };
+}
+
+// Whether the videos can be cut and joined without re-encoding
+function copyCompatible(records) {
+  const [first] = records;
+  if (!first.media) return false;
+  return records.every(record => record.media &&
+    path.extname(record.filename).toLowerCase() === path.extname(first.filename).toLowerCase() &&
+    record.media.videoCodec === first.media.videoCodec &&
+    record.media.audioCodec === first.media.audioCodec &&
+    record.width === first.width &&
+    record.height === first.height);
+}
+
+// How long a segment plays, or null when its end (the video's) isn't known
+function segmentDuration(segment, duration) {
+  const end = segment.end === null ? duration : Math.min(segment.end, duration || Infinity);
+  return end ? Math.max(0, end - segment.start) : null;
+}
+
+// ffmpeg arguments that cut one segment out of a video. Stream copy keeps the
+// source's streams as they are; encoding fits every segment to the same
+// `frame` ({ width, height, frameRate }) and gives it stereo audio, silent
+// when `audio` is 'silent', so the parts of a join all match.
+function segmentArgs(inputPath, outputPath, segment, { copy, frame, audio }) {
+  const length = segment.end === null ? [] : ['-t', String(segment.end - segment.start)];
+  const seek = segment.start > 0 ? ['-ss', String(segment.start)] : [];
+  
+  if (copy) {
+    return [
+      '-y', ...seek, '-i', inputPath, ...length,
+      '-map', '0:v:0', '-map', '0:a:0?', '-c', 'copy', '-avoid_negative_ts', 'make_zero',
+      outputPath
+    ];
+  }
+  
+  const { width, height, frameRate } = frame;
+  const filter = `scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${frameRate}`;
+  const silence = audio === 'silent'
+    ? ['-f', 'lavfi', '-i', 'anullsrc=channel_layout=stereo:sample_rate=48000']
+    : [];
+  const audioMap = { source: ['-map', '0:a:0'], silent: ['-map', '1:a:0', '-shortest'], none: ['-an'] }[audio];
+  return [
+    '-y', ...seek, '-i', inputPath, ...silence, ...length,
+    '-map', '0:v:0', ...audioMap, '-vf', filter,
+    ...TRANSCODE_FORMATS.mp4.args, '-ar', '48000',
+    outputPath
+  ];
+}
+
+// Frame every re-encoded segment is fitted to: the first video's size
+// (rounded to even numbers, as H.264 needs) and frame rate
+function editFrame(records) {
+  const [first] = records;
+  const even = value => Math.max(2, Math.round((value || 0) / 2) * 2);
+  return {
+    width: first.width ? even(first.width) : 1280,
+    height: first.height ? even(first.height) : 720,
+    frameRate: first.media && first.media.frameRate ? first.media.frameRate : 30
+  };
+}
+
+// List file for ffmpeg's concat demuxer
+function concatList(paths) {
+  return `ffconcat version 1.0\n${paths.map(file => `file '${file.replace(/'/g, "'\\''")}'`).join('\n')}\n`;
+}
+
+function concatArgs(listPath, outputPath) {
+  const faststart = CONCAT_MOV_EXTENSIONS.includes(path.extname(outputPath).toLowerCase())
+    ? ['-movflags', '+faststart']
+    : [];
+  return ['-y', '-f', 'concat', '-safe', '0', '-i', listPath, '-map', '0', '-c', 'copy', ...faststart, outputPath];
+}
+
+module.exports = {
+  MAX_SEGMENTS,
+  EDIT_MODES,
+  KEYFRAME_TOLERANCE,
+  parseTime,
+  validateSegments,
+  copyCompatible,
+  segmentDuration,
+  segmentArgs,
+  editFrame,
+  concatList,
+  concatArgs
+};
@@ -0,0 +1,83 @@
+// Sharing videos outside the app: the embeddable player, oEmbed responses
+// (https://oembed.com) and the link previews on watch pages.
+
+const DEFAULT_EMBED_WIDTH = 640;
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function isEnabled(value) {
+  return value === '1' || value === 'true';
+}
+
+// Start time as seconds ("90"), minutes and seconds ("1:30") or YouTube
+// style ("1m30s"); null when absent or unreadable
+function parseStartTime(value) {
+  if (typeof value !== 'string' || value === '') return null;
+  let seconds = null;
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    seconds = parseFloat(value);
+  } else if (/^\d+(:\d{1,2}){1,2}$/.test(value)) {
+    seconds = value.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+  } else {
+    const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(value);
+    if (match && match[0] !== '') {
+      seconds = (parseInt(match[1] || 0, 10) * 60 + parseInt(match[2] || 0, 10)) * 60 + parseInt(match[3] || 0, 10);
+    }
+  }
+  return seconds;
+}
+
+// Player options from the embed URL: ?autoplay=1&muted=1&loop=1&start=1m30s.
+// Browsers only autoplay muted video, so autoplay implies muted.
+function parseEmbedOptions(query) {
+  const autoplay = isEnabled(query.autoplay);
+  return {
+    autoplay,
+    muted: autoplay || isEnabled(query.muted),
+    loop: isEnabled(query.loop),
+    start: parseStartTime(query.start)
+  };
+}
+
+// Size of the embed iframe: the video's aspect ratio (16:9 when unknown) at
+// the default width, shrunk to fit the consumer's maxwidth and maxheight
+function fitEmbedSize(videoWidth, videoHeight, maxWidth, maxHeight) {
+  const ratio = videoWidth && videoHeight ? videoHeight / videoWidth : 9 / 16;
+  let width = DEFAULT_EMBED_WIDTH;
+  if (maxWidth > 0) width = Math.min(width, maxWidth);
+  if (maxHeight > 0 && width * ratio > maxHeight) width = maxHeight / ratio;
+  return { width: Math.round(width), height: Math.round(width * ratio) };
+}
+
+// The video ID in a URL of ours (/watch/:id, /embed/:id or /video/:id), or
+// null for anything else, including URLs on other hosts
+function videoIdFromUrl(value, host) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return null;
+  }
+  if (url.host !== host) return null;
+  const match = /^\/(?:watch|embed|video)\/([^/]+)\/?$/.exec(url.pathname);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+function embedIframe(src, width, height, title) {
+  return `<iframe src="${escapeHtml(src)}" width="${width}" height="${height}" title="${escapeHtml(title)}" frameborder="0" allow="autoplay; fullscreen; picture-in-picture" allowfullscreen></iframe>`;
+}
+
+module.exports = {
+  escapeHtml,
+  parseEmbedOptions,
+  fitEmbedSize,
+  videoIdFromUrl,
+  embedIframe
+};
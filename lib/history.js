@@ -0,0 +1,53 @@
+// Per-user watch history: where each signed-in viewer stopped in each video
+// and whether they have watched it. Entries are keyed "<userId>:<videoId>"
+// and updated from the players' heartbeats.
+
+// Positions this close to the start aren't worth offering to resume
+const MIN_RESUME_POSITION = 5;
+
+function historyId(userId, videoId) {
+  return `${userId}:${videoId}`;
+}
+
+// Changes to a history entry (null for a new one) for a new position. A video
+// counts as watched once playback passes `threshold`, a fraction of its
+// duration; it stays watched when started again.
+function progressChanges(entry, position, duration, threshold) {
+  const now = new Date().toISOString();
+  const changes = {
+    position: duration ? Math.min(position, duration) : position,
+    duration: duration || null,
+    updatedAt: now
+  };
+  if (duration && position >= duration * threshold && !(entry && entry.watched)) {
+    changes.watched = true;
+    changes.watchedAt = now;
+  }
+  return changes;
+}
+
+// Where to offer to pick up playback, or null to start from the beginning
+function resumePosition(entry, threshold) {
+  if (!entry || entry.position < MIN_RESUME_POSITION) return null;
+  if (entry.duration && entry.position >= entry.duration * threshold) return null;
+  return entry.position;
+}
+
+function serializeProgress(entry, threshold) {
+  if (!entry) return null;
+  return {
+    position: Math.round(entry.position * 10) / 10,
+    duration: entry.duration,
+    resumeFrom: resumePosition(entry, threshold),
+    watched: !!entry.watched,
+    watchedAt: entry.watchedAt || null,
+    updated: entry.updatedAt
+  };
+}
+
+module.exports = {
+  historyId,
+  progressChanges,
+  resumePosition,
+  serializeProgress
+};
@@ -0,0 +1,77 @@
+const path = require('path');
+
+// Renditions produced for adaptive streaming, highest first
+const HLS_LADDER = [
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 128 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 96 },
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 }
+];
+
+const SEGMENT_SECONDS = 6;
+
+// Renditions that make sense for a source of the given size: never upscale,
+// but always produce at least the smallest one
+function selectRenditions(width, height) {
+  const sourceHeight = height || 720;
+  const aspect = width && height ? width / height : 16 / 9;
+  const renditions = HLS_LADDER.filter(rendition => rendition.height <= sourceHeight);
+  const chosen = renditions.length > 0 ? renditions : [HLS_LADDER[HLS_LADDER.length - 1]];
+  
+  return chosen.map(rendition => ({
+    ...rendition,
+    width: Math.round((rendition.height * aspect) / 2) * 2
+  }));
+}
+
+// ffmpeg arguments that encode one rendition into an HLS playlist + segments
+function renditionArgs(inputPath, outputDir, rendition) {
+  return [
+    '-y', '-i', inputPath,
+    '-map', '0:v:0', '-map', '0:a:0?',
+    '-vf', `scale=-2:${rendition.height}`,
+    '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'main', '-pix_fmt', 'yuv420p',
+    '-b:v', `${rendition.videoBitrate}k`,
+    '-maxrate', `${Math.round(rendition.videoBitrate * 1.07)}k`,
+    '-bufsize', `${rendition.videoBitrate * 2}k`,
+    '-g', '48', '-keyint_min', '48', '-sc_threshold', '0',
+    '-c:a', 'aac', '-b:a', `${rendition.audioBitrate}k`, '-ac', '2',
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', path.join(outputDir, 'segment_%04d.ts'),
+    path.join(outputDir, 'index.m3u8')
+  ];
+}
+
+function buildMasterPlaylist(renditions) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  renditions.forEach(rendition => {
+    const bandwidth = (rendition.videoBitrate + rendition.audioBitrate) * 1000;
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`);
+    lines.push(`${rendition.name}/index.m3u8`);
+  });
+  return lines.join('\n') + '\n';
+}
+
+// Carry a query string (such as a URL signature) over to every URI a playlist
+// references, since players resolve them relative to the playlist URL without it
+function appendQueryToPlaylist(playlist, query) {
+  return playlist
+    .split('\n')
+    .map(line => line.trim() === '' || line.startsWith('#') ? line : `${line}?${query}`)
+    .join('\n');
+}
+
+// Only playlist and segment names we generate ourselves are ever served
+function isHlsFile(rendition, file) {
+  return /^\d+p$/.test(rendition) && /^(index\.m3u8|segment_\d{4}\.ts)$/.test(file);
+}
+
+module.exports = {
+  selectRenditions,
+  renditionArgs,
+  buildMasterPlaylist,
+  appendQueryToPlaylist,
+  isHlsFile
+};
@@ -0,0 +1,368 @@
+const fs = require('fs');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { pipeline, Transform } = require('stream');
+const { VIDEO_EXTENSIONS, isVideoFile, getMimeType } = require('./catalog');
+
+// Importing videos from a URL on the server. Direct links are downloaded as
+// they are; HLS streams are downloaded playlist by playlist and segment by
+// segment, then remuxed into one MP4 by ffmpeg from the local copies.
+//
+// Hosts are checked against IMPORT_ALLOWED_HOSTS when it is set ("example.com"
+// or "*.example.com" for any subdomain). Without it any host may be used
+// except ones resolving to loopback, private, link-local or other reserved
+// addresses (PRIVATE_ADDRESSES), so an import can't be pointed at services
+// inside the server's network.
+
+const HLS_CONTENT_TYPES = ['application/vnd.apple.mpegurl', 'application/x-mpegurl', 'audio/mpegurl', 'audio/x-mpegurl'];
+// Served for any file by many hosts; trusted only with a video file extension
+const GENERIC_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream', 'application/x-download'];
+
+function parseHostList(value) {
+  return String(value || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function isHostAllowed(hostname, allowedHosts) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  return allowedHosts.some(pattern => pattern.startsWith('*.')
+    ? host.endsWith(pattern.slice(1))
+    : host === pattern);
+}
+
+// Addresses an import may not connect to: unspecified, loopback, private,
+// carrier-grade NAT, link-local, benchmarking, multicast and reserved ones,
+// and NAT64 (which can reach any of those). A BlockList also matches
+// IPv4-mapped IPv6 addresses such as ::ffff:7f00:1 against the IPv4 ranges.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// Whether an IP address (brackets allowed) is one of PRIVATE_ADDRESSES
+function isPrivateAddress(address) {
+  const ip = address.replace(/^\[|\]$/g, '');
+  const family = net.isIP(ip);
+  if (family === 0) return false;
+  return PRIVATE_ADDRESSES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Check a URL given for import. Returns { url } or { error }.
+function validateImportUrl(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return { error: 'url is required' };
+  }
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch (error) {
+    return { error: 'url must be an absolute http(s) URL' };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { error: 'url must be an absolute http(s) URL' };
+  }
+  if (url.username || url.password) {
+    return { error: 'url must not contain credentials' };
+  }
+  return { url };
+}
+
+// The file name a server suggests in Content-Disposition, if any
+function dispositionFilename(header) {
+  const match = /filename\*=UTF-8''([^;]+)|filename="?([^";]+)"?/i.exec(header || '');
+  if (!match) return '';
+  try {
+    return match[1] ? decodeURIComponent(match[1]) : match[2];
+  } catch (error) {
+    return '';
+  }
+}
+
+// What a response holds, judged by its Content-Type and the extension of the
+// file name it suggests or the URL: 'hls', 'file' or null when it isn't a video
+function importKind(url, { contentType, contentDisposition }) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  const name = (dispositionFilename(contentDisposition) || new URL(url).pathname).toLowerCase();
+  if (HLS_CONTENT_TYPES.includes(type) || (name.endsWith('.m3u8') && (type === '' || type === 'text/plain'))) {
+    return 'hls';
+  }
+  if (type.startsWith('video/')) return 'file';
+  if ((type === '' || GENERIC_CONTENT_TYPES.includes(type)) && isVideoFile(name)) return 'file';
+  return null;
+}
+
+// A media playlist without #EXT-X-ENDLIST is a live stream, which would never
+// finish downloading. Master playlists only list variants and can't tell.
+function isLivePlaylist(manifest) {
+  return manifest.includes('#EXTINF') && !manifest.includes('#EXT-X-ENDLIST');
+}
+
+// Attributes of an HLS tag, e.g. #EXT-X-STREAM-INF:BANDWIDTH=800000,AUDIO="aac"
+function parseTagAttributes(line) {
+  const attributes = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  const list = line.slice(line.indexOf(':') + 1);
+  let match;
+  while ((match = pattern.exec(list))) {
+    attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+  return attributes;
+}
+
+// A URI from a playlist as an absolute URL. Only http(s) is accepted, since
+// anything else couldn't be fetched with the same checks as the manifest.
+function playlistUrl(uri, baseUrl) {
+  let href;
+  try {
+    href = new URL(uri, baseUrl).href;
+  } catch (error) {
+    throw new Error(`The playlist refers to an invalid URI: ${uri}`);
+  }
+  const { url, error } = validateImportUrl(href);
+  if (error) {
+    throw new Error(`The playlist refers to an unusable URI (${uri}): ${error}`);
+  }
+  return url.href;
+}
+
+// The media playlists to import from a master playlist: the variant with the
+// highest bandwidth and, when its audio is a separate rendition, the default
+// rendition of its audio group. Returns null for a media playlist.
+function pickVariant(manifest, baseUrl) {
+  const lines = manifest.split(/\r?\n/).map(line => line.trim());
+  const variants = [];
+  const audio = [];
+  lines.forEach((line, index) => {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const uri = lines.slice(index + 1).find(next => next && !next.startsWith('#'));
+      if (uri) variants.push({ attributes: parseTagAttributes(line), uri });
+    } else if (line.startsWith('#EXT-X-MEDIA:')) {
+      const attributes = parseTagAttributes(line);
+      if (attributes.TYPE === 'AUDIO' && attributes.URI) audio.push(attributes);
+    }
+  });
+  if (variants.length === 0) return null;
+  
+  const best = variants.reduce((a, b) => (Number(b.attributes.BANDWIDTH) || 0) > (Number(a.attributes.BANDWIDTH) || 0) ? b : a);
+  const group = audio.filter(rendition => rendition['GROUP-ID'] === best.attributes.AUDIO);
+  const rendition = group.find(entry => entry.DEFAULT === 'YES') || group[0];
+  return {
+    url: playlistUrl(best.uri, baseUrl),
+    audioUrl: rendition ? playlistUrl(rendition.URI, baseUrl) : null
+  };
+}
+
+// Rewrite a media playlist to refer to local copies of the files it lists:
+// segments, and the keys and init sections named in URI attributes. Returns
+// the new playlist and the files to fetch, as [{ url, name }]; the names
+// start with `prefix` and a file listed more than once (byte ranges) is
+// fetched once.
+function localizePlaylist(manifest, baseUrl, prefix = '') {
+  const files = new Map();
+  const localName = (uri, defaultExtension) => {
+    const url = playlistUrl(uri, baseUrl);
+    if (!files.has(url)) {
+      const extension = (/\.[a-z0-9]{1,5}$/i.exec(new URL(url).pathname) || [defaultExtension])[0].toLowerCase();
+      files.set(url, `${prefix}${files.size}${extension}`);
+    }
+    return files.get(url);
+  };
+  
+  const text = manifest.split(/\r?\n/).map(raw => {
+    const line = raw.trim();
+    if (line.startsWith('#EXT-X-KEY:') || line.startsWith('#EXT-X-MAP:')) {
+      const extension = line.startsWith('#EXT-X-KEY:') ? '.key' : '.mp4';
+      return line.replace(/URI="([^"]*)"/, (match, uri) => `URI="${localName(uri, extension)}"`);
+    }
+    if (line && !line.startsWith('#')) return localName(line, '.ts');
+    return line;
+  }).join('\n');
+  
+  return { text, files: [...files].map(([url, name]) => ({ url, name })) };
+}
+
+// Name for the imported file: from Content-Disposition, else the last part of
+// the URL's path, with an extension matching what was downloaded
+function importFilename(url, { contentDisposition, contentType, kind }) {
+  let name = dispositionFilename(contentDisposition);
+  if (!name) {
+    try {
+      name = decodeURIComponent(path.posix.basename(new URL(url).pathname));
+    } catch (error) {
+      name = '';
+    }
+  }
+  name = path.basename(name.replace(/\\/g, '/')).trim() || 'imported-video';
+  
+  if (kind === 'hls') {
+    return `${path.basename(name, path.extname(name)) || 'imported-video'}.mp4`;
+  }
+  if (isVideoFile(name)) return name;
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return `${name}${VIDEO_EXTENSIONS.find(extension => getMimeType(`video${extension}`) === type) || '.mp4'}`;
+}
+
+// Fetching for imports. Every request is checked against the allowed hosts,
+// redirects included. Without an allow-list the address a name resolves to is
+// checked as the connection is made, which also covers redirects and names
+// that resolve to a different address by the time they are fetched.
+//
+// Options: allowedHosts, timeout (ms the remote server may stay silent),
+// maxRedirects, maxSize (bytes an HLS stream may download in all).
+function createImportClient({ allowedHosts = [], timeout, maxRedirects, maxSize }) {
+  function lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) return callback(error);
+      const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+      if (addresses.some(isPrivateAddress)) {
+        return callback(new Error(`${hostname} resolves to a private address`));
+      }
+      callback(null, address, family);
+    });
+  }
+  
+  function isAllowed(hostname) {
+    if (allowedHosts.length > 0) return isHostAllowed(hostname, allowedHosts);
+    // Host names are checked once resolved, by lookup; IP literals never
+    // get there, so they are checked here
+    return !isPrivateAddress(hostname);
+  }
+  
+  // GET a URL, following redirects. Resolves with the final URL and the
+  // response, which is always a 200.
+  function open(url, redirectsLeft = maxRedirects) {
+    return new Promise((resolve, reject) => {
+      if (!isAllowed(url.hostname)) {
+        return reject(new Error(`Importing from ${url.hostname} is not allowed`));
+      }
+      
+      const client = url.protocol === 'https:' ? https : http;
+      const request = client.get(url, {
+        headers: { 'User-Agent': 'video-server-import' },
+        lookup: allowedHosts.length > 0 ? undefined : lookup,
+        timeout
+      }, response => {
+        const location = response.headers.location;
+        if ([301, 302, 303, 307, 308].includes(response.statusCode) && location) {
+          response.resume();
+          if (redirectsLeft === 0) {
+            return reject(new Error('Too many redirects'));
+          }
+          const next = validateImportUrl(new URL(location, url).href);
+          if (next.error) {
+            return reject(new Error(`Redirected to an unusable URL: ${next.error}`));
+          }
+          return resolve(open(next.url, redirectsLeft - 1));
+        }
+        if (response.statusCode !== 200) {
+          response.resume();
+          return reject(new Error(`${url.hostname} answered with HTTP ${response.statusCode}`));
+        }
+        resolve({ url, response });
+      });
+      request.on('timeout', () => request.destroy(new Error('The remote server stopped responding')));
+      request.on('error', reject);
+    });
+  }
+  
+  // Manifests are small text files; anything bigger isn't one
+  function readManifest(response) {
+    return new Promise((resolve, reject) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        text += chunk;
+        if (text.length > 1024 * 1024) response.destroy(new Error('The HLS manifest is too large'));
+      });
+      response.on('end', () => resolve(text));
+      response.on('error', reject);
+    });
+  }
+  
+  // Save a response body to a file, taking its size from budget.left
+  function save(response, filePath, budget) {
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        budget.left -= chunk.length;
+        if (budget.left < 0) {
+          return callback(new Error(`The stream is larger than the import limit of ${maxSize} bytes`));
+        }
+        callback(null, chunk);
+      }
+    });
+    return new Promise((resolve, reject) => {
+      pipeline(response, counter, fs.createWriteStream(filePath), error => error ? reject(error) : resolve());
+    });
+  }
+  
+  // Download an HLS stream into `folder`: the media playlists to import (see
+  // pickVariant), rewritten by localizePlaylist, and the files they list.
+  // Resolves with the local playlists, video first, for ffmpeg to read.
+  async function fetchHls(url, manifest, folder, context) {
+    let playlists = [{ url, manifest }];
+    const variant = pickVariant(manifest, url.href);
+    if (variant) {
+      playlists = [];
+      for (const href of [variant.url, variant.audioUrl].filter(Boolean)) {
+        const opened = await open(new URL(href));
+        playlists.push({ url: opened.url, manifest: await readManifest(opened.response) });
+      }
+    }
+    
+    const inputs = [];
+    const files = [];
+    playlists.forEach((playlist, index) => {
+      if (isLivePlaylist(playlist.manifest)) {
+        throw new Error('Live streams cannot be imported');
+      }
+      if (pickVariant(playlist.manifest, playlist.url.href)) {
+        throw new Error('The variant playlist is itself a master playlist');
+      }
+      const { text, files: listed } = localizePlaylist(playlist.manifest, playlist.url.href, `${index}-`);
+      inputs.push(path.join(folder, `${index}.m3u8`));
+      fs.writeFileSync(inputs[index], text);
+      files.push(...listed);
+    });
+    if (files.length === 0) {
+      throw new Error('The playlist lists no segments');
+    }
+    // Refuse the whole stream up front rather than after part of it is fetched
+    const refused = files.map(file => new URL(file.url).hostname).find(hostname => !isAllowed(hostname));
+    if (refused) {
+      throw new Error(`Importing from ${refused} is not allowed`);
+    }
+    
+    const budget = { left: maxSize };
+    for (const [index, file] of files.entries()) {
+      const { response } = await open(new URL(file.url));
+      await save(response, path.join(folder, file.name), budget);
+      context.progress(((index + 1) / files.length) * 100);
+    }
+    context.log(`Downloaded ${files.length} files of the stream (${maxSize - budget.left} bytes)`);
+    return inputs;
+  }
+  
+  return { isAllowed, open, readManifest, fetchHls };
+}
+
+module.exports = {
+  parseHostList,
+  isHostAllowed,
+  isPrivateAddress,
+  validateImportUrl,
+  importKind,
+  isLivePlaylist,
+  pickVariant,
+  localizePlaylist,
+  importFilename,
+  createImportClient
+};
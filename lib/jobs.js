@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Persistent background job queue. Jobs live in a record store, so queued
+// work survives a restart; jobs that were running when the process died are
+// picked up again. Jobs for the same video run in the order they were queued.
+//
+// Handlers are async functions (job, context) keyed by job type. The context
+// offers log(line), progress(percent) and result(value), which keeps a value
+// on the job for whoever is waiting on it; throwing marks the attempt failed.
+// An error with `permanent` set fails the job without retrying it.
+function createJobQueue({ store, logFolder, concurrency, maxAttempts, retryDelay, handlers }) {
+  const running = new Set();
+  const lastProgressSave = new Map();
+  const drains = [];
+  let wakeTimer = null;
+  let sequence = store.all().reduce((max, job) => Math.max(max, job.sequence || 0), 0);
+  
+  fs.mkdirSync(logFolder, { recursive: true });
+  
+  store.filter(job => job.status === 'running').forEach(job => {
+    store.update(job.id, { status: 'queued', progress: 0 });
+  });
+  
+  function logPath(jobId) {
+    return path.join(logFolder, `${jobId}.log`);
+  }
+  
+  function appendLog(jobId, line) {
+    fs.appendFileSync(logPath(jobId), `[${new Date().toISOString()}] ${line}\n`);
+  }
+  
+  function enqueue(type, videoId, options = {}) {
+    if (!handlers[type]) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+    
+    sequence++;
+    const job = store.put({
+      id: crypto.randomBytes(8).toString('hex'),
+      sequence,
+      type,
+      videoId,
+      options,
+      status: 'queued',
+      progress: 0,
+      attempts: 0,
+      maxAttempts,
+      error: null,
+      runAfter: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    });
+    appendLog(job.id, `Queued ${type} job for video ${videoId}`);
+    schedule();
+    return job;
+  }
+  
+  // A queued job may run once its retry delay has passed and nothing queued
+  // before it for the same video is still waiting or running
+  function isRunnable(job, now) {
+    if (job.status !== 'queued') return false;
+    if (job.runAfter && new Date(job.runAfter).getTime() > now) return false;
+    return !store.find(other =>
+      other.videoId === job.videoId &&
+      other.sequence < job.sequence &&
+      (other.status === 'queued' || other.status === 'running')
+    );
+  }
+  
+  function schedule() {
+    setImmediate(pump);
+  }
+  
+  function pump() {
+    const now = Date.now();
+    const queued = store
+      .filter(job => job.status === 'queued')
+      .sort((a, b) => a.sequence - b.sequence);
+    
+    for (const job of queued) {
+      if (running.size >= concurrency) break;
+      if (isRunnable(job, now)) run(job);
+    }
+    
+    // Wake up again for the next delayed retry
+    clearTimeout(wakeTimer);
+    const delays = queued
+      .filter(job => job.runAfter)
+      .map(job => new Date(job.runAfter).getTime() - now)
+      .filter(delay => delay > 0);
+    if (delays.length > 0) {
+      wakeTimer = setTimeout(pump, Math.min(...delays));
+      wakeTimer.unref();
+    }
+  }
+  
+  async function run(job) {
+    running.add(job.id);
+    const attempt = job.attempts + 1;
+    store.update(job.id, {
+      status: 'running',
+      attempts: attempt,
+      progress: 0,
+      startedAt: new Date().toISOString()
+    });
+    appendLog(job.id, `Attempt ${attempt} of ${job.maxAttempts} started`);
+    
+    const context = {
+      log: line => appendLog(job.id, line),
+      progress: percent => {
+        // Persist progress at most once a second to keep store writes cheap
+        const now = Date.now();
+        if (now - (lastProgressSave.get(job.id) || 0) < 1000) return;
+        lastProgressSave.set(job.id, now);
+        store.update(job.id, { progress: Math.min(100, Math.round(percent)) });
+      },
+      result: value => {
+        store.update(job.id, { result: value });
+      }
+    };
+    
+    try {
+      await handlers[job.type](store.get(job.id), context);
+      store.update(job.id, {
+        status: 'completed',
+        progress: 100,
+        error: null,
+        finishedAt: new Date().toISOString()
+      });
+      appendLog(job.id, 'Completed');
+    } catch (error) {
+      appendLog(job.id, `Failed: ${error.message}`);
+      if (attempt < job.maxAttempts && !error.permanent) {
+        const delay = retryDelay * Math.pow(2, attempt - 1);
+        store.update(job.id, {
+          status: 'queued',
+          error: error.message,
+          runAfter: new Date(Date.now() + delay).toISOString()
+        });
+        appendLog(job.id, `Retrying in ${Math.round(delay / 1000)}s`);
+      } else {
+        store.update(job.id, {
+          status: 'failed',
+          error: error.message,
+          finishedAt: new Date().toISOString()
+        });
+        console.error(`Job ${job.id} (${job.type} for ${job.videoId}) failed:`, error.message);
+      }
+    } finally {
+      running.delete(job.id);
+      lastProgressSave.delete(job.id);
+      settleDrains();
+      schedule();
+    }
+  }
+  
+  // Drop queued work for a video that no longer exists
+  function cancelForVideo(videoId) {
+    store.filter(job => job.videoId === videoId && job.status === 'queued').forEach(job => {
+      store.update(job.id, { status: 'cancelled', finishedAt: new Date().toISOString() });
+      appendLog(job.id, 'Cancelled');
+    });
+  }
+  
+  function isBusy(videoId) {
+    return [...running].some(id => store.get(id).videoId === videoId);
+  }
+  
+  // Cancel a video's queued jobs and wait for its running ones to finish, so
+  // nothing writes the video's files any more once the promise resolves
+  function drainVideo(videoId) {
+    cancelForVideo(videoId);
+    return new Promise(resolve => {
+      drains.push({ videoId, resolve });
+      settleDrains();
+    });
+  }
+  
+  function settleDrains() {
+    for (const drain of [...drains]) {
+      if (isBusy(drain.videoId)) continue;
+      drains.splice(drains.indexOf(drain), 1);
+      // A failed attempt may have been queued again for a retry meanwhile
+      cancelForVideo(drain.videoId);
+      drain.resolve();
+    }
+  }
+  
+  // Forget finished jobs older than maxAge, along with their logs
+  function prune(maxAge) {
+    const cutoff = Date.now() - maxAge;
+    store
+      .filter(job => job.finishedAt && new Date(job.finishedAt).getTime() < cutoff)
+      .forEach(job => {
+        store.remove(job.id);
+        fs.rmSync(logPath(job.id), { force: true });
+      });
+  }
+  
+  function readLog(jobId) {
+    return fs.existsSync(logPath(jobId)) ? fs.readFileSync(logPath(jobId), 'utf8') : '';
+  }
+  
+  return {
+    enqueue,
+    cancelForVideo,
+    drainVideo,
+    prune,
+    readLog,
+    start: schedule,
+    get: id => store.get(id),
+    list: predicate => store
+      .filter(predicate || (() => true))
+      .sort((a, b) => b.sequence - a.sequence)
+  };
+}
+
+module.exports = { createJobQueue };
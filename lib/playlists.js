@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { VISIBILITIES } = require('./catalog');
+
+// Playlists are ordered lists of video IDs with a title and a description.
+// Like videos they belong to a user and are public, unlisted or private; the
+// videos in them keep their own visibility, so a viewer only ever sees the
+// entries they could open anyway.
+
+const MAX_PLAYLIST_VIDEOS = 1000;
+
+function generatePlaylistId(playlists) {
+  let id;
+  do {
+    id = crypto.randomBytes(8).toString('base64url').slice(0, 11);
+  } while (playlists.get(id));
+  return id;
+}
+
+// Check the editable fields of a playlist. `fields` is a request body; with
+// `partial`, absent fields are left out instead of defaulted. Video IDs are
+// checked by the caller, who knows which videos the user may add.
+// Returns { changes } or { error }.
+function validatePlaylistFields(fields, { partial = false } = {}) {
+  const changes = {};
+  
+  if (fields.title !== undefined || !partial) {
+    if (typeof fields.title !== 'string' || fields.title.trim() === '') {
+      return { error: 'Title cannot be empty' };
+    }
+    changes.title = fields.title.trim().slice(0, 200);
+  }
+  if (fields.description !== undefined || !partial) {
+    if (fields.description !== undefined && typeof fields.description !== 'string') {
+      return { error: 'Description must be text' };
+    }
+    changes.description = (fields.description || '').slice(0, 5000);
+  }
+  if (fields.visibility !== undefined || !partial) {
+    const visibility = fields.visibility === undefined ? 'public' : fields.visibility;
+    if (!VISIBILITIES.includes(visibility)) {
+      return { error: `Visibility must be one of: ${VISIBILITIES.join(', ')}` };
+    }
+    changes.visibility = visibility;
+  }
+  if (fields.videoIds !== undefined || !partial) {
+    const videoIds = fields.videoIds === undefined ? [] : fields.videoIds;
+    if (!Array.isArray(videoIds) || videoIds.some(id => typeof id !== 'string')) {
+      return { error: 'videoIds must be an array of video IDs' };
+    }
+    if (videoIds.length > MAX_PLAYLIST_VIDEOS) {
+      return { error: `A playlist can hold at most ${MAX_PLAYLIST_VIDEOS} videos` };
+    }
+    changes.videoIds = videoIds;
+  }
+  
+  return { changes };
+}
+
+// Take a deleted video out of every playlist that holds it
+function removeVideoFromPlaylists(playlists, videoId) {
+  playlists.filter(playlist => playlist.videoIds.includes(videoId)).forEach(playlist => {
+    playlists.update(playlist.id, {
+      videoIds: playlist.videoIds.filter(id => id !== videoId),
+      updatedAt: new Date().toISOString()
+    });
+  });
+}
+
+// Shape a playlist for the JSON API. `videos` are the entries the viewer may
+// see, already serialized and in playlist order.
+function serializePlaylist(playlist, videos) {
+  return {
+    id: playlist.id,
+    title: playlist.title,
+    description: playlist.description,
+    ownerId: playlist.ownerId,
+    visibility: playlist.visibility,
+    videoCount: videos.length,
+    videos,
+    url: `/playlist/${playlist.id}`,
+    created: playlist.createdAt,
+    updated: playlist.updatedAt
+  };
+}
+
+module.exports = {
+  MAX_PLAYLIST_VIDEOS,
+  generatePlaylistId,
+  validatePlaylistFields,
+  removeVideoFromPlaylists,
+  serializePlaylist
+};
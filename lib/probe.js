@@ -0,0 +1,69 @@
+// Turn ffprobe's JSON output (-show_format -show_streams) into the media
+// details we store for each video
+
+function parseFrameRate(value) {
+  if (!value || value === '0/0') return null;
+  const [numerator, denominator] = value.split('/').map(Number);
+  if (!denominator) return numerator || null;
+  return Math.round((numerator / denominator) * 100) / 100;
+}
+
+function parseNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Rotation comes either from a "rotate" tag (older muxers) or from the
+// display matrix side data; normalise it to 0, 90, 180 or 270
+function getRotation(stream) {
+  let rotation = stream.tags && stream.tags.rotate ? parseFloat(stream.tags.rotate) : 0;
+  (stream.side_data_list || []).forEach(sideData => {
+    if (typeof sideData.rotation === 'number') rotation = -sideData.rotation;
+  });
+  return ((Math.round(rotation / 90) * 90) % 360 + 360) % 360;
+}
+
+function parseProbeOutput(info) {
+  const format = info.format || {};
+  const streams = info.streams || [];
+  const videoStream = streams.find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+  const audioStream = streams.find(stream => stream.codec_type === 'audio');
+  
+  const rotation = videoStream ? getRotation(videoStream) : 0;
+  const sideways = rotation === 90 || rotation === 270;
+  const codedWidth = videoStream ? videoStream.width || null : null;
+  const codedHeight = videoStream ? videoStream.height || null : null;
+  const duration = parseNumber(format.duration) || (videoStream ? parseNumber(videoStream.duration) : null);
+  
+  const media = {
+    container: format.format_name || null,
+    duration,
+    bitrate: parseNumber(format.bit_rate),
+    videoCodec: videoStream ? videoStream.codec_name || null : null,
+    audioCodec: audioStream ? audioStream.codec_name || null : null,
+    width: sideways ? codedHeight : codedWidth,
+    height: sideways ? codedWidth : codedHeight,
+    frameRate: videoStream ? parseFrameRate(videoStream.avg_frame_rate) || parseFrameRate(videoStream.r_frame_rate) : null,
+    audioChannels: audioStream ? audioStream.channels || null : null,
+    rotation,
+    // Numbered among subtitle streams only, as ffmpeg's 0:s:N selector expects
+    subtitleStreams: streams
+      .filter(stream => stream.codec_type === 'subtitle')
+      .map((stream, index) => ({
+        index,
+        codec: stream.codec_name || null,
+        language: stream.tags && stream.tags.language ? stream.tags.language : null,
+        title: stream.tags && stream.tags.title ? stream.tags.title : null
+      }))
+  };
+  
+  // Without a decodable video stream there is nothing a player could show
+  const problems = [];
+  if (!videoStream) problems.push('No video stream found');
+  else if (!media.videoCodec || media.videoCodec === 'none') problems.push('Unknown video codec');
+  if (videoStream && (!media.width || !media.height)) problems.push('Video stream has no dimensions');
+  
+  return { media, playable: problems.length === 0, problems };
+}
+
+module.exports = { parseProbeOutput };
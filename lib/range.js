@@ -0,0 +1,127 @@
+// Byte range (RFC 7233) and conditional request (RFC 7232) helpers for
+// serving video files
+
+// Requests asking for more ranges than this are answered with the whole file
+const MAX_RANGES = 20;
+
+// Parse a Range header against a file of the given size. Returns
+//   null                      - no usable Range header, send the whole file
+//   { unsatisfiable: true }   - well-formed, but no range overlaps the file
+//   { ranges: [{ start, end }] }
+// Malformed headers and units other than bytes are ignored, as the RFC requires.
+function parseRange(header, size) {
+  if (!header) return null;
+  
+  const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+  if (!match) return null;
+  
+  const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) return null;
+  
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = /^(\d*)\s*-\s*(\d*)$/.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) return null;
+    
+    let start;
+    let end;
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      const length = parseInt(parts[2], 10);
+      if (length === 0) continue;
+      start = Math.max(size - length, 0);
+      end = size - 1;
+    } else {
+      start = parseInt(parts[1], 10);
+      end = parts[2] === '' ? size - 1 : Math.min(parseInt(parts[2], 10), size - 1);
+      if (parts[2] !== '' && parseInt(parts[2], 10) < start) return null;
+    }
+    
+    if (start < size && start <= end) {
+      ranges.push({ start, end });
+    }
+  }
+  
+  return ranges.length > 0 ? { ranges } : { unsatisfiable: true };
+}
+
+// Strong validator derived from size and modification time
+function createEtag(stat) {
+  return `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+function parseEtagList(header) {
+  return header.split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+function isWeak(tag) {
+  return tag.startsWith('W/');
+}
+
+function opaqueTag(tag) {
+  return isWeak(tag) ? tag.slice(2) : tag;
+}
+
+// Whole-second timestamps, since HTTP dates carry no milliseconds
+function toHttpSeconds(date) {
+  return Math.floor(date.getTime() / 1000);
+}
+
+function parseHttpDate(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
+}
+
+// Evaluate If-Match, If-Unmodified-Since, If-None-Match and If-Modified-Since
+// in the order RFC 7232 section 6 prescribes. Returns the status to answer
+// with (304 or 412), or null when the request should proceed normally.
+function evaluatePreconditions(req, etag, lastModified) {
+  const modified = toHttpSeconds(lastModified);
+  const ifMatch = req.get('If-Match');
+  const ifUnmodifiedSince = req.get('If-Unmodified-Since');
+  const ifNoneMatch = req.get('If-None-Match');
+  const ifModifiedSince = req.get('If-Modified-Since');
+  const isRead = req.method === 'GET' || req.method === 'HEAD';
+  
+  if (ifMatch) {
+    // If-Match uses the strong comparison function
+    const tags = parseEtagList(ifMatch);
+    if (!tags.includes('*') && !tags.some(tag => !isWeak(tag) && tag === etag)) return 412;
+  } else if (ifUnmodifiedSince) {
+    const since = parseHttpDate(ifUnmodifiedSince);
+    if (since !== null && modified > since) return 412;
+  }
+  
+  if (ifNoneMatch) {
+    // If-None-Match uses the weak comparison function
+    const tags = parseEtagList(ifNoneMatch);
+    if (tags.includes('*') || tags.some(tag => opaqueTag(tag) === opaqueTag(etag))) {
+      return isRead ? 304 : 412;
+    }
+  } else if (ifModifiedSince && isRead) {
+    const since = parseHttpDate(ifModifiedSince);
+    if (since !== null && modified <= since) return 304;
+  }
+  
+  return null;
+}
+
+// A Range request carrying If-Range is only honoured when the representation
+// is unchanged; otherwise the whole file is sent
+function isRangeFresh(req, etag, lastModified) {
+  const ifRange = req.get('If-Range');
+  if (!ifRange) return true;
+  
+  if (ifRange.includes('"')) {
+    return !isWeak(ifRange) && ifRange.trim() === etag;
+  }
+  const since = parseHttpDate(ifRange);
+  return since !== null && since === toHttpSeconds(lastModified);
+}
+
+module.exports = {
+  parseRange,
+  createEtag,
+  evaluatePreconditions,
+  isRangeFresh
+};
@@ -0,0 +1,338 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// Storage driver for Amazon S3 and compatible object stores (MinIO, R2,
+// Wasabi, ...). Requests are signed with AWS Signature Version 4; bodies are
+// streamed and sent as UNSIGNED-PAYLOAD so large videos never sit in memory.
+
+// Files above this size go up as a multipart upload (single PUTs stop at 5 GB)
+const MULTIPART_THRESHOLD = 64 * 1024 * 1024;
+const MIN_PART_SIZE = 16 * 1024 * 1024;
+const MAX_PARTS = 10000;
+// Largest object a single server-side copy can handle
+const MAX_COPY_SIZE = 5 * 1024 * 1024 * 1024;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+// RFC 3986 encoding as SigV4 expects it
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+function canonicalQuery(query) {
+  return Object.keys(query)
+    .sort()
+    .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+    .join('&');
+}
+
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+    .replace(/&amp;/g, '&');
+}
+
+function xmlValue(xml, tag) {
+  const match = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml);
+  return match ? decodeXml(match[1]) : null;
+}
+
+function readBody(response) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    response.on('error', reject);
+  });
+}
+
+function createS3Storage({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, sessionToken, forcePathStyle = true, prefix = '' }) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage needs a bucket, an access key ID and a secret access key');
+  }
+  
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const client = base.protocol === 'https:' ? https : http;
+  const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+  const basePath = base.pathname.replace(/\/$/, '');
+  
+  function objectPath(key) {
+    const bucketPath = forcePathStyle ? `${basePath}/${bucket}` : basePath;
+    return key === null ? `${bucketPath}/` : `${bucketPath}/${encodeKey(prefix + key)}`;
+  }
+  
+  function signingKey(date) {
+    const dateKey = hmac(`AWS4${secretAccessKey}`, date);
+    return hmac(hmac(hmac(dateKey, region), 's3'), 'aws4_request');
+  }
+  
+  function timestamps() {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    return { amzDate, date: amzDate.slice(0, 8) };
+  }
+  
+  // Sign a request the usual way, with an Authorization header
+  function signHeaders(method, pathname, query, headers) {
+    const { amzDate, date } = timestamps();
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const signed = {
+      ...headers,
+      host,
+      'x-amz-date': amzDate,
+      'x-amz-content-sha256': 'UNSIGNED-PAYLOAD'
+    };
+    if (sessionToken) signed['x-amz-security-token'] = sessionToken;
+    
+    const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+    const lowered = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+    const canonicalHeaders = names.map(name => `${name}:${lowered[name]}\n`).join('');
+    const signedHeaders = names.join(';');
+    const canonicalRequest = [method, pathname, canonicalQuery(query), canonicalHeaders, signedHeaders, 'UNSIGNED-PAYLOAD'].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signature = hmac(signingKey(date), stringToSign).toString('hex');
+    
+    return {
+      ...lowered,
+      authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+  
+  // Send a signed request. Resolves with the response once headers arrive;
+  // error statuses reject with the S3 error code and message.
+  function request(method, key, { query = {}, headers = {}, body = null, allowStatus = [] } = {}) {
+    const pathname = objectPath(key);
+    const search = canonicalQuery(query);
+    
+    return new Promise((resolve, reject) => {
+      const req = client.request({
+        protocol: base.protocol,
+        hostname: forcePathStyle ? base.hostname : `${bucket}.${base.hostname}`,
+        port: base.port || undefined,
+        method,
+        path: search ? `${pathname}?${search}` : pathname,
+        headers: signHeaders(method, pathname, query, headers)
+      }, async response => {
+        if (response.statusCode < 300 || allowStatus.includes(response.statusCode)) {
+          resolve(response);
+          return;
+        }
+        const text = method === 'HEAD' ? '' : await readBody(response).catch(() => '');
+        const error = new Error(`S3 ${method} ${key === null ? bucket : key} failed with ${response.statusCode}: ${xmlValue(text, 'Message') || xmlValue(text, 'Code') || 'no details'}`);
+        error.statusCode = response.statusCode;
+        error.code = xmlValue(text, 'Code');
+        reject(error);
+      });
+      req.on('error', reject);
+      
+      if (body && typeof body.pipe === 'function') {
+        body.on('error', error => req.destroy(error));
+        body.pipe(req);
+      } else {
+        req.end(body || undefined);
+      }
+    });
+  }
+  
+  async function putFile(localPath, key, size, contentType) {
+    const headers = { 'content-length': size };
+    if (contentType) headers['content-type'] = contentType;
+    const response = await request('PUT', key, { headers, body: fs.createReadStream(localPath) });
+    response.resume();
+  }
+  
+  // Store `size` bytes as a multipart upload. `sendPart(partNumber, start,
+  // end, uploadId)` stores one part and resolves with its ETag.
+  async function multipart(key, size, contentType, sendPart) {
+    const created = await request('POST', key, {
+      query: { uploads: '' },
+      headers: contentType ? { 'content-type': contentType } : {}
+    });
+    const uploadId = xmlValue(await readBody(created), 'UploadId');
+    const partSize = Math.max(MIN_PART_SIZE, Math.ceil(size / MAX_PARTS));
+    const parts = [];
+    
+    try {
+      for (let start = 0, partNumber = 1; start < size; start += partSize, partNumber++) {
+        const end = Math.min(start + partSize, size) - 1;
+        parts.push({ partNumber, etag: await sendPart(partNumber, start, end, uploadId) });
+      }
+      
+      const manifest = `<CompleteMultipartUpload>${parts
+        .map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${part.etag}</ETag></Part>`)
+        .join('')}</CompleteMultipartUpload>`;
+      const completed = await request('POST', key, {
+        query: { uploadId },
+        headers: { 'content-type': 'application/xml', 'content-length': Buffer.byteLength(manifest) },
+        body: manifest
+      });
+      // S3 can report a failed completion inside a 200 response
+      const result = await readBody(completed);
+      if (result.includes('<Error>')) {
+        throw new Error(`S3 multipart upload of ${key} failed: ${xmlValue(result, 'Message')}`);
+      }
+    } catch (error) {
+      await request('DELETE', key, { query: { uploadId } }).then(response => response.resume(), () => {});
+      throw error;
+    }
+  }
+  
+  function putMultipart(localPath, key, size, contentType) {
+    return multipart(key, size, contentType, async (partNumber, start, end, uploadId) => {
+      const response = await request('PUT', key, {
+        query: { partNumber: String(partNumber), uploadId },
+        headers: { 'content-length': end - start + 1 },
+        body: fs.createReadStream(localPath, { start, end })
+      });
+      response.resume();
+      return response.headers.etag;
+    });
+  }
+  
+  // Server-side copy, so the bytes never pass through this server. Objects
+  // over 5 GB can only be copied a part at a time.
+  async function copyObject(key, targetKey, size) {
+    const source = `/${bucket}/${encodeKey(prefix + key)}`;
+    if (size <= MAX_COPY_SIZE) {
+      const response = await request('PUT', targetKey, { headers: { 'content-length': 0, 'x-amz-copy-source': source } });
+      // Like a multipart completion, a copy can fail inside a 200 response
+      const result = await readBody(response);
+      if (result.includes('<Error>')) {
+        throw new Error(`S3 copy of ${key} failed: ${xmlValue(result, 'Message')}`);
+      }
+      return;
+    }
+    await multipart(targetKey, size, null, async (partNumber, start, end, uploadId) => {
+      const response = await request('PUT', targetKey, {
+        query: { partNumber: String(partNumber), uploadId },
+        headers: { 'content-length': 0, 'x-amz-copy-source': source, 'x-amz-copy-source-range': `bytes=${start}-${end}` }
+      });
+      return xmlValue(await readBody(response), 'ETag');
+    });
+  }
+  
+  const storage = {
+    driver: 's3',
+    origin: `${base.protocol}//${host}`,
+    
+    async stat(key) {
+      const response = await request('HEAD', key, { allowStatus: [404] });
+      response.resume();
+      if (response.statusCode === 404) return null;
+      return {
+        size: parseInt(response.headers['content-length'], 10),
+        mtimeMs: new Date(response.headers['last-modified']).getTime()
+      };
+    },
+    
+    async read(key, range) {
+      const headers = range ? { range: `bytes=${range.start}-${range.end}` } : {};
+      return request('GET', key, { headers });
+    },
+    
+    async write(key, buffer, contentType) {
+      const headers = { 'content-length': buffer.length };
+      if (contentType) headers['content-type'] = contentType;
+      const response = await request('PUT', key, { headers, body: buffer });
+      response.resume();
+    },
+    
+    // Upload a local file, removing it once it is safely stored
+    async moveFile(localPath, key, contentType) {
+      const size = fs.statSync(localPath).size;
+      if (size > MULTIPART_THRESHOLD) {
+        await putMultipart(localPath, key, size, contentType);
+      } else {
+        await putFile(localPath, key, size, contentType);
+      }
+      fs.unlinkSync(localPath);
+    },
+    
+    // S3 has no rename: copy, then remove the original
+    async move(key, targetKey) {
+      const info = await storage.stat(key);
+      if (!info) throw new Error(`S3 object ${key} not found`);
+      await copyObject(key, targetKey, info.size);
+      await storage.remove(key);
+    },
+    
+    async remove(key) {
+      const response = await request('DELETE', key, { allowStatus: [404] });
+      response.resume();
+    },
+    
+    async removePrefix(keyPrefix) {
+      const objects = await storage.list(keyPrefix.endsWith('/') ? keyPrefix : `${keyPrefix}/`);
+      for (const object of objects) {
+        await storage.remove(object.key);
+      }
+    },
+    
+    async list(keyPrefix = '') {
+      const results = [];
+      let continuationToken = null;
+      do {
+        const query = { 'list-type': '2', prefix: prefix + keyPrefix };
+        if (continuationToken) query['continuation-token'] = continuationToken;
+        const xml = await readBody(await request('GET', null, { query }));
+        
+        (xml.match(/<Contents>[\s\S]*?<\/Contents>/g) || []).forEach(entry => {
+          results.push({
+            key: xmlValue(entry, 'Key').slice(prefix.length),
+            size: parseInt(xmlValue(entry, 'Size'), 10),
+            mtimeMs: new Date(xmlValue(entry, 'LastModified')).getTime()
+          });
+        });
+        continuationToken = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+      } while (continuationToken);
+      return results;
+    },
+    
+    // ffmpeg reads straight from a presigned URL, seeking with range requests
+    async inputPath(key) {
+      return storage.presign(key, { expiresIn: 6 * 60 * 60 });
+    },
+    
+    // Presigned GET URL (query-string authentication), valid for expiresIn seconds
+    presign(key, { expiresIn = 900, contentType, contentDisposition } = {}) {
+      const { amzDate, date } = timestamps();
+      const scope = `${date}/${region}/s3/aws4_request`;
+      const pathname = objectPath(key);
+      const query = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${accessKeyId}/${scope}`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(expiresIn),
+        'X-Amz-SignedHeaders': 'host'
+      };
+      if (sessionToken) query['X-Amz-Security-Token'] = sessionToken;
+      if (contentType) query['response-content-type'] = contentType;
+      if (contentDisposition) query['response-content-disposition'] = contentDisposition;
+      
+      const canonicalRequest = ['GET', pathname, canonicalQuery(query), `host:${host}\n`, 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+      const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+      const signature = hmac(signingKey(date), stringToSign).toString('hex');
+      
+      return `${base.protocol}//${host}${pathname}?${canonicalQuery(query)}&X-Amz-Signature=${signature}`;
+    }
+  };
+  
+  return storage;
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,216 @@
+const path = require('path');
+
+// Searching, filtering, sorting and paging the video listing. Paging uses
+// opaque cursors that remember the sort key of the last video on a page, so
+// pages stay stable while videos are added or removed in between requests.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// How each sort order reads its value from a record; videos without a value
+// (e.g. not probed yet) always sort last
+const SORT_KEYS = {
+  name: record => record.title.toLowerCase(),
+  size: record => record.size,
+  created: record => record.uploadedAt,
+  modified: record => record.modifiedAt,
+  duration: record => record.duration,
+  relevance: (record, terms) => relevanceScore(record, terms)
+};
+
+// Lower-case and strip accents, so "Café" is found by "cafe"
+function fold(text) {
+  return String(text || '').normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase();
+}
+
+function searchTerms(q) {
+  return fold(q).split(/\s+/).filter(Boolean);
+}
+
+// Every term has to appear in the title, description or tags; a term in the
+// title counts for more than one in the tags, which counts for more than one
+// in the description. Returns 0 when some term is missing.
+function relevanceScore(record, terms) {
+  const title = fold(record.title);
+  const tags = (record.tags || []).map(fold);
+  const description = fold(record.description);
+  let score = 0;
+  for (const term of terms) {
+    const termScore =
+      (title.includes(term) ? 3 : 0) +
+      (tags.some(tag => tag.includes(term)) ? 2 : 0) +
+      (description.includes(term) ? 1 : 0);
+    if (termScore === 0) return 0;
+    score += termScore;
+  }
+  return score;
+}
+
+function parseNumber(value, name, errors) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    errors.push(`${name} must be a non-negative number`);
+    return null;
+  }
+  return number;
+}
+
+function parseDate(value, name, errors) {
+  if (value === undefined || value === '') return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    errors.push(`${name} must be a date such as 2024-05-01`);
+    return null;
+  }
+  return time;
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return cursor && Array.isArray(cursor.key) && cursor.key.length === 3 ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Validate the listing query string. Returns { options } or { error }.
+//
+//   q                          words to find in title, description and tags
+//   tag                        comma-separated tags a video must all have
+//   format                     comma-separated file extensions, e.g. mp4,mkv
+//   minSize, maxSize           bytes
+//   createdAfter, createdBefore  dates or timestamps
+//   hasThumbnail               true or false
+//   minDuration, maxDuration   seconds
+//   sort                       name, size, created, modified, duration or relevance
+//   order                      asc or desc
+//   limit, cursor              paging
+function parseVideoQuery(query) {
+  const errors = [];
+  const terms = searchTerms(query.q);
+  
+  const sort = query.sort || (terms.length > 0 ? 'relevance' : 'created');
+  if (!SORT_KEYS[sort]) {
+    errors.push(`sort must be one of: ${Object.keys(SORT_KEYS).join(', ')}`);
+  } else if (sort === 'relevance' && terms.length === 0) {
+    errors.push('sort=relevance needs a search query');
+  }
+  
+  const order = query.order || (sort === 'name' ? 'asc' : 'desc');
+  if (order !== 'asc' && order !== 'desc') {
+    errors.push('order must be asc or desc');
+  }
+  
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+  }
+  
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.sort !== sort || cursor.order !== order) {
+      errors.push('cursor is invalid or belongs to a different sort order');
+    }
+  }
+  
+  let hasThumbnail = null;
+  if (query.hasThumbnail !== undefined) {
+    if (query.hasThumbnail !== 'true' && query.hasThumbnail !== 'false') {
+      errors.push('hasThumbnail must be true or false');
+    }
+    hasThumbnail = query.hasThumbnail === 'true';
+  }
+  
+  const options = {
+    terms,
+    tags: query.tag ? String(query.tag).split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean) : null,
+    formats: query.format
+      ? String(query.format).split(',').map(format => `.${format.trim().toLowerCase().replace(/^\./, '')}`)
+      : null,
+    minSize: parseNumber(query.minSize, 'minSize', errors),
+    maxSize: parseNumber(query.maxSize, 'maxSize', errors),
+    createdAfter: parseDate(query.createdAfter, 'createdAfter', errors),
+    createdBefore: parseDate(query.createdBefore, 'createdBefore', errors),
+    hasThumbnail,
+    minDuration: parseNumber(query.minDuration, 'minDuration', errors),
+    maxDuration: parseNumber(query.maxDuration, 'maxDuration', errors),
+    sort,
+    order,
+    limit,
+    cursor
+  };
+  
+  return errors.length > 0 ? { error: errors.join('; ') } : { options };
+}
+
+function matchesFilters(record, options) {
+  const created = Date.parse(record.uploadedAt);
+  if (options.tags && !options.tags.every(tag => (record.tags || []).includes(tag))) return false;
+  if (options.formats && !options.formats.includes(path.extname(record.filename).toLowerCase())) return false;
+  if (options.minSize !== null && record.size < options.minSize) return false;
+  if (options.maxSize !== null && record.size > options.maxSize) return false;
+  if (options.createdAfter !== null && created < options.createdAfter) return false;
+  if (options.createdBefore !== null && created > options.createdBefore) return false;
+  if (options.hasThumbnail !== null && !!record.thumbnail !== options.hasThumbnail) return false;
+  // Duration filters only match videos whose duration is known
+  if (options.minDuration !== null && !(record.duration >= options.minDuration)) return false;
+  if (options.maxDuration !== null && !(record.duration <= options.maxDuration)) return false;
+  return true;
+}
+
+// Sort key of a record as [missing, value, id]; the ID breaks ties so every
+// record has a unique position that a cursor can point at
+function sortKey(record, options) {
+  const value = SORT_KEYS[options.sort](record, options.terms);
+  return [value === null || value === undefined ? 1 : 0, value === undefined ? null : value, record.id];
+}
+
+function compareKeys(a, b, order) {
+  if (a[0] !== b[0]) return a[0] - b[0];
+  if (a[1] !== b[1] && a[0] === 0) {
+    const direction = order === 'asc' ? 1 : -1;
+    return (a[1] < b[1] ? -1 : 1) * direction;
+  }
+  return a[2] < b[2] ? -1 : a[2] > b[2] ? 1 : 0;
+}
+
+// Apply a parsed query to catalog records. Returns the records of the
+// requested page, the total number of matches and the cursor of the next
+// page (null on the last one).
+function queryVideos(records, options) {
+  const matches = records
+    .filter(record => matchesFilters(record, options))
+    .filter(record => options.terms.length === 0 || relevanceScore(record, options.terms) > 0)
+    .map(record => ({ record, key: sortKey(record, options) }))
+    .sort((a, b) => compareKeys(a.key, b.key, options.order));
+  
+  const start = options.cursor
+    ? matches.filter(match => compareKeys(match.key, options.cursor.key, options.order) <= 0).length
+    : 0;
+  const page = matches.slice(start, start + options.limit);
+  const last = page[page.length - 1];
+  const hasMore = start + page.length < matches.length;
+  
+  return {
+    records: page.map(match => match.record),
+    total: matches.length,
+    nextCursor: hasMore && last
+      ? encodeCursor({ sort: options.sort, order: options.order, key: last.key })
+      : null
+  };
+}
+
+module.exports = {
+  parseVideoQuery,
+  queryVideos
+};
@@ -0,0 +1,84 @@
+// Security headers sent with every response. Pages load their scripts and
+// styles from /assets only, so the Content Security Policy allows no inline
+// script, inline style or eval; anything injected into a page can't run.
+//
+// Pages may only be framed by this site, except the embed player, whose
+// frame-ancestors list is configurable (EMBED_FRAME_ANCESTORS) so it can be
+// limited to the sites allowed to embed videos.
+
+// Parse a list of frame ancestors: '*', 'self', 'none' or origins, separated
+// by spaces or commas. Returns the CSP source list, or null when a value
+// isn't one of those.
+function parseFrameAncestors(value) {
+  const keywords = { self: "'self'", none: "'none'" };
+  const entries = String(value).split(/[\s,]+/).filter(Boolean);
+  if (entries.length === 0) return null;
+  
+  const sources = [];
+  for (const entry of entries) {
+    const keyword = keywords[entry.replace(/'/g, '').toLowerCase()];
+    if (keyword) {
+      sources.push(keyword);
+    } else if (entry === '*' || /^https?:\/\/(\*\.)?[a-z0-9.-]+(:\d+)?$/i.test(entry)) {
+      sources.push(entry);
+    } else {
+      return null;
+    }
+  }
+  if (sources.includes("'none'") && sources.length > 1) return null;
+  return sources.join(' ');
+}
+
+// Parse a "trust proxy" setting for Express: true or false, a number of
+// proxy hops, or addresses, subnets and names such as "loopback", separated
+// by commas. Unset gives `fallback`.
+function parseTrustProxy(value, fallback) {
+  if (value === undefined || value.trim() === '') return fallback;
+  const setting = value.trim();
+  if (setting === 'true' || setting === 'false') return setting === 'true';
+  if (/^\d+$/.test(setting)) return Number(setting);
+  return setting.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// The Content-Security-Policy header value. `mediaOrigins` are other origins
+// video, images and HLS segments may come from (object storage that media
+// requests are redirected to).
+function contentSecurityPolicy({ frameAncestors = "'self'", mediaOrigins = [] } = {}) {
+  const media = ["'self'", ...mediaOrigins].join(' ');
+  return [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self'",
+    `img-src ${media} data: blob:`,
+    `media-src ${media} blob:`,
+    `connect-src ${media}`,
+    // hls.js runs its transmuxer in a worker made from a blob
+    "worker-src 'self' blob:",
+    "object-src 'none'",
+    "base-uri 'self'",
+    "form-action 'self'",
+    `frame-ancestors ${frameAncestors}`
+  ].join('; ');
+}
+
+// Middleware setting the headers. `isEmbed(req)` picks out requests for the
+// embed player, which get `embedFrameAncestors` and no X-Frame-Options.
+function securityHeaders({ mediaOrigins, embedFrameAncestors, isEmbed }) {
+  const pagePolicy = contentSecurityPolicy({ mediaOrigins });
+  const embedPolicy = contentSecurityPolicy({ mediaOrigins, frameAncestors: embedFrameAncestors });
+  
+  return (req, res, next) => {
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+    if (isEmbed(req)) {
+      res.setHeader('Content-Security-Policy', embedPolicy);
+    } else {
+      res.setHeader('Content-Security-Policy', pagePolicy);
+      // For browsers that predate frame-ancestors
+      res.setHeader('X-Frame-Options', 'SAMEORIGIN');
+    }
+    next();
+  };
+}
+
+module.exports = { parseFrameAncestors, parseTrustProxy, contentSecurityPolicy, securityHeaders };
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+// Signed, expiring URLs for private videos. A signature covers one video
+// (its file, transcode, thumbnail and HLS stream), an expiry time in Unix
+// seconds and, optionally, the client IP or referring origin it is bound to.
+//
+// The media a signed page loads are requested with the page itself as the
+// Referer, so pages pass on a signature of their own instead: scoped to
+// media, with the same expiry and IP but no referrer. Media signatures don't
+// open the pages, so they can't be used to embed a video somewhere else.
+
+const MEDIA_SCOPE = 'media';
+
+function computeSignature(secret, videoId, expires, ip, referrer, scope) {
+  const fields = [videoId, expires, ip || '', referrer || ''];
+  if (scope) fields.push(scope);
+  return crypto
+    .createHmac('sha256', secret)
+    .update(fields.join('\n'))
+    .digest('base64url');
+}
+
+// Reduce a Referer header (or a referrer given when signing) to its origin
+function referrerOrigin(value) {
+  try {
+    const origin = new URL(value).origin;
+    return origin === 'null' ? null : origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Query string granting access to a video until `expires`
+function signVideoAccess(secret, videoId, { expires, ip, referrer, scope }) {
+  const params = new URLSearchParams({ expires: String(expires) });
+  if (ip) params.set('ip', ip);
+  if (referrer) params.set('ref', referrer);
+  if (scope) params.set('scope', scope);
+  params.set('sig', computeSignature(secret, videoId, expires, ip, referrer, scope));
+  return params.toString();
+}
+
+// Query string for the media of a page opened with the (already verified)
+// signature parameters `query`
+function signMediaAccess(secret, videoId, query) {
+  return signVideoAccess(secret, videoId, { expires: query.expires, ip: query.ip, scope: MEDIA_SCOPE });
+}
+
+// Check the signature parameters of a request for a video. `client` carries
+// the caller's IP address and Referer header, and `page: true` for the watch
+// and embed pages.
+function verifyVideoAccess(secret, videoId, query, client) {
+  const { sig, expires, ip, ref, scope } = query;
+  if (typeof sig !== 'string' || typeof expires !== 'string') return false;
+  if (ip !== undefined && typeof ip !== 'string') return false;
+  if (ref !== undefined && typeof ref !== 'string') return false;
+  if (scope !== undefined && scope !== MEDIA_SCOPE) return false;
+  if (scope === MEDIA_SCOPE && client.page) return false;
+  
+  const expiresAt = Number(expires);
+  if (!Number.isSafeInteger(expiresAt) || expiresAt * 1000 < Date.now()) return false;
+  
+  const expected = Buffer.from(computeSignature(secret, videoId, expires, ip, ref, scope));
+  const actual = Buffer.from(sig);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return false;
+  
+  if (ip && ip !== client.ip) return false;
+  if (ref && referrerOrigin(client.referer) !== ref) return false;
+  return true;
+}
+
+module.exports = {
+  referrerOrigin,
+  signVideoAccess,
+  signMediaAccess,
+  verifyVideoAccess
+};
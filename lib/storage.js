@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { createS3Storage } = require('./s3');
+
+// Storage backends hold the media files: uploaded videos, thumbnails, HLS
+// output and transcodes. Each area of the library gets its own storage, and
+// every driver offers the same promise-based interface, addressed by key:
+//
+//   stat(key)                 -> { size, mtimeMs } or null when absent
+//   read(key, { start, end }) -> readable stream, optionally of a byte range
+//   write(key, buffer, contentType)
+//   moveFile(localPath, key, contentType) - takes ownership of a local file
+//   move(key, targetKey)      - renames a stored file
+//   remove(key), removePrefix(prefix)
+//   list(prefix)              -> [{ key, size, mtimeMs }]
+//   inputPath(key)            -> something ffmpeg can open: a path or a URL
+//   presign(key, options)     -> a time-limited direct URL, or null
+//   origin                    -> the origin presigned URLs point at, or null
+//
+// The local driver keeps files in a folder on disk, exactly where they lived
+// before storage was pluggable.
+function createLocalStorage(root) {
+  fs.mkdirSync(root, { recursive: true });
+  
+  // Keys are generated by the server, but never let one escape the root
+  function resolve(key) {
+    const filePath = path.resolve(root, key);
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+  
+  function walk(dir, prefix, results) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      const key = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        walk(path.join(dir, entry.name), key, results);
+      } else if (entry.isFile()) {
+        const stats = fs.statSync(path.join(dir, entry.name));
+        results.push({ key, size: stats.size, mtimeMs: stats.mtimeMs });
+      }
+    });
+    return results;
+  }
+  
+  return {
+    driver: 'local',
+    origin: null,
+    
+    async stat(key) {
+      try {
+        const stats = fs.statSync(resolve(key));
+        return stats.isFile() ? { size: stats.size, mtimeMs: stats.mtimeMs } : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    
+    async read(key, range) {
+      return fs.createReadStream(resolve(key), range);
+    },
+    
+    async write(key, buffer) {
+      const filePath = resolve(key);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, buffer);
+    },
+    
+    async moveFile(localPath, key) {
+      const filePath = resolve(key);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      try {
+        fs.renameSync(localPath, filePath);
+      } catch (error) {
+        // The temp file may live on another filesystem
+        if (error.code !== 'EXDEV') throw error;
+        fs.copyFileSync(localPath, filePath);
+        fs.unlinkSync(localPath);
+      }
+    },
+    
+    async move(key, targetKey) {
+      const filePath = resolve(targetKey);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.renameSync(resolve(key), filePath);
+    },
+    
+    async remove(key) {
+      fs.rmSync(resolve(key), { force: true });
+    },
+    
+    async removePrefix(prefix) {
+      fs.rmSync(resolve(prefix), { recursive: true, force: true });
+    },
+    
+    async list(prefix = '') {
+      const dir = resolve(prefix);
+      return fs.existsSync(dir) ? walk(dir, prefix.replace(/\/$/, ''), []) : [];
+    },
+    
+    async inputPath(key) {
+      return resolve(key);
+    },
+    
+    presign() {
+      return null;
+    }
+  };
+}
+
+// Pick the driver for one area of the library. `folder` is where the local
+// driver keeps the area; object storage uses the area name as a key prefix.
+function createStorage(config, area, folder) {
+  if (config.driver === 's3') {
+    return createS3Storage({ ...config.s3, prefix: `${config.s3.prefix || ''}${area}/` });
+  }
+  return createLocalStorage(folder);
+}
+
+// Collect a (small) stored object into a string, e.g. an HLS playlist
+async function readText(storage, key) {
+  const chunks = [];
+  for await (const chunk of await storage.read(key)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+module.exports = {
+  createLocalStorage,
+  createStorage,
+  readText
+};
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+// Small embedded record store backed by a JSON-lines file.
+// Every record is kept in memory and the file is rewritten atomically
+// (temp file + rename) after each change, so a crash never leaves a
+// half-written catalog behind.
+//
+// Stores that change often (view counts, watch progress) can pass a
+// `saveDelay` in milliseconds: changes within it are written together, at the
+// cost of losing them if the process dies before the write. They are also
+// written when the process exits.
+function createStore(filePath, { saveDelay = 0 } = {}) {
+  const records = new Map();
+  let saveTimer = null;
+  
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  
+  if (fs.existsSync(filePath)) {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        const record = JSON.parse(line);
+        records.set(record.id, record);
+      } catch (error) {
+        console.error(`Skipping corrupt line ${index + 1} in ${filePath}:`, error.message);
+      }
+    });
+  }
+  
+  function save() {
+    const tempPath = `${filePath}.tmp`;
+    const data = Array.from(records.values()).map(record => JSON.stringify(record)).join('\n');
+    fs.writeFileSync(tempPath, data ? data + '\n' : '');
+    fs.renameSync(tempPath, filePath);
+  }
+  
+  function flush() {
+    if (!saveTimer) return;
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    save();
+  }
+  
+  function changed() {
+    if (!saveDelay) return save();
+    if (saveTimer) return;
+    saveTimer = setTimeout(flush, saveDelay);
+    saveTimer.unref();
+  }
+  
+  if (saveDelay) process.on('exit', flush);
+  
+  return {
+    get(id) {
+      return records.get(id) || null;
+    },
+    
+    all() {
+      return Array.from(records.values());
+    },
+    
+    find(predicate) {
+      return this.all().find(predicate) || null;
+    },
+    
+    filter(predicate) {
+      return this.all().filter(predicate);
+    },
+    
+    put(record) {
+      records.set(record.id, record);
+      changed();
+      return record;
+    },
+    
+    update(id, changes) {
+      const record = records.get(id);
+      if (!record) return null;
+      const updated = { ...record, ...changes };
+      records.set(id, updated);
+      changed();
+      return updated;
+    },
+    
+    remove(id) {
+      const existed = records.delete(id);
+      if (existed) changed();
+      return existed;
+    },
+    
+    // Write pending changes now
+    flush
+  };
+}
+
+module.exports = { createStore };
@@ -0,0 +1,98 @@
+// Caption tracks: converting uploads to WebVTT, which is all <track> accepts,
+// and deciding which embedded subtitle streams ffmpeg can turn into text
+
+// Text-based subtitle codecs ffmpeg can write as WebVTT; bitmap formats such
+// as PGS or DVD subtitles would need OCR
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt'];
+
+const TIMESTAMP = /(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})/;
+
+function isTextSubtitleCodec(codec) {
+  return TEXT_SUBTITLE_CODECS.includes(codec);
+}
+
+// Subtitle files come in all sorts of encodings; honour a byte order mark and
+// fall back to UTF-8
+function decodeSubtitleFile(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  return new TextDecoder('utf-8').decode(buffer).replace(/^﻿/, '');
+}
+
+// "1:02,5" or "00:01:02,500" -> "00:01:02.500"
+function formatTimestamp(match) {
+  const [, hours, minutes, seconds, fraction] = match;
+  return `${(hours || '0').padStart(2, '0')}:${minutes.padStart(2, '0')}:${seconds}.${fraction.padEnd(3, '0')}`;
+}
+
+// Convert SubRip to WebVTT. Cue numbers are dropped, timestamps switch to
+// dots, and formatting WebVTT doesn't know (<font>, {\an8}) is removed.
+function srtToVtt(text) {
+  const blocks = text.replace(/\r\n?/g, '\n').trim().split(/\n\s*\n/);
+  const cues = [];
+  
+  blocks.forEach(block => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) return;
+    
+    const [start, end] = lines[timingIndex].split('-->').map(part => TIMESTAMP.exec(part));
+    if (!start || !end) return;
+    
+    const cueText = lines
+      .slice(timingIndex + 1)
+      .map(line => line.replace(/<\/?font[^>]*>/gi, '').replace(/\{\\[^}]*\}/g, ''))
+      .join('\n')
+      .trim();
+    if (cueText === '') return;
+    
+    cues.push(`${formatTimestamp(start)} --> ${formatTimestamp(end)}\n${cueText.replace(/-->/g, '->')}`);
+  });
+  
+  if (cues.length === 0) {
+    throw new Error('No subtitle cues found in the SRT file');
+  }
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+// Turn an uploaded .srt or .vtt file into WebVTT text
+function toWebVtt(buffer, extension) {
+  const text = decodeSubtitleFile(buffer);
+  if (extension === '.vtt') {
+    if (!/^WEBVTT(?:[ \t\n]|$)/.test(text.replace(/\r\n?/g, '\n'))) {
+      throw new Error('WebVTT files must start with "WEBVTT"');
+    }
+    return text.replace(/\r\n?/g, '\n');
+  }
+  return srtToVtt(text);
+}
+
+// Canonical BCP 47 tag for a language code ("eng" -> "en"), or null if invalid
+function normalizeLanguage(code) {
+  if (typeof code !== 'string' || code.trim() === '') return null;
+  try {
+    return Intl.getCanonicalLocales(code.trim())[0];
+  } catch (error) {
+    return null;
+  }
+}
+
+function languageLabel(language) {
+  if (language === 'und') return 'Unknown';
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(language);
+  } catch (error) {
+    return language;
+  }
+}
+
+module.exports = {
+  SUBTITLE_EXTENSIONS,
+  isTextSubtitleCodec,
+  srtToVtt,
+  toWebVtt,
+  normalizeLanguage,
+  languageLabel
+};
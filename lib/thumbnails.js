@@ -0,0 +1,117 @@
+// Poster images and the storyboard used for seek-bar previews.
+//
+// Every poster candidate, whether a frame picked from the video or an image
+// the owner uploaded, is stored as JPEG and WebP at each of THUMBNAIL_WIDTHS
+// under "<videoId>/<thumbnailId>-<width>.<ext>". The storyboard is one sprite
+// sheet of small frames, described to the player by a WebVTT thumbnails track.
+
+const THUMBNAIL_WIDTHS = [320, 640, 1280];
+
+const THUMBNAIL_FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  webp: { extension: 'webp', contentType: 'image/webp' }
+};
+
+const CANDIDATE_COUNT = 5;
+
+// Storyboard tiles: at most this many, at least this many seconds apart
+const STORYBOARD_MAX_TILES = 100;
+const STORYBOARD_MIN_INTERVAL = 2;
+const STORYBOARD_TILE_WIDTH = 160;
+const STORYBOARD_COLUMNS = 10;
+
+function thumbnailKey(videoId, thumbnailId, width, format) {
+  return `${videoId}/${thumbnailId}-${width}.${THUMBNAIL_FORMATS[format].extension}`;
+}
+
+// Timestamps (in seconds) for poster candidates, spread evenly through the
+// video and away from the very start and end, which are often black
+function candidateTimes(duration, count = CANDIDATE_COUNT) {
+  if (!duration) return [0];
+  const times = [];
+  for (let i = 1; i <= count; i++) {
+    times.push(Math.round((duration * i) / (count + 1) * 100) / 100);
+  }
+  return times;
+}
+
+// The smallest stored width that is at least the requested one, so images
+// are never scaled up by the browser; the largest when none is big enough
+function pickWidth(widths, requested) {
+  const sorted = [...widths].sort((a, b) => a - b);
+  if (!requested) return sorted[0];
+  return sorted.find(width => width >= requested) || sorted[sorted.length - 1];
+}
+
+// Width and height of a JPEG, read from its start-of-frame marker
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+    const marker = buffer[offset + 1];
+    const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+    if (isStartOfFrame) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+// Size of one stored width of a thumbnail. Entries record the size of their
+// largest rendition; smaller ones keep its aspect ratio.
+function thumbnailSize(entry, width) {
+  if (!entry.width || !entry.height) return null;
+  if (width >= entry.width) return { width: entry.width, height: entry.height };
+  return { width, height: Math.round((width * entry.height) / entry.width / 2) * 2 };
+}
+
+// Lay out the storyboard for a video, or null if its length or size is unknown
+function planStoryboard(duration, width, height) {
+  if (!duration || !width || !height) return null;
+  
+  const interval = Math.max(STORYBOARD_MIN_INTERVAL, Math.ceil(duration / STORYBOARD_MAX_TILES));
+  const count = Math.max(1, Math.ceil(duration / interval));
+  const tileHeight = Math.max(2, Math.round((STORYBOARD_TILE_WIDTH * height) / width / 2) * 2);
+  return {
+    interval,
+    count,
+    columns: Math.min(count, STORYBOARD_COLUMNS),
+    rows: Math.ceil(count / STORYBOARD_COLUMNS),
+    tileWidth: STORYBOARD_TILE_WIDTH,
+    tileHeight,
+    duration
+  };
+}
+
+function formatVttTime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = (seconds % 60).toFixed(3).padStart(6, '0');
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${rest}`;
+}
+
+// WebVTT thumbnails track: one cue per tile, pointing into the sprite with a
+// media fragment ("sprite.jpg#xywh=x,y,w,h")
+function storyboardVtt(plan, spriteUrl) {
+  const cues = [];
+  for (let i = 0; i < plan.count; i++) {
+    const start = i * plan.interval;
+    const end = Math.min(plan.duration, start + plan.interval);
+    const x = (i % plan.columns) * plan.tileWidth;
+    const y = Math.floor(i / plan.columns) * plan.tileHeight;
+    cues.push(`${formatVttTime(start)} --> ${formatVttTime(end)}\n${spriteUrl}#xywh=${x},${y},${plan.tileWidth},${plan.tileHeight}`);
+  }
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+module.exports = {
+  THUMBNAIL_WIDTHS,
+  THUMBNAIL_FORMATS,
+  thumbnailKey,
+  candidateTimes,
+  pickWidth,
+  jpegSize,
+  thumbnailSize,
+  planStoryboard,
+  storyboardVtt
+};
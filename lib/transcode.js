@@ -0,0 +1,60 @@
+const path = require('path');
+
+// Containers and codecs most browsers play directly; anything else gets a transcoded copy
+const BROWSER_PLAYABLE_EXTENSIONS = ['.mp4', '.webm', '.m4v', '.ogg'];
+const BROWSER_VIDEO_CODECS = ['h264', 'vp8', 'vp9', 'av1', 'theora'];
+const BROWSER_AUDIO_CODECS = ['aac', 'mp3', 'opus', 'vorbis', 'flac'];
+
+const TRANSCODE_FORMATS = {
+  mp4: {
+    mimeType: 'video/mp4',
+    args: [
+      '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac', '-b:a', '128k', '-ac', '2',
+      '-movflags', '+faststart', '-f', 'mp4'
+    ]
+  },
+  webm: {
+    mimeType: 'video/webm',
+    args: [
+      '-c:v', 'libvpx-vp9', '-b:v', '0', '-crf', '33', '-deadline', 'realtime', '-cpu-used', '8',
+      '-c:a', 'libopus', '-b:a', '128k', '-ac', '2',
+      '-f', 'webm'
+    ]
+  }
+};
+
+// Decide from the container, and once the video has been probed its codecs
+function needsTranscode(record) {
+  if (!BROWSER_PLAYABLE_EXTENSIONS.includes(path.extname(record.filename).toLowerCase())) return true;
+  
+  const media = record.media;
+  if (!media) return false;
+  if (media.videoCodec && !BROWSER_VIDEO_CODECS.includes(media.videoCodec)) return true;
+  if (media.audioCodec && !BROWSER_AUDIO_CODECS.includes(media.audioCodec)) return true;
+  return false;
+}
+
+// ffmpeg arguments that convert a video into a browser-friendly file
+function transcodeArgs(inputPath, outputPath, format) {
+  return [
+    '-y', '-i', inputPath,
+    '-map', '0:v:0', '-map', '0:a:0?',
+    ...TRANSCODE_FORMATS[format].args,
+    outputPath
+  ];
+}
+
+// "01:02:03.45" -> 3723.45
+function parseTimestamp(value) {
+  const match = /(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(value || '');
+  if (!match) return null;
+  return parseInt(match[1], 10) * 3600 + parseInt(match[2], 10) * 60 + parseFloat(match[3]);
+}
+
+module.exports = {
+  TRANSCODE_FORMATS,
+  needsTranscode,
+  transcodeArgs,
+  parseTimestamp
+};
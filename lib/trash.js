@@ -0,0 +1,113 @@
+// Deleted videos go to the trash before they are gone for good. Their files
+// move under trash/<video id>/ in each storage area (out of sight of the
+// catalog reconciliation, which only looks at top-level video files) and
+// the catalog record moves into the trash store, so nothing that looks
+// videos up finds them. Restoring moves both back; purging, by hand or once
+// the retention period is over, deletes them.
+//
+// Trash entries, keyed by video ID:
+//
+//   record      the catalog record as it was when the video was deleted
+//   files       [{ area, key }] the stored files that were moved
+//   jobs        [{ type, options }] processing that was cut short, to redo
+//   trashedAt, trashedBy, purgeAt (null to keep until purged by hand)
+
+const TRASH_PREFIX = 'trash';
+// Storage areas that keep all of a video's files under its ID
+const PREFIXED_AREAS = ['thumbnails', 'hls', 'subtitles'];
+
+function trashKey(videoId, key) {
+  return `${TRASH_PREFIX}/${videoId}/${key}`;
+}
+
+// The stored files belonging to a video, as { area, key }. `areas` maps area
+// names (videos, thumbnails, hls, transcodes, subtitles) to storages.
+async function listVideoFiles(record, areas) {
+  const files = [];
+  const seen = new Set();
+  const add = (area, key) => {
+    if (seen.has(`${area}:${key}`)) return;
+    seen.add(`${area}:${key}`);
+    files.push({ area, key });
+  };
+  
+  const named = [
+    ['videos', record.filename],
+    ['transcodes', record.transcode && record.transcode.filename],
+    // Posters from before thumbnails were kept per video sit at the top level
+    ['thumbnails', record.thumbnail]
+  ];
+  for (const [area, key] of named) {
+    if (key && await areas[area].stat(key)) add(area, key);
+  }
+  for (const area of PREFIXED_AREAS) {
+    (await areas[area].list(`${record.id}/`)).forEach(file => add(area, file.key));
+  }
+  return files;
+}
+
+// Move a video's files into the trash, or back out of it with `restore`. If
+// one move fails, the ones already made are undone, so a video is never left
+// half in the trash.
+async function moveVideoFiles(areas, videoId, files, { restore = false } = {}) {
+  const target = key => restore ? key : trashKey(videoId, key);
+  const source = key => restore ? trashKey(videoId, key) : key;
+  const moved = [];
+  try {
+    for (const file of files) {
+      await areas[file.area].move(source(file.key), target(file.key));
+      moved.push(file);
+    }
+  } catch (error) {
+    for (const file of moved.reverse()) {
+      await areas[file.area].move(target(file.key), source(file.key))
+        .catch(undoError => console.error(`Could not move ${file.area}/${target(file.key)} back:`, undoError.message));
+    }
+    throw error;
+  }
+  
+  // Local storage would keep the emptied folders
+  for (const area of restore ? Object.keys(areas) : PREFIXED_AREAS) {
+    await areas[area].removePrefix(restore ? trashKey(videoId, '') : `${videoId}/`);
+  }
+}
+
+// Delete a trashed video's files, along with anything a job that was still
+// running when it was deleted has written since
+async function purgeVideoFiles(areas, videoId) {
+  for (const area of Object.keys(areas)) {
+    await areas[area].removePrefix(trashKey(videoId, ''));
+    if (PREFIXED_AREAS.includes(area)) await areas[area].removePrefix(`${videoId}/`);
+  }
+}
+
+// When an item trashed at `trashedAt` is purged, or null when retention is 0
+function purgeTime(trashedAt, retentionDays) {
+  if (!retentionDays) return null;
+  return new Date(new Date(trashedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function serializeTrashEntry(entry) {
+  const { record } = entry;
+  return {
+    id: record.id,
+    title: record.title,
+    originalFilename: record.originalFilename || record.filename,
+    size: record.size,
+    duration: record.duration || null,
+    ownerId: record.ownerId || null,
+    trashedAt: entry.trashedAt,
+    trashedBy: entry.trashedBy || null,
+    purgeAt: entry.purgeAt,
+    restoreUrl: `/api/trash/${record.id}/restore`
+  };
+}
+
+module.exports = {
+  trashKey,
+  listVideoFiles,
+  moveVideoFiles,
+  purgeVideoFiles,
+  purgeTime,
+  serializeTrashEntry
+};
@@ -0,0 +1,51 @@
+// Helpers for the tus 1.0 resumable upload protocol (core + creation and
+// termination extensions). See https://tus.io/protocols/resumable-upload
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = 'creation,termination';
+const TUS_CONTENT_TYPE = 'application/offset+octet-stream';
+
+// Parse an Upload-Metadata header: comma-separated "key base64value" pairs
+function parseMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+  
+  header.split(',').forEach(pair => {
+    const [key, value] = pair.trim().split(' ');
+    if (!key) return;
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  });
+  return metadata;
+}
+
+// Parse an Upload-Offset or Upload-Length header, which must be a
+// non-negative integer in plain decimal digits. Returns null when the header
+// is missing or malformed; Number() alone would take '', '1e3' and '0x10'.
+function parseUploadNumber(header) {
+  if (typeof header !== 'string' || !/^\d+$/.test(header)) return null;
+  const value = Number(header);
+  return Number.isSafeInteger(value) ? value : null;
+}
+
+// Headers sent with every tus response
+function tusHeaders(res) {
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+  res.setHeader('Cache-Control', 'no-store');
+}
+
+// Headers describing what this server supports, sent in reply to OPTIONS
+function tusCapabilities(res, maxSize) {
+  tusHeaders(res);
+  res.setHeader('Tus-Version', TUS_VERSION);
+  res.setHeader('Tus-Extension', TUS_EXTENSIONS);
+  res.setHeader('Tus-Max-Size', String(maxSize));
+}
+
+module.exports = {
+  TUS_VERSION,
+  TUS_CONTENT_TYPE,
+  parseMetadata,
+  parseUploadNumber,
+  tusHeaders,
+  tusCapabilities
+};
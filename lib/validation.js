@@ -0,0 +1,153 @@
+const path = require('path');
+
+// Checks on what clients send in: file contents are recognised by their first
+// bytes rather than trusted by extension or Content-Type, and names are
+// cleaned before they are stored or shown. Rejections share one shape:
+//
+//   { error: 'Readable summary', code: 'machine_readable_code', reasons: [...] }
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_FILENAME_LENGTH = 200;
+// Bytes of a file needed to recognise its container
+const HEADER_LENGTH = 64;
+
+// Extensions a file may have for each container, by what its bytes say it is
+const CONTAINER_EXTENSIONS = {
+  mp4: ['.mp4', '.m4v', '.mov', '.3gp'],
+  quicktime: ['.mov', '.mp4', '.m4v'],
+  '3gp': ['.3gp', '.mp4'],
+  webm: ['.webm', '.mkv'],
+  matroska: ['.mkv'],
+  avi: ['.avi'],
+  flv: ['.flv'],
+  asf: ['.wmv'],
+  ogg: ['.ogg']
+};
+
+// Old QuickTime files start straight with an atom instead of "ftyp"
+const QUICKTIME_ATOMS = ['moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+const ASF_GUID = Buffer.from([0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11]);
+
+// Control characters and the invisible marks that reorder text, which can
+// make a name display as something else entirely
+const UNSAFE_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u200e\u200f\u202a-\u202e\u2066-\u2069]/g;
+// Tabs, line breaks and other whitespace count as spaces, not as control
+// characters to drop, so they still separate words
+const WHITESPACE = /\s/g;
+// Characters no file name should contain on any common filesystem
+const RESERVED_FILENAME_CHARACTERS = /[<>:"/\\|?*]/g;
+const WINDOWS_DEVICE_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)$/i;
+
+function rejection(code, error, reasons = []) {
+  return { error, code, reasons };
+}
+
+// The container a file's first bytes belong to, or null for anything that
+// isn't a supported video
+function sniffVideo(header) {
+  if (header.length < 12) return null;
+  const ascii = (start, end) => header.toString('latin1', start, end);
+  
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'qt  ') return 'quicktime';
+    if (brand.startsWith('3g')) return '3gp';
+    return 'mp4';
+  }
+  if (QUICKTIME_ATOMS.includes(ascii(4, 8))) return 'quicktime';
+  if (header.readUInt32BE(0) === 0x1a45dfa3) {
+    return ascii(0, header.length).includes('webm') ? 'webm' : 'matroska';
+  }
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'AVI ') return 'avi';
+  if (ascii(0, 3) === 'FLV') return 'flv';
+  if (header.subarray(0, 8).equals(ASF_GUID)) return 'asf';
+  if (ascii(0, 4) === 'OggS') return 'ogg';
+  return null;
+}
+
+function containerMatchesExtension(container, filename) {
+  return CONTAINER_EXTENSIONS[container].includes(path.extname(filename).toLowerCase());
+}
+
+// 'jpeg', 'png' or 'webp' from an image's first bytes, or null
+function sniffImage(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  return null;
+}
+
+// A client-supplied file name reduced to a safe, single path component:
+// directories dropped, Unicode normalised (NFC), unsafe and reserved
+// characters replaced, and leading dots removed so it can't be hidden or
+// climb out of a folder. Returns '' when nothing usable is left.
+function sanitizeFilename(value) {
+  if (typeof value !== 'string') return '';
+  let name = path.posix.basename(value.replace(/\\/g, '/'))
+    .normalize('NFC')
+    .replace(WHITESPACE, ' ')
+    .replace(UNSAFE_CHARACTERS, '')
+    .replace(RESERVED_FILENAME_CHARACTERS, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '');
+  
+  const extension = path.extname(name);
+  let base = path.basename(name, extension);
+  if (WINDOWS_DEVICE_NAMES.test(base)) base = `_${base}`;
+  base = base.slice(0, MAX_FILENAME_LENGTH - extension.length);
+  name = base ? `${base}${extension}` : '';
+  return name;
+}
+
+// A title as it will be stored: normalised (NFC), without control or
+// reordering characters, slashes (titles double as name-based links) or runs
+// of whitespace. May be ''.
+function cleanTitle(value) {
+  if (typeof value !== 'string') return '';
+  return value
+    .normalize('NFC')
+    .replace(WHITESPACE, ' ')
+    .replace(UNSAFE_CHARACTERS, '')
+    .replace(/[/\\]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Check a title given by a client. Returns { title } or { error } with a
+// rejection.
+function validateTitle(value) {
+  if (typeof value !== 'string') {
+    return { error: rejection('invalid_title', 'Title must be text') };
+  }
+  const title = cleanTitle(value);
+  const reasons = [];
+  if (title === '') reasons.push('The title is empty once control characters and whitespace are removed');
+  if (title === '.' || title === '..') reasons.push('The title cannot be "." or ".."');
+  if (title.length > MAX_TITLE_LENGTH) reasons.push(`The title is longer than ${MAX_TITLE_LENGTH} characters`);
+  if (reasons.length > 0) {
+    return { error: rejection('invalid_title', 'Invalid title', reasons) };
+  }
+  return { title };
+}
+
+// The same for a title that may be left out: missing or blank gives
+// { title: undefined }
+function validateOptionalTitle(value) {
+  if (value === undefined || value === null || (typeof value === 'string' && value.trim() === '')) {
+    return { title: undefined };
+  }
+  return validateTitle(value);
+}
+
+module.exports = {
+  HEADER_LENGTH,
+  CONTAINER_EXTENSIONS,
+  rejection,
+  sniffVideo,
+  containerMatchesExtension,
+  sniffImage,
+  sanitizeFilename,
+  cleanTitle,
+  validateTitle,
+  validateOptionalTitle
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+
+// Watch-folder ingestion: a directory that other machines (recorders,
+// encoders, scanners) drop video files into. The folder is polled; a file is
+// handed to `ingest` once its size and modification time have stayed the same
+// for `stableTime`, which means whoever writes it has finished.
+//
+// In move mode the file leaves the folder as it is ingested. In copy mode it
+// stays, and the store remembers what was ingested so it isn't picked up
+// again (unless the file changes). A file whose ingest fails is moved to the
+// quarantine folder with a .error.txt file saying why, unless the error has
+// `retry` set: then nothing is wrong with the file itself (say, it couldn't
+// be checked just now) and it is tried again on the next scan.
+
+const QUARANTINE_FOLDER = 'quarantine';
+
+// Files still being written by common tools, and dotfiles such as .DS_Store
+function isIgnored(name) {
+  return name.startsWith('.') || /\.(part|tmp|crdownload|download|partial)$/i.test(name);
+}
+
+function createFolderWatcher({ folder, mode, store, interval, stableTime, accept, ingest }) {
+  const quarantineFolder = path.join(folder, QUARANTINE_FOLDER);
+  // Files seen changing recently: name -> { fingerprint, since }
+  const pending = new Map();
+  // Files skipped because `accept` refused them, so that is only logged once
+  const skipped = new Set();
+  let timer = null;
+  let scanning = false;
+  
+  function fingerprint(stat) {
+    return `${stat.size}:${Math.round(stat.mtimeMs)}`;
+  }
+  
+  function quarantine(name, error) {
+    const target = path.join(quarantineFolder, `${Date.now()}-${name}`);
+    try {
+      fs.mkdirSync(quarantineFolder, { recursive: true });
+      if (fs.existsSync(path.join(folder, name))) {
+        fs.renameSync(path.join(folder, name), target);
+      }
+      fs.writeFileSync(`${target}.error.txt`, `${new Date().toISOString()} ${error.message}\n`);
+      console.error(`Watch folder: quarantined ${name}: ${error.message}`);
+    } catch (quarantineError) {
+      console.error(`Watch folder: could not quarantine ${name}:`, quarantineError.message);
+    }
+  }
+  
+  async function ingestFile(name, stat, retrying) {
+    const filePath = path.join(folder, name);
+    try {
+      const result = await ingest(filePath, { name, size: stat.size, mode });
+      if (mode === 'copy') {
+        store.put({ id: name, fingerprint: fingerprint(stat), videoId: result.videoId, ingestedAt: new Date().toISOString() });
+      }
+      console.log(`Watch folder: ingested ${name} as video ${result.videoId}`);
+    } catch (error) {
+      if (!error.retry) return quarantine(name, error);
+      if (!retrying) console.warn(`Watch folder: will retry ${name}: ${error.message}`);
+      pending.set(name, { fingerprint: fingerprint(stat), since: 0, retrying: true });
+    }
+  }
+  
+  async function scan() {
+    const now = Date.now();
+    const entries = fs.readdirSync(folder, { withFileTypes: true })
+      .filter(entry => entry.isFile() && !isIgnored(entry.name));
+    const present = new Set(entries.map(entry => entry.name));
+    
+    for (const name of [...pending.keys()]) {
+      if (!present.has(name)) pending.delete(name);
+    }
+    for (const name of [...skipped]) {
+      if (!present.has(name)) skipped.delete(name);
+    }
+    
+    for (const entry of entries) {
+      const { name } = entry;
+      if (!accept(name)) {
+        if (!skipped.has(name)) console.warn(`Watch folder: skipping ${name}, not a video file`);
+        skipped.add(name);
+        continue;
+      }
+      
+      let stat;
+      try {
+        stat = fs.statSync(path.join(folder, name));
+      } catch (error) {
+        continue;
+      }
+      const current = fingerprint(stat);
+      const ingested = store.get(name);
+      if (mode === 'copy' && ingested && ingested.fingerprint === current) continue;
+      
+      const seen = pending.get(name);
+      if (!seen || seen.fingerprint !== current) {
+        pending.set(name, { fingerprint: current, since: now });
+        continue;
+      }
+      if (now - seen.since < stableTime) continue;
+      
+      pending.delete(name);
+      await ingestFile(name, stat, !!seen.retrying);
+    }
+  }
+  
+  function schedule() {
+    timer = setTimeout(async () => {
+      // One scan at a time, however long ingesting takes
+      if (scanning) return schedule();
+      scanning = true;
+      try {
+        await scan();
+      } catch (error) {
+        console.error('Watch folder: scan failed:', error.message);
+      } finally {
+        scanning = false;
+        schedule();
+      }
+    }, interval);
+    timer.unref();
+  }
+  
+  return {
+    start() {
+      fs.mkdirSync(folder, { recursive: true });
+      console.log(`Watching ${folder} for new videos (${mode} mode)`);
+      schedule();
+    },
+    stop() {
+      clearTimeout(timer);
+    },
+    scan
+  };
+}
+
+module.exports = { QUARANTINE_FOLDER, createFolderWatcher };
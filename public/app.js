@@ -0,0 +1,2041 @@
+let currentVideoId = null;
+let hlsPlayer = null;
+let jobPollTimer = null;
+let activeJobCount = 0;
+let videos = [];
+let pendingFiles = [];
+let popupCallback = null;
+let currentUser = null;
+let currentLibrary = 'all';
+let nextCursor = null;
+let activeTag = null;
+let loadingMore = false;
+let listRequest = 0;
+// Videos ticked for a bulk action, and the last one clicked, for shift-click
+let selectedVideos = new Set();
+let lastSelectedId = null;
+const PAGE_SIZE = 24;
+
+// Find out who is signed in, then show the matching controls and library
+async function loadSession() {
+  try {
+    const response = await fetch('/api/auth/me');
+    const session = await response.json();
+    currentUser = session.user;
+    
+    document.getElementById('signInForm').classList.toggle('hidden', !!currentUser);
+    document.getElementById('signedIn').classList.toggle('hidden', !currentUser);
+    document.getElementById('registerButton').classList.toggle('hidden', !session.registrationOpen);
+    document.getElementById('currentUsername').textContent = currentUser ? currentUser.username : '';
+    document.getElementById('uploadArea').classList.toggle('hidden', !currentUser);
+    document.getElementById('importForm').classList.toggle('hidden', !currentUser);
+    document.getElementById('myVideosTab').classList.toggle('hidden', !currentUser);
+    document.getElementById('trashTab').classList.toggle('hidden', !currentUser);
+    if (!currentUser) {
+      currentLibrary = 'all';
+      selectedVideos.clear();
+    }
+    updateLibraryTabs();
+  } catch (error) {
+    console.error('Error loading session:', error);
+  }
+  videos = [];
+  loadVideos();
+}
+
+async function submitCredentials(url) {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username: document.getElementById('authUsername').value.trim(),
+        password: document.getElementById('authPassword').value
+      })
+    });
+    const result = await response.json();
+    
+    if (!response.ok) {
+      showNotification(result.error, true);
+      return;
+    }
+    
+    document.getElementById('signInForm').reset();
+    showNotification(`Signed in as ${result.user.username}`);
+    currentLibrary = 'mine';
+    loadSession();
+  } catch (error) {
+    console.error('Error signing in:', error);
+    showNotification('Error signing in', true);
+  }
+}
+
+document.getElementById('signInForm').addEventListener('submit', (e) => {
+  e.preventDefault();
+  submitCredentials('/api/auth/login');
+});
+
+document.getElementById('registerButton').addEventListener('click', () => {
+  if (document.getElementById('signInForm').reportValidity()) {
+    submitCredentials('/api/auth/register');
+  }
+});
+
+document.getElementById('signOutButton').addEventListener('click', async () => {
+  try {
+    await fetch('/api/auth/logout', { method: 'POST' });
+  } catch (error) {
+    console.error('Error signing out:', error);
+  }
+  loadSession();
+});
+
+function updateLibraryTabs() {
+  document.querySelectorAll('.library-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.library === currentLibrary);
+  });
+}
+
+document.querySelectorAll('.library-tab').forEach(tab => {
+  tab.addEventListener('click', () => {
+    currentLibrary = tab.dataset.library;
+    updateLibraryTabs();
+    videos = [];
+    clearSelection();
+    loadVideos();
+  });
+});
+
+// The listing query for the current library, search and sort order
+function videoListUrl(limit, cursor) {
+  const params = new URLSearchParams({ limit });
+  if (currentLibrary === 'mine') params.set('owner', 'me');
+  const q = document.getElementById('searchInput').value.trim();
+  if (q) params.set('q', q);
+  if (activeTag) params.set('tag', activeTag);
+  const [sort, order] = document.getElementById('sortSelect').value.split(':');
+  if (sort) {
+    params.set('sort', sort);
+    params.set('order', order);
+  }
+  if (cursor) params.set('cursor', cursor);
+  return `/api/videos?${params}`;
+}
+
+// (Re)load the library from the top. As many videos as were already
+// showing are fetched again, so refreshing after a change keeps the
+// scroll position; clear `videos` first to start over at one page.
+async function loadVideos() {
+  const request = ++listRequest;
+  document.querySelector('.library-toolbar').classList.toggle('hidden', currentLibrary === 'playlists' || currentLibrary === 'trash');
+  document.getElementById('trashToolbar').classList.toggle('hidden', currentLibrary !== 'trash');
+  updateBulkToolbar();
+  loadContinueWatching();
+  if (currentLibrary === 'playlists') {
+    nextCursor = null;
+    return loadPlaylists(request);
+  }
+  if (currentLibrary === 'trash') {
+    nextCursor = null;
+    return loadTrash(request);
+  }
+  
+  try {
+    const response = await fetch(videoListUrl(Math.min(200, Math.max(PAGE_SIZE, videos.length))));
+    const page = await response.json();
+    if (request !== listRequest) return;
+    if (!response.ok) {
+      showNotification(`Failed to load videos: ${page.error}`, true);
+      return;
+    }
+    
+    videos = page;
+    nextCursor = response.headers.get('X-Next-Cursor');
+    updateVideoCount(response);
+    
+    const videoGrid = document.getElementById('videoGrid');
+    videoGrid.innerHTML = '';
+    
+    if (videos.length === 0) {
+      videoGrid.innerHTML = document.getElementById('searchInput').value.trim() !== ''
+        ? '<p>No videos match your search.</p>'
+        : currentLibrary === 'mine'
+          ? '<p>You have not uploaded any videos yet.</p>'
+          : '<p>No videos found. Upload some videos to get started!</p>';
+      return;
+    }
+    
+    videos.forEach(video => videoGrid.appendChild(createVideoCard(video)));
+    refreshJobs();
+  } catch (error) {
+    console.error('Error loading videos:', error);
+    showNotification('Failed to load videos', true);
+  }
+  fillViewport();
+}
+
+// Infinite scroll: append the next page once the end of the grid comes into view
+async function loadMoreVideos() {
+  if (!nextCursor || loadingMore) return;
+  loadingMore = true;
+  const request = listRequest;
+  try {
+    const response = await fetch(videoListUrl(PAGE_SIZE, nextCursor));
+    const page = await response.json();
+    if (request !== listRequest || !response.ok) return;
+    
+    videos = videos.concat(page);
+    nextCursor = response.headers.get('X-Next-Cursor');
+    updateVideoCount(response);
+    const videoGrid = document.getElementById('videoGrid');
+    page.forEach(video => videoGrid.appendChild(createVideoCard(video)));
+    refreshJobs();
+  } catch (error) {
+    console.error('Error loading more videos:', error);
+  } finally {
+    loadingMore = false;
+  }
+  fillViewport();
+}
+
+// The observer only fires when the end of the grid moves into view, so
+// keep loading while a short page leaves it visible
+function fillViewport() {
+  const end = document.getElementById('videoGridEnd').getBoundingClientRect();
+  if (nextCursor && end.top < window.innerHeight + 400) loadMoreVideos();
+}
+
+new IntersectionObserver(entries => {
+  if (entries[0].isIntersecting) loadMoreVideos();
+}, { rootMargin: '400px' }).observe(document.getElementById('videoGridEnd'));
+
+function updateVideoCount(response) {
+  const total = Number(response.headers.get('X-Total-Count'));
+  document.getElementById('videoCount').textContent = `${total} video${total === 1 ? '' : 's'}`;
+}
+
+let searchTimer = null;
+document.getElementById('searchInput').addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => {
+    videos = [];
+    loadVideos();
+  }, 300);
+});
+
+document.getElementById('sortSelect').addEventListener('change', () => {
+  videos = [];
+  loadVideos();
+});
+
+function createButton(text, className, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = text;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function createVideoCard(video) {
+  const videoCard = document.createElement('div');
+  videoCard.className = 'video-card';
+  videoCard.dataset.videoId = video.id;
+  
+  const thumbnailContainer = document.createElement('div');
+  thumbnailContainer.className = 'video-thumbnail-container';
+  
+  if (video.thumbnailUrl) {
+    const lazyImage = document.createElement('img');
+    lazyImage.className = 'video-thumbnail lazy-load';
+    lazyImage.dataset.src = video.thumbnailUrl;
+    lazyImage.dataset.srcset = thumbnailSrcset(video.thumbnailUrl, video.thumbnailWidths);
+    lazyImage.alt = video.displayName;
+    
+    thumbnailContainer.innerHTML = '<div class="spinner"></div>';
+    thumbnailContainer.appendChild(lazyImage);
+    
+    const observer = new IntersectionObserver((entries, observer) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          const img = entry.target;
+          img.srcset = img.dataset.srcset;
+          img.src = img.dataset.src;
+          img.onload = () => {
+            img.classList.remove('lazy-load');
+            thumbnailContainer.querySelector('.spinner')?.remove();
+          };
+          observer.unobserve(img);
+        }
+      });
+    });
+    
+    observer.observe(lazyImage);
+  } else {
+    thumbnailContainer.innerHTML = '<div class="lazy-load">No Thumbnail</div>';
+  }
+  
+  addVideoBadges(thumbnailContainer, video);
+  videoCard.appendChild(thumbnailContainer);
+  
+  // Names and other text from the server only ever go in as text, never markup
+  const videoInfo = document.createElement('div');
+  videoInfo.className = 'video-info';
+  const title = document.createElement('div');
+  title.className = 'video-title';
+  title.textContent = title.title = video.displayName;
+  const filename = document.createElement('div');
+  filename.className = 'video-filename';
+  filename.textContent = filename.title = video.originalFilename;
+  const meta = document.createElement('div');
+  meta.className = 'video-meta';
+  [
+    video.ownerName ? `Owner: ${video.ownerName}` : null,
+    `Size: ${formatFileSize(video.size)}`,
+    `Modified: ${new Date(video.modified).toLocaleDateString()}`
+  ].filter(Boolean).forEach((line, index) => {
+    if (index > 0) meta.appendChild(document.createElement('br'));
+    meta.append(line);
+  });
+  if (currentUser) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'video-select';
+    checkbox.checked = selectedVideos.has(video.id);
+    checkbox.setAttribute('aria-label', `Select ${video.displayName}`);
+    checkbox.addEventListener('click', (event) => toggleSelection(video.id, checkbox.checked, event.shiftKey));
+    const titleRow = document.createElement('div');
+    titleRow.className = 'video-title-row';
+    titleRow.append(checkbox, title);
+    videoInfo.appendChild(titleRow);
+    videoCard.classList.toggle('selected', checkbox.checked);
+  } else {
+    videoInfo.appendChild(title);
+  }
+  videoInfo.append(filename, meta);
+  
+  if (video.canEdit) {
+    const visibility = document.createElement('select');
+    visibility.className = 'visibility-select';
+    ['public', 'unlisted', 'private'].forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value.charAt(0).toUpperCase() + value.slice(1);
+      option.selected = video.visibility === value;
+      visibility.appendChild(option);
+    });
+    visibility.addEventListener('change', () => changeVisibility(video.id, visibility.value));
+    videoInfo.appendChild(visibility);
+  }
+  
+  const jobs = document.createElement('div');
+  jobs.className = 'video-jobs hidden';
+  jobs.dataset.videoId = video.id;
+  
+  const actions = document.createElement('div');
+  actions.className = 'video-actions';
+  const play = createButton('Play', 'btn', () => playVideo(video.id, video.displayName));
+  play.disabled = video.playable === false;
+  actions.appendChild(play);
+  // Only the owner (or an admin) gets the buttons that change a video
+  if (video.canEdit) {
+    actions.append(
+      createButton('Rename', 'btn btn-secondary', () => showRenameModal(video.id, video.displayName)),
+      createButton('Thumbnail', 'btn btn-secondary', () => showThumbnailModal(video.id)),
+      createButton('Captions', 'btn btn-secondary', () => showSubtitlesModal(video.id)),
+      createButton('Tags', 'btn btn-secondary', () => showTagsModal(video.id)),
+      createButton('Stats', 'btn btn-secondary', () => showStatsModal(video.id))
+    );
+    if (video.visibility === 'private') {
+      actions.appendChild(createButton('Share Link', 'btn btn-secondary', () => shareVideo(video.id)));
+    }
+  }
+  const watchLink = document.createElement('a');
+  watchLink.href = video.watchUrl;
+  watchLink.target = '_blank';
+  watchLink.rel = 'noopener';
+  watchLink.className = 'btn btn-secondary';
+  watchLink.textContent = 'Watch Page';
+  actions.appendChild(watchLink);
+  if (video.visibility !== 'private' && video.playable !== false) {
+    actions.appendChild(createButton('Embed', 'btn btn-secondary', () => copyEmbedCode(video.id)));
+  }
+  if (currentUser) {
+    actions.appendChild(createButton('Add to Playlist', 'btn btn-secondary', () => showPlaylistModal(video.id)));
+  }
+  if (video.canEdit) {
+    actions.appendChild(createButton('Delete', 'btn btn-danger', () => confirmDeleteVideo(video.id)));
+  }
+  videoInfo.append(jobs, actions);
+  
+  if (video.tags.length > 0) {
+    const tagList = document.createElement('div');
+    tagList.className = 'video-tags';
+    video.tags.forEach(tag => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'tag-chip';
+      chip.textContent = tag;
+      chip.addEventListener('click', () => filterByTag(tag));
+      tagList.appendChild(chip);
+    });
+    videoInfo.querySelector('.video-meta').after(tagList);
+  }
+  
+  videoCard.appendChild(videoInfo);
+  return videoCard;
+}
+
+// Show background processing progress on the cards, polling while
+// anything is still queued or running
+async function refreshJobs() {
+  clearTimeout(jobPollTimer);
+  // Job progress is only shown to signed-in users
+  if (!currentUser) return;
+  try {
+    const response = await fetch('/api/jobs?status=queued,running');
+    const activeJobs = await response.json();
+    
+    const describe = list => list.map(job => job.status === 'running' ? `${job.progress}%` : 'queued').join(', ');
+    const imports = activeJobs.filter(job => job.type === 'import');
+    document.getElementById('importJobs').textContent = imports.length === 0 ? '' : `Importing: ${describe(imports)}`;
+    const edits = activeJobs.filter(job => job.type === 'edit');
+    document.getElementById('editJobs').textContent = edits.length === 0 ? '' : `Cutting: ${describe(edits)}`;
+    
+    document.querySelectorAll('.video-jobs').forEach(element => {
+      const videoJobs = activeJobs.filter(job => job.videoId === element.dataset.videoId);
+      element.textContent = videoJobs
+        .map(job => job.status === 'running' ? `${job.type} ${job.progress}%` : `${job.type} queued`)
+        .join(', ');
+      element.classList.toggle('hidden', videoJobs.length === 0);
+    });
+    
+    // Something finished since the last poll: reload to pick up new thumbnails and streams
+    const finished = activeJobs.length < activeJobCount;
+    activeJobCount = activeJobs.length;
+    if (finished) {
+      loadVideos();
+      return;
+    }
+    
+    if (activeJobs.length > 0) {
+      jobPollTimer = setTimeout(refreshJobs, 2000);
+    }
+  } catch (error) {
+    console.error('Error loading jobs:', error);
+  }
+}
+
+document.getElementById('importForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const input = document.getElementById('importUrl');
+  try {
+    const response = await fetch('/api/import', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: input.value })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      showNotification(`Failed to import: ${result.error}`, true);
+      return;
+    }
+    
+    input.value = '';
+    showNotification('Import started; the video appears once it has downloaded');
+    watchNewVideoJob(result.jobId, 'Imported', 'Import failed');
+    refreshJobs();
+  } catch (error) {
+    console.error('Error starting import:', error);
+    showNotification('Error starting import', true);
+  }
+});
+
+// Tell the user how a job making a new video (an import, clip or join)
+// ended; progress shows next to the form that started it
+async function watchNewVideoJob(jobId, doneMessage, failedMessage) {
+  try {
+    const response = await fetch(`/api/jobs/${jobId}`);
+    const job = await response.json();
+    if (job.status === 'completed') {
+      showNotification(`${doneMessage} "${job.result.title}"`);
+    } else if (job.status === 'failed') {
+      showNotification(`${failedMessage}: ${job.error}`, true);
+    } else if (response.ok) {
+      setTimeout(() => watchNewVideoJob(jobId, doneMessage, failedMessage), 2000);
+    }
+  } catch (error) {
+    console.error('Error checking job:', error);
+  }
+}
+
+// Trimming: mark a start and end in the playing video, then make a clip
+// of it or collect several such segments, from any videos, to join
+let joinSegments = [];
+
+function formatCutTime(seconds) {
+  const whole = Math.floor(seconds);
+  return `${formatDuration(whole)}.${Math.floor((seconds - whole) * 10)}`;
+}
+
+function resetTrimControls(video) {
+  document.getElementById('trimStart').value = '';
+  document.getElementById('trimEnd').value = '';
+  document.getElementById('trimControls').classList.toggle('hidden', !currentUser);
+  
+  // Videos cut from others link back to where they came from
+  const source = document.getElementById('clipSource');
+  source.innerHTML = '';
+  const sources = video ? video.sources : [];
+  source.classList.toggle('hidden', sources.length === 0);
+  if (sources.length === 0) return;
+  source.append(sources.length === 1 ? 'Clipped from ' : 'Joined from ');
+  sources.forEach((segment, index) => {
+    if (index > 0) source.append(', ');
+    const link = document.createElement(segment.title ? 'a' : 'span');
+    link.textContent = segment.title || 'a deleted or private video';
+    if (segment.title) link.href = segment.watchUrl;
+    source.append(link, ` (${formatCutTime(segment.start)}–${segment.end === null ? 'end' : formatCutTime(segment.end)})`);
+  });
+}
+
+function renderJoinList() {
+  const list = document.getElementById('joinSegments');
+  list.innerHTML = '';
+  joinSegments.forEach((segment, index) => {
+    const item = document.createElement('li');
+    item.textContent = `${segment.title}: ${segment.start || '0:00'} to ${segment.end || 'end'}`;
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-secondary';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => {
+      joinSegments.splice(index, 1);
+      renderJoinList();
+    });
+    item.appendChild(remove);
+    list.appendChild(item);
+  });
+  document.getElementById('joinList').classList.toggle('hidden', joinSegments.length === 0);
+}
+
+function currentTrimSegment() {
+  return {
+    videoId: playingVideoId,
+    start: document.getElementById('trimStart').value.trim() || undefined,
+    end: document.getElementById('trimEnd').value.trim() || undefined
+  };
+}
+
+async function startEdit(url, body, doneMessage) {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...body,
+        title: document.getElementById('trimTitle').value.trim() || undefined,
+        mode: document.getElementById('trimMode').value
+      })
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      showNotification(`Failed to start: ${result.error}`, true);
+      return false;
+    }
+    
+    document.getElementById('trimTitle').value = '';
+    showNotification('Cutting started; the new video appears once it is ready');
+    watchNewVideoJob(result.jobId, doneMessage, 'Cutting failed');
+    refreshJobs();
+    return true;
+  } catch (error) {
+    console.error('Error starting cut:', error);
+    showNotification('Error starting cut', true);
+    return false;
+  }
+}
+
+document.getElementById('trimMarkStart').addEventListener('click', () => {
+  document.getElementById('trimStart').value = formatCutTime(document.getElementById('videoPlayer').currentTime);
+});
+document.getElementById('trimMarkEnd').addEventListener('click', () => {
+  document.getElementById('trimEnd').value = formatCutTime(document.getElementById('videoPlayer').currentTime);
+});
+document.getElementById('createClip').addEventListener('click', () => {
+  const { start, end } = currentTrimSegment();
+  startEdit(`/api/videos/${playingVideoId}/clip`, { start, end }, 'Created clip');
+});
+document.getElementById('addJoinSegment').addEventListener('click', () => {
+  const video = videos.find(v => v.id === playingVideoId) || continueWatching.find(v => v.id === playingVideoId);
+  joinSegments.push({ ...currentTrimSegment(), title: video ? video.displayName : playingVideoId });
+  renderJoinList();
+});
+document.getElementById('createJoin').addEventListener('click', async () => {
+  const segments = joinSegments.map(({ videoId, start, end }) => ({ videoId, start, end }));
+  if (await startEdit('/api/videos/concat', { segments }, 'Created')) {
+    joinSegments = [];
+    renderJoinList();
+  }
+});
+document.getElementById('clearJoin').addEventListener('click', () => {
+  joinSegments = [];
+  renderJoinList();
+});
+
+function addVideoBadges(container, video) {
+  const badges = [];
+  if (video.duration) badges.push(['duration', formatDuration(video.duration)]);
+  if (video.width && video.height) badges.push(['resolution', `${Math.min(video.width, video.height)}p`]);
+  if (video.playable === false) badges.push(['unplayable', 'Unplayable']);
+  if (video.visibility === 'private') badges.push(['visibility', 'Private']);
+  if (video.visibility === 'unlisted') badges.push(['visibility', 'Unlisted']);
+  if (video.progress && video.progress.watched) badges.push(['watched', 'Watched']);
+  
+  badges.forEach(([type, text]) => {
+    const badge = document.createElement('span');
+    badge.className = `video-badge video-badge-${type}`;
+    badge.textContent = text;
+    if (type === 'unplayable') badge.title = video.problems.join('\n');
+    container.appendChild(badge);
+  });
+  
+  if (video.progress && video.duration) {
+    const bar = document.createElement('div');
+    bar.className = 'watch-progress';
+    bar.style.width = `${Math.min(100, (video.progress.position / video.duration) * 100)}%`;
+    container.appendChild(bar);
+  }
+}
+
+const supportsWebp = document.createElement('canvas').toDataURL('image/webp').startsWith('data:image/webp');
+
+// Let the browser pick the thumbnail size for the screen's pixel density
+function thumbnailSrcset(url, widths) {
+  const format = supportsWebp ? '&format=webp' : '';
+  return widths.map(width => `${url}?width=${width}${format} ${width}w`).join(', ');
+}
+
+const watchTracker = createWatchTracker(document.getElementById('videoPlayer'));
+let playingVideoId = null;
+let resumeFrom = null;
+let continueWatching = [];
+
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+}
+
+function playVideo(videoId, filename) {
+  const player = document.getElementById('videoPlayer');
+  const container = document.getElementById('videoPlayerContainer');
+  const title = document.getElementById('currentVideoTitle');
+  const video = videos.find(v => v.id === videoId) || continueWatching.find(v => v.id === videoId);
+  
+  // Switch tracking first: the last report on the previous video
+  // carries its position, which changing the source would reset
+  watchTracker.track(`/api/videos/${videoId}/beacon`);
+  playingVideoId = videoId;
+  attachVideoSource(player, video ? video.hlsUrl : null, video ? video.playbackUrl : `/video/${videoId}`);
+  setSubtitleTracks(player, video ? video.subtitles : []);
+  loadStoryboard(video ? video.storyboardUrl : null);
+  resetTrimControls(video);
+  title.textContent = filename;
+  container.classList.remove('hidden');
+  
+  // Offer to pick up where the viewer stopped last time
+  resumeFrom = video && video.progress ? video.progress.resumeFrom : null;
+  document.getElementById('resumePrompt').classList.toggle('hidden', resumeFrom === null);
+  if (resumeFrom !== null) {
+    document.getElementById('resumeMessage').textContent = `You stopped at ${formatDuration(resumeFrom)}.`;
+  } else {
+    player.play();
+  }
+  container.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Start playback at a position, once the player knows the video's length
+function startPlayback(position) {
+  const player = document.getElementById('videoPlayer');
+  document.getElementById('resumePrompt').classList.add('hidden');
+  if (player.readyState >= 1) {
+    player.currentTime = position;
+  } else {
+    player.addEventListener('loadedmetadata', () => { player.currentTime = position; }, { once: true });
+  }
+  player.play();
+}
+
+document.getElementById('resumeButton').addEventListener('click', () => startPlayback(resumeFrom));
+document.getElementById('startOverButton').addEventListener('click', () => startPlayback(0));
+document.getElementById('videoPlayer').addEventListener('play', () => {
+  document.getElementById('resumePrompt').classList.add('hidden');
+});
+
+// Save the position on closing, so Play offers to resume from there
+async function saveProgress(videoId, position) {
+  try {
+    const response = await fetch(`/api/history/${videoId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ position })
+    });
+    if (response.ok) loadVideos();
+  } catch (error) {
+    console.error('Error saving watch progress:', error);
+  }
+}
+
+// "Continue watching": videos the signed-in user stopped part-way through
+async function loadContinueWatching() {
+  const section = document.getElementById('continueWatching');
+  if (!currentUser || currentLibrary === 'playlists' || currentLibrary === 'trash') {
+    continueWatching = [];
+    section.classList.add('hidden');
+    return;
+  }
+  
+  try {
+    const response = await fetch('/api/history?status=in-progress&limit=12');
+    if (!response.ok) return;
+    continueWatching = await response.json();
+    
+    const row = document.getElementById('continueWatchingRow');
+    row.innerHTML = '';
+    continueWatching.forEach(video => {
+      const tile = document.createElement('button');
+      tile.type = 'button';
+      tile.className = 'continue-tile';
+      const thumbnail = document.createElement('div');
+      thumbnail.className = 'continue-thumbnail';
+      if (video.thumbnailUrl) {
+        const image = document.createElement('img');
+        image.src = `${video.thumbnailUrl}?width=320`;
+        image.alt = '';
+        thumbnail.appendChild(image);
+      }
+      addVideoBadges(thumbnail, video);
+      const title = document.createElement('span');
+      title.textContent = video.displayName;
+      tile.append(thumbnail, title);
+      tile.addEventListener('click', () => playVideo(video.id, video.displayName));
+      row.appendChild(tile);
+    });
+    section.classList.toggle('hidden', continueWatching.length === 0);
+  } catch (error) {
+    console.error('Error loading watch history:', error);
+  }
+}
+
+// Prefer the adaptive HLS stream, falling back to the progressive file
+// (a browser-friendly transcode when there is one) otherwise
+function attachVideoSource(player, hlsUrl, fallbackUrl) {
+  detachHls();
+  
+  if (hlsUrl && player.canPlayType('application/vnd.apple.mpegurl')) {
+    player.src = hlsUrl;
+  } else if (hlsUrl && window.Hls && Hls.isSupported()) {
+    hlsPlayer = new Hls();
+    hlsPlayer.on(Hls.Events.ERROR, (event, data) => {
+      if (data.fatal) {
+        detachHls();
+        player.src = fallbackUrl;
+        player.play();
+      }
+    });
+    hlsPlayer.loadSource(hlsUrl);
+    hlsPlayer.attachMedia(player);
+  } else {
+    player.src = fallbackUrl;
+  }
+}
+
+// Seek-bar previews come from the video's storyboard: a WebVTT
+// thumbnails track whose cues point into a sprite sheet
+let storyboardCues = [];
+
+async function loadStoryboard(url) {
+  storyboardCues = [];
+  document.getElementById('seekBar').classList.toggle('hidden', !url);
+  document.getElementById('seekProgress').style.width = '0';
+  if (!url) return;
+  
+  try {
+    const response = await fetch(url);
+    if (response.ok) {
+      storyboardCues = parseStoryboard(await response.text(), new URL(url, window.location.href));
+    }
+  } catch (error) {
+    console.error('Error loading storyboard:', error);
+  }
+}
+
+// Each cue is "start --> end" followed by "sprite.jpg#xywh=x,y,w,h"
+function parseStoryboard(text, baseUrl) {
+  const toSeconds = value => value.trim().split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+  return text.split(/\n\s*\n/).map(block => {
+    const lines = block.trim().split('\n');
+    const timing = lines.findIndex(line => line.includes('-->'));
+    if (timing === -1 || !lines[timing + 1] || !lines[timing + 1].includes('#xywh=')) return null;
+    
+    const [start, end] = lines[timing].split('-->').map(toSeconds);
+    const [image, fragment] = lines[timing + 1].split('#xywh=');
+    const [x, y, width, height] = fragment.split(',').map(Number);
+    return { start, end, url: new URL(image, baseUrl).href, x, y, width, height };
+  }).filter(Boolean);
+}
+
+const seekBar = document.getElementById('seekBar');
+
+function seekTime(e) {
+  const player = document.getElementById('videoPlayer');
+  const rect = seekBar.getBoundingClientRect();
+  const fraction = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+  return { time: fraction * (player.duration || 0), rect };
+}
+
+seekBar.addEventListener('mousemove', (e) => {
+  const { time, rect } = seekTime(e);
+  const cue = storyboardCues.find(c => time >= c.start && time < c.end) || storyboardCues[storyboardCues.length - 1];
+  if (!cue) return;
+  
+  const preview = document.getElementById('seekPreview');
+  preview.style.width = `${cue.width}px`;
+  preview.style.height = `${cue.height}px`;
+  preview.style.backgroundImage = `url("${cue.url}")`;
+  preview.style.backgroundPosition = `-${cue.x}px -${cue.y}px`;
+  preview.style.left = `${Math.min(Math.max(0, e.clientX - rect.left - cue.width / 2), rect.width - cue.width)}px`;
+  document.getElementById('seekPreviewTime').textContent = formatDuration(time);
+  preview.classList.remove('hidden');
+});
+
+seekBar.addEventListener('mouseleave', () => {
+  document.getElementById('seekPreview').classList.add('hidden');
+});
+
+seekBar.addEventListener('click', (e) => {
+  const player = document.getElementById('videoPlayer');
+  if (player.duration) player.currentTime = seekTime(e).time;
+});
+
+document.getElementById('videoPlayer').addEventListener('timeupdate', (e) => {
+  const player = e.target;
+  document.getElementById('seekProgress').style.width = player.duration ? `${(player.currentTime / player.duration) * 100}%` : '0';
+});
+
+// Give the player one <track> per caption track so viewers can pick one
+function setSubtitleTracks(player, subtitles) {
+  player.querySelectorAll('track').forEach(track => track.remove());
+  subtitles.forEach(subtitle => {
+    const track = document.createElement('track');
+    track.kind = 'subtitles';
+    track.src = subtitle.url;
+    track.srclang = subtitle.language;
+    track.label = subtitle.label;
+    player.appendChild(track);
+  });
+}
+
+function detachHls() {
+  if (hlsPlayer) {
+    hlsPlayer.destroy();
+    hlsPlayer = null;
+  }
+}
+
+document.getElementById('closePlayer').addEventListener('click', function() {
+  const player = document.getElementById('videoPlayer');
+  const container = document.getElementById('videoPlayerContainer');
+  const position = player.currentTime;
+  
+  watchTracker.track(null);
+  detachHls();
+  setSubtitleTracks(player, []);
+  loadStoryboard(null);
+  player.pause();
+  player.src = '';
+  container.classList.add('hidden');
+  document.getElementById('resumePrompt').classList.add('hidden');
+  
+  if (currentUser && playingVideoId && position > 0) {
+    saveProgress(playingVideoId, position);
+  }
+  playingVideoId = null;
+});
+
+function showRenameModal(videoId, currentName) {
+  currentVideoId = videoId;
+  document.getElementById('newName').value = currentName;
+  document.getElementById('renameError').classList.add('hidden');
+  document.getElementById('renameModal').style.display = 'block';
+}
+
+async function renameVideo(videoId, newName) {
+  try {
+    const response = await fetch(`/api/rename/${videoId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ newName })
+    });
+    
+    if (response.ok) {
+      showNotification('Video renamed successfully');
+      loadVideos();
+    } else {
+      const error = await response.json();
+      showNotification(`Failed to rename video: ${describeError(error)}`, true);
+    }
+  } catch (error) {
+    console.error('Error renaming video:', error);
+    showNotification('Error renaming video', true);
+  }
+}
+
+async function changeVisibility(videoId, visibility) {
+  try {
+    const response = await fetch(`/api/videos/${videoId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ visibility })
+    });
+    
+    if (response.ok) {
+      showNotification(`Video is now ${visibility}`);
+    } else {
+      const error = await response.json();
+      showNotification(`Failed to change visibility: ${error.error}`, true);
+    }
+    loadVideos();
+  } catch (error) {
+    console.error('Error changing visibility:', error);
+    showNotification('Error changing visibility', true);
+  }
+}
+
+// Copy a signed link to a private video that works for a day without signing in
+async function shareVideo(videoId) {
+  try {
+    const response = await fetch(`/api/videos/${videoId}/signed-url`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ expiresIn: 24 * 60 * 60 })
+    });
+    const result = await response.json();
+    
+    if (!response.ok) {
+      showNotification(`Failed to create link: ${result.error}`, true);
+      return;
+    }
+    
+    const link = new URL(result.watchUrl, window.location.origin).href;
+    try {
+      await navigator.clipboard.writeText(link);
+      showNotification('Signed link copied; it expires in 24 hours');
+    } catch (clipboardError) {
+      window.prompt('Signed link (expires in 24 hours):', link);
+    }
+  } catch (error) {
+    console.error('Error creating signed link:', error);
+    showNotification('Error creating signed link', true);
+  }
+}
+
+// Copy an iframe that plays the video on other sites, sized like the oEmbed response
+async function copyEmbedCode(videoId) {
+  const video = videos.find(v => v.id === videoId);
+  if (!video) return;
+  
+  const ratio = video.width && video.height ? video.height / video.width : 9 / 16;
+  const iframe = document.createElement('iframe');
+  iframe.src = new URL(video.embedUrl, window.location.origin).href;
+  iframe.width = 640;
+  iframe.height = Math.round(640 * ratio);
+  iframe.title = video.displayName;
+  iframe.setAttribute('frameborder', '0');
+  iframe.setAttribute('allow', 'autoplay; fullscreen; picture-in-picture');
+  iframe.setAttribute('allowfullscreen', '');
+  
+  try {
+    await navigator.clipboard.writeText(iframe.outerHTML);
+    showNotification('Embed code copied');
+  } catch (clipboardError) {
+    window.prompt('Embed code:', iframe.outerHTML);
+  }
+}
+
+function confirmDeleteVideo(videoId) {
+  showCustomPopup(
+    'Delete Video',
+    'Move this video to the trash? You can restore it from the Trash tab until it is purged.',
+    () => deleteVideo(videoId)
+  );
+}
+
+async function deleteVideo(videoId) {
+  try {
+    const response = await fetch(`/api/video/${videoId}`, {
+      method: 'DELETE'
+    });
+    
+    if (response.ok) {
+      showNotification('Video moved to the trash');
+      loadVideos();
+    } else {
+      showNotification('Failed to delete video', true);
+    }
+  } catch (error) {
+    console.error('Error deleting video:', error);
+    showNotification('Error deleting video', true);
+  }
+}
+
+// Selecting videos for bulk actions. Shift-click ticks or unticks every
+// video between the last one clicked and this one.
+function toggleSelection(videoId, selected, extend) {
+  const ids = videos.map(video => video.id);
+  let range = [videoId];
+  if (extend && ids.includes(lastSelectedId)) {
+    const [from, to] = [ids.indexOf(lastSelectedId), ids.indexOf(videoId)].sort((a, b) => a - b);
+    range = ids.slice(from, to + 1);
+  }
+  range.forEach(id => selected ? selectedVideos.add(id) : selectedVideos.delete(id));
+  lastSelectedId = videoId;
+  renderSelection();
+}
+
+function clearSelection() {
+  selectedVideos.clear();
+  lastSelectedId = null;
+  renderSelection();
+}
+
+function renderSelection() {
+  document.querySelectorAll('#videoGrid .video-card').forEach(card => {
+    const checkbox = card.querySelector('.video-select');
+    if (!checkbox) return;
+    checkbox.checked = selectedVideos.has(card.dataset.videoId);
+    card.classList.toggle('selected', checkbox.checked);
+  });
+  updateBulkToolbar();
+}
+
+function updateBulkToolbar() {
+  const toolbar = document.getElementById('bulkToolbar');
+  const show = selectedVideos.size > 0 && currentLibrary !== 'playlists' && currentLibrary !== 'trash';
+  if (show && toolbar.classList.contains('hidden')) loadBulkPlaylists();
+  toolbar.classList.toggle('hidden', !show);
+  document.getElementById('bulkCount').textContent = `${selectedVideos.size} selected`;
+}
+
+async function loadBulkPlaylists() {
+  const select = document.getElementById('bulkPlaylist');
+  select.innerHTML = '<option value="">Add to playlist...</option>';
+  try {
+    const response = await fetch('/api/playlists?owner=me');
+    (await response.json()).forEach(playlist => {
+      const option = document.createElement('option');
+      option.value = playlist.id;
+      option.textContent = playlist.title;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.error('Error loading playlists:', error);
+  }
+}
+
+// Run a bulk action on the selected videos. The ones it failed for stay
+// selected, so the action can be retried once the problem is fixed.
+async function runBulk(operation, options = {}) {
+  let summary = null;
+  try {
+    const response = await fetch('/api/videos/bulk', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids: [...selectedVideos], operation, ...options })
+    });
+    if (!response.ok) throw await responseError(response, 'Bulk action failed');
+    summary = await response.json();
+    reportBulkResults(summary);
+    selectedVideos = new Set(summary.results.filter(result => !result.ok).map(result => result.id));
+    lastSelectedId = null;
+  } catch (error) {
+    console.error(`Error running bulk ${operation}:`, error);
+    showNotification(error.message, true);
+  }
+  loadVideos();
+  return summary;
+}
+
+// One notification for the whole batch, naming the first few failures
+function reportBulkResults(summary) {
+  const failures = summary.results.filter(result => !result.ok);
+  const done = `${summary.succeeded} video${summary.succeeded === 1 ? '' : 's'} done`;
+  if (failures.length === 0) {
+    showNotification(done);
+    return;
+  }
+  const reasons = failures.slice(0, 3).map(result => {
+    const video = videos.find(video => video.id === result.id);
+    return `${video ? video.displayName : result.id}: ${result.error}`;
+  });
+  if (failures.length > 3) reasons.push(`${failures.length - 3} more`);
+  showNotification(`${done}, ${failures.length} failed (${reasons.join('; ')})`, true);
+}
+
+function bulkTags() {
+  const tags = document.getElementById('bulkTags').value.split(',').map(tag => tag.trim()).filter(Boolean);
+  if (tags.length === 0) showNotification('Enter one or more tags, separated by commas', true);
+  return tags;
+}
+
+document.getElementById('bulkSelectAll').addEventListener('click', () => {
+  videos.forEach(video => selectedVideos.add(video.id));
+  renderSelection();
+});
+
+document.getElementById('bulkClear').addEventListener('click', clearSelection);
+
+document.getElementById('bulkVisibility').addEventListener('change', (e) => {
+  const visibility = e.target.value;
+  e.target.value = '';
+  if (visibility) runBulk('visibility', { visibility });
+});
+
+document.getElementById('bulkAddTags').addEventListener('click', () => {
+  const tags = bulkTags();
+  if (tags.length > 0) runBulk('tag', { addTags: tags });
+});
+
+document.getElementById('bulkRemoveTags').addEventListener('click', () => {
+  const tags = bulkTags();
+  if (tags.length > 0) runBulk('tag', { removeTags: tags });
+});
+
+document.getElementById('bulkPlaylist').addEventListener('change', (e) => {
+  const playlistId = e.target.value;
+  e.target.value = '';
+  if (playlistId) runBulk('playlist', { playlistId });
+});
+
+document.getElementById('bulkThumbnails').addEventListener('click', () => runBulk('thumbnails'));
+
+// Start one download per video; browsers usually ask once before allowing
+// a page to download several files
+document.getElementById('bulkDownload').addEventListener('click', async () => {
+  const summary = await runBulk('download');
+  if (!summary) return;
+  for (const result of summary.results.filter(result => result.ok)) {
+    const link = document.createElement('a');
+    link.href = result.downloadUrl;
+    link.download = result.filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    await sleep(500);
+  }
+});
+
+document.getElementById('bulkDelete').addEventListener('click', () => {
+  const count = selectedVideos.size;
+  showCustomPopup(
+    'Delete Videos',
+    `Move ${count} video${count === 1 ? '' : 's'} to the trash? You can restore them from the Trash tab until they are purged.`,
+    () => runBulk('delete')
+  );
+});
+
+// Trash tab: deleted videos, with their purge dates
+async function loadTrash(request) {
+  try {
+    const response = await fetch('/api/trash');
+    const list = await response.json();
+    if (request !== listRequest) return;
+    if (!response.ok) {
+      showNotification(`Failed to load the trash: ${list.error}`, true);
+      return;
+    }
+    
+    document.getElementById('videoCount').textContent = '';
+    document.getElementById('emptyTrash').disabled = list.length === 0;
+    const videoGrid = document.getElementById('videoGrid');
+    videoGrid.innerHTML = '';
+    if (list.length === 0) {
+      videoGrid.innerHTML = '<p>The trash is empty.</p>';
+      return;
+    }
+    list.forEach(item => videoGrid.appendChild(createTrashCard(item)));
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    showNotification('Failed to load the trash', true);
+  }
+}
+
+function createTrashCard(item) {
+  const card = document.createElement('div');
+  card.className = 'video-card trash-card';
+  const info = document.createElement('div');
+  info.className = 'video-info';
+  const title = document.createElement('div');
+  title.className = 'video-title';
+  title.textContent = title.title = item.title;
+  const filename = document.createElement('div');
+  filename.className = 'video-filename';
+  filename.textContent = filename.title = item.originalFilename;
+  const meta = document.createElement('div');
+  meta.className = 'video-meta';
+  [
+    `Size: ${formatFileSize(item.size)}`,
+    `Deleted: ${new Date(item.trashedAt).toLocaleString()}`,
+    item.purgeAt ? `Purged: ${new Date(item.purgeAt).toLocaleDateString()}` : 'Kept until deleted forever'
+  ].forEach((line, index) => {
+    if (index > 0) meta.appendChild(document.createElement('br'));
+    meta.append(line);
+  });
+  
+  const actions = document.createElement('div');
+  actions.className = 'video-actions';
+  actions.append(
+    createButton('Restore', 'btn', () => restoreVideo(item.id)),
+    createButton('Delete forever', 'btn btn-danger', () => {
+      showCustomPopup('Delete Forever', `Delete "${item.title}" for good? This cannot be undone.`, () => purgeVideo(item.id));
+    })
+  );
+  info.append(title, filename, meta, actions);
+  card.appendChild(info);
+  return card;
+}
+
+async function restoreVideo(videoId) {
+  try {
+    const response = await fetch(`/api/trash/${videoId}/restore`, { method: 'POST' });
+    if (!response.ok) throw await responseError(response, 'Failed to restore video');
+    const video = await response.json();
+    showNotification(`Restored "${video.displayName}"`);
+  } catch (error) {
+    console.error('Error restoring video:', error);
+    showNotification(error.message, true);
+  }
+  loadVideos();
+}
+
+async function purgeVideo(videoId) {
+  try {
+    const response = await fetch(`/api/trash/${videoId}`, { method: 'DELETE' });
+    if (!response.ok) throw await responseError(response, 'Failed to delete video');
+    showNotification('Video deleted forever');
+  } catch (error) {
+    console.error('Error purging video:', error);
+    showNotification(error.message, true);
+  }
+  loadVideos();
+}
+
+document.getElementById('emptyTrash').addEventListener('click', () => {
+  showCustomPopup('Empty Trash', 'Delete every video in the trash for good? This cannot be undone.', async () => {
+    try {
+      const response = await fetch('/api/trash', { method: 'DELETE' });
+      if (!response.ok) throw await responseError(response, 'Failed to empty the trash');
+      const result = await response.json();
+      showNotification(`Deleted ${result.purged} video${result.purged === 1 ? '' : 's'} forever`);
+    } catch (error) {
+      console.error('Error emptying trash:', error);
+      showNotification(error.message, true);
+    }
+    loadVideos();
+  });
+});
+
+function formatFileSize(bytes) {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+function showNotification(message, isError = false) {
+  const notification = document.getElementById('notification');
+  notification.textContent = message;
+  notification.className = 'notification show';
+  if (isError) notification.classList.add('error');
+  
+  setTimeout(() => {
+    notification.classList.remove('show');
+  }, 3000);
+}
+
+// An error response as a message, with the reasons a rejected upload or
+// name comes back with
+function describeError(result) {
+  if (!result || !result.error) return 'Unknown error';
+  return result.reasons && result.reasons.length > 0 ? `${result.error}: ${result.reasons.join('; ')}` : result.error;
+}
+
+// The error a failed request answered with, as an Error to throw
+async function responseError(response, fallback) {
+  const result = await response.json().catch(() => null);
+  return new Error(result && result.error ? describeError(result) : `${fallback} (${response.status})`);
+}
+
+function showCustomPopup(title, message, onConfirm, confirmText = 'Confirm', confirmClass = 'popup-btn-confirm') {
+  const popupOverlay = document.getElementById('popupOverlay');
+  const popupTitle = document.getElementById('popupTitle');
+  const popupMessage = document.getElementById('popupMessage');
+  const popupConfirm = document.getElementById('popupConfirm');
+  
+  popupTitle.textContent = title;
+  popupMessage.textContent = message;
+  popupConfirm.textContent = confirmText;
+  popupConfirm.className = `popup-btn ${confirmClass}`;
+  
+  popupCallback = onConfirm;
+  
+  popupOverlay.classList.add('show');
+}
+
+const UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024;
+const UPLOAD_RETRY_LIMIT = 10;
+const TUS_HEADERS = { 'Tus-Resumable': '1.0.0' };
+
+function encodeUploadMetadata(metadata) {
+  return Object.entries(metadata)
+    .filter(([, value]) => value)
+    .map(([key, value]) => key + ' ' + btoa(unescape(encodeURIComponent(value))))
+    .join(',');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function getUploadOffset(uploadUrl) {
+  const response = await fetch(uploadUrl, { method: 'HEAD', headers: TUS_HEADERS });
+  return response.ok ? parseInt(response.headers.get('Upload-Offset'), 10) : null;
+}
+
+// Upload a file through the resumable upload API. The session URL is kept
+// in localStorage, so selecting the same file again after a reload picks up
+// where it stopped, and dropped connections are retried automatically.
+async function uploadResumable(file, customName, visibility, onProgress) {
+  const storageKey = `upload:${file.name}:${file.size}:${file.lastModified}:${customName}:${visibility}`;
+  let uploadUrl = localStorage.getItem(storageKey);
+  let offset = 0;
+  
+  if (uploadUrl) {
+    offset = await getUploadOffset(uploadUrl);
+    if (offset === null) uploadUrl = null;
+  }
+  
+  if (!uploadUrl) {
+    const response = await fetch('/api/uploads', {
+      method: 'POST',
+      headers: {
+        ...TUS_HEADERS,
+        'Upload-Length': String(file.size),
+        'Upload-Metadata': encodeUploadMetadata({ filename: file.name, filetype: file.type, customName, visibility })
+      }
+    });
+    if (!response.ok) {
+      throw await responseError(response, 'Could not start upload');
+    }
+    uploadUrl = response.headers.get('Location');
+    offset = 0;
+    localStorage.setItem(storageKey, uploadUrl);
+  }
+  
+  // Done once a PATCH reaching the end succeeds: that is when the server adds
+  // the video, and a failure there is retried with an empty PATCH at the end
+  let failures = 0;
+  let complete = false;
+  while (!complete) {
+    try {
+      const response = await fetch(uploadUrl, {
+        method: 'PATCH',
+        headers: {
+          ...TUS_HEADERS,
+          'Upload-Offset': String(offset),
+          'Content-Type': 'application/offset+octet-stream'
+        },
+        body: file.slice(offset, offset + UPLOAD_CHUNK_SIZE)
+      });
+      
+      if (!response.ok && response.status !== 409) {
+        const error = await responseError(response, 'Upload failed');
+        error.fatal = response.status < 500;
+        throw error;
+      }
+      
+      offset = parseInt(response.headers.get('Upload-Offset'), 10);
+      complete = response.ok && offset >= file.size;
+      failures = 0;
+      onProgress(offset / file.size);
+      // Another request is still writing or finishing the upload
+      if (response.status === 409 && offset >= file.size) await sleep(1000);
+    } catch (error) {
+      failures++;
+      if (error.fatal || failures > UPLOAD_RETRY_LIMIT) {
+        if (error.fatal) localStorage.removeItem(storageKey);
+        throw error;
+      }
+      
+      await sleep(Math.min(1000 * Math.pow(2, failures), 30000));
+      // Ask the server how much actually arrived before sending more
+      const serverOffset = await getUploadOffset(uploadUrl).catch(() => null);
+      if (serverOffset !== null) offset = serverOffset;
+    }
+  }
+  
+  localStorage.removeItem(storageKey);
+  const response = await fetch(uploadUrl);
+  return response.json();
+}
+
+const uploadArea = document.getElementById('uploadArea');
+const fileInput = document.getElementById('fileInput');
+const uploadModal = document.getElementById('uploadModal');
+const uploadForm = document.getElementById('uploadForm');
+const customNameInput = document.getElementById('customName');
+const nameError = document.getElementById('nameError');
+const thumbnailFileInput = document.getElementById('thumbnailFile');
+const thumbnailPreview = document.getElementById('thumbnailPreview');
+
+uploadArea.addEventListener('click', () => fileInput.click());
+
+uploadArea.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  uploadArea.classList.add('dragover');
+});
+
+uploadArea.addEventListener('dragleave', () => {
+  uploadArea.classList.remove('dragover');
+});
+
+uploadArea.addEventListener('drop', (e) => {
+  e.preventDefault();
+  uploadArea.classList.remove('dragover');
+  
+  const files = Array.from(e.dataTransfer.files);
+  handleFileSelection(files);
+});
+
+fileInput.addEventListener('change', () => {
+  const files = Array.from(fileInput.files);
+  handleFileSelection(files);
+  fileInput.value = '';
+});
+
+function handleFileSelection(files) {
+  const videoFiles = files.filter(file => file.type.startsWith('video/'));
+  
+  if (videoFiles.length === 0) {
+    showNotification('No video files found in selection', true);
+    return;
+  }
+  
+  pendingFiles = videoFiles;
+  uploadModal.style.display = 'block';
+  
+  uploadForm.reset();
+  thumbnailPreview.classList.add('hidden');
+  nameError.classList.add('hidden');
+}
+
+thumbnailFileInput.addEventListener('change', () => {
+  const file = thumbnailFileInput.files[0];
+  if (file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      thumbnailPreview.src = e.target.result;
+      thumbnailPreview.classList.remove('hidden');
+    };
+    reader.readAsDataURL(file);
+  } else {
+    thumbnailPreview.classList.add('hidden');
+  }
+});
+
+customNameInput.addEventListener('input', async () => {
+  const name = customNameInput.value.trim();
+  if (name) {
+    try {
+      const response = await fetch(`/api/check-name/${encodeURIComponent(name)}`);
+      const result = await response.json();
+      
+      if (result.exists) {
+        nameError.textContent = 'A video with this name already exists. Please choose a different name.';
+        nameError.classList.remove('hidden');
+      } else {
+        nameError.classList.add('hidden');
+      }
+    } catch (error) {
+      console.error('Error checking name:', error);
+    }
+  } else {
+    nameError.classList.add('hidden');
+  }
+});
+
+uploadForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  
+  const customName = customNameInput.value.trim();
+  const visibility = document.getElementById('uploadVisibility').value;
+  const thumbnailFile = thumbnailFileInput.files[0];
+  
+  if (customName) {
+    try {
+      const response = await fetch(`/api/check-name/${encodeURIComponent(customName)}`);
+      const result = await response.json();
+      
+      if (result.exists) {
+        nameError.textContent = 'A video with this name already exists. Please choose a different name.';
+        nameError.classList.remove('hidden');
+        return;
+      }
+    } catch (error) {
+      console.error('Error checking name:', error);
+    }
+  }
+  
+  uploadModal.style.display = 'none';
+  
+  for (const file of pendingFiles) {
+    try {
+      showNotification(`Uploading ${file.name}...`);
+      
+      const result = await uploadResumable(file, customName, visibility, (progress) => {
+        showNotification(`Uploading ${file.name}... ${Math.round(progress * 100)}%`);
+      });
+      
+      if (result.videoId) {
+        showNotification(`Successfully uploaded ${file.name}`);
+        
+        if (thumbnailFile) {
+          try {
+            const thumbnailFormData = new FormData();
+            thumbnailFormData.append('thumbnail', thumbnailFile);
+            thumbnailFormData.append('videoId', result.videoId);
+            
+            const thumbnailResponse = await fetch('/api/upload-thumbnail', {
+              method: 'POST',
+              body: thumbnailFormData
+            });
+            
+            if (thumbnailResponse.ok) {
+              showNotification(`Thumbnail uploaded for ${file.name}`);
+            } else {
+              showNotification(`Failed to upload thumbnail for ${file.name}`, true);
+            }
+          } catch (error) {
+            console.error('Error uploading thumbnail:', error);
+            showNotification(`Error uploading thumbnail for ${file.name}`, true);
+          }
+        }
+      } else {
+        showNotification(`Failed to upload ${file.name}`, true);
+      }
+    } catch (error) {
+      console.error('Error uploading file:', error);
+      showNotification(`Error uploading ${file.name}: ${error.message}`, true);
+    }
+  }
+  
+  loadVideos();
+});
+
+document.getElementById('renameForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  
+  const newName = document.getElementById('newName').value.trim();
+  const renameError = document.getElementById('renameError');
+  
+  if (!newName) {
+    renameError.textContent = 'Please enter a new name';
+    renameError.classList.remove('hidden');
+    return;
+  }
+  
+  try {
+    const response = await fetch(`/api/check-name/${encodeURIComponent(newName)}`);
+    const result = await response.json();
+    
+    if (result.exists) {
+      renameError.textContent = 'A video with this name already exists. Please choose a different name.';
+      renameError.classList.remove('hidden');
+      return;
+    } else {
+      renameError.classList.add('hidden');
+    }
+  } catch (error) {
+    console.error('Error checking name:', error);
+  }
+  
+  document.getElementById('renameModal').style.display = 'none';
+  await renameVideo(currentVideoId, newName);
+});
+
+document.querySelectorAll('.close').forEach(closeBtn => {
+  closeBtn.addEventListener('click', function() {
+    this.closest('.modal').style.display = 'none';
+  });
+});
+
+document.getElementById('cancelUpload').addEventListener('click', () => {
+  uploadModal.style.display = 'none';
+});
+
+document.getElementById('cancelRename').addEventListener('click', () => {
+  document.getElementById('renameModal').style.display = 'none';
+});
+
+function showThumbnailModal(videoId) {
+  currentVideoId = videoId;
+  document.getElementById('thumbnailModal').style.display = 'block';
+  document.getElementById('thumbnailForm').reset();
+  document.getElementById('thumbnailPreview2').classList.add('hidden');
+  showPosterChoices();
+}
+
+// Offer every candidate frame (and the uploaded image, if any) as the poster
+function showPosterChoices() {
+  const choices = document.getElementById('posterChoices');
+  const video = videos.find(v => v.id === currentVideoId);
+  choices.innerHTML = '';
+  
+  (video ? video.thumbnails : []).forEach(thumbnail => {
+    const image = document.createElement('img');
+    image.className = `poster-choice${thumbnail.isPoster ? ' selected' : ''}`;
+    image.src = `${thumbnail.url}?width=320`;
+    image.alt = thumbnail.source === 'upload' ? 'Uploaded image' : `Frame at ${formatDuration(thumbnail.time)}`;
+    image.title = image.alt;
+    image.addEventListener('click', () => choosePoster(thumbnail.id));
+    choices.appendChild(image);
+  });
+}
+
+async function choosePoster(thumbnailId) {
+  try {
+    const response = await fetch(`/api/videos/${currentVideoId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ posterId: thumbnailId })
+    });
+    
+    if (response.ok) {
+      showNotification('Poster updated');
+      document.getElementById('thumbnailModal').style.display = 'none';
+      loadVideos();
+    } else {
+      const error = await response.json();
+      showNotification(`Failed to change poster: ${error.error}`, true);
+    }
+  } catch (error) {
+    console.error('Error changing poster:', error);
+    showNotification('Error changing poster', true);
+  }
+}
+
+document.getElementById('cancelThumbnail').addEventListener('click', () => {
+  document.getElementById('thumbnailModal').style.display = 'none';
+});
+
+document.getElementById('thumbnailFile2').addEventListener('change', () => {
+  const file = document.getElementById('thumbnailFile2').files[0];
+  if (file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      document.getElementById('thumbnailPreview2').src = e.target.result;
+      document.getElementById('thumbnailPreview2').classList.remove('hidden');
+    };
+    reader.readAsDataURL(file);
+  } else {
+    document.getElementById('thumbnailPreview2').classList.add('hidden');
+  }
+});
+
+document.getElementById('thumbnailForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  
+  const thumbnailFile = document.getElementById('thumbnailFile2').files[0];
+  if (!thumbnailFile) {
+    showNotification('Please select a thumbnail image', true);
+    return;
+  }
+  
+  try {
+    const formData = new FormData();
+    formData.append('thumbnail', thumbnailFile);
+    formData.append('videoId', currentVideoId);
+    
+    const response = await fetch('/api/upload-thumbnail', {
+      method: 'POST',
+      body: formData
+    });
+    
+    if (response.ok) {
+      showNotification('Thumbnail uploaded successfully');
+      document.getElementById('thumbnailModal').style.display = 'none';
+      loadVideos();
+    } else {
+      const error = await response.json();
+      showNotification(`Failed to upload thumbnail: ${describeError(error)}`, true);
+    }
+  } catch (error) {
+    console.error('Error uploading thumbnail:', error);
+    showNotification('Error uploading thumbnail', true);
+  }
+});
+
+async function showSubtitlesModal(videoId) {
+  currentVideoId = videoId;
+  document.getElementById('subtitleForm').reset();
+  document.getElementById('subtitlesModal').style.display = 'block';
+  await loadSubtitleList();
+}
+
+// List the tracks of the current video, each with a label to edit and a delete button
+async function loadSubtitleList() {
+  const list = document.getElementById('subtitleList');
+  try {
+    const response = await fetch(`/api/videos/${currentVideoId}/subtitles`);
+    const tracks = await response.json();
+    
+    list.innerHTML = tracks.length === 0 ? '<p>No caption tracks yet.</p>' : '';
+    tracks.forEach(track => {
+      const row = document.createElement('div');
+      row.className = 'subtitle-row';
+      row.innerHTML = '<input type="text"><span class="subtitle-language"></span><button class="btn btn-secondary">Save</button><button class="btn btn-danger">Delete</button>';
+      const [labelInput, saveButton, deleteButton] = [row.querySelector('input'), ...row.querySelectorAll('button')];
+      labelInput.value = track.label;
+      row.querySelector('.subtitle-language').textContent = track.source === 'embedded' ? `${track.language}, from file` : track.language;
+      saveButton.addEventListener('click', () => updateSubtitleTrack(track.id, 'PATCH', { label: labelInput.value }));
+      deleteButton.addEventListener('click', () => updateSubtitleTrack(track.id, 'DELETE'));
+      list.appendChild(row);
+    });
+  } catch (error) {
+    console.error('Error loading captions:', error);
+    list.innerHTML = '<p>Failed to load caption tracks.</p>';
+  }
+}
+
+async function updateSubtitleTrack(trackId, method, body) {
+  try {
+    const response = await fetch(`/api/videos/${currentVideoId}/subtitles/${trackId}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined
+    });
+    
+    if (response.ok) {
+      showNotification(method === 'DELETE' ? 'Caption track deleted' : 'Caption track renamed');
+    } else {
+      const error = await response.json();
+      showNotification(`Failed to update captions: ${error.error}`, true);
+    }
+    loadSubtitleList();
+    loadVideos();
+  } catch (error) {
+    console.error('Error updating captions:', error);
+    showNotification('Error updating captions', true);
+  }
+}
+
+function filterByTag(tag) {
+  activeTag = tag;
+  const chip = document.getElementById('tagFilter');
+  chip.textContent = tag ? `Tag: ${tag} ×` : '';
+  chip.classList.toggle('hidden', !tag);
+  videos = [];
+  loadVideos();
+}
+
+document.getElementById('tagFilter').addEventListener('click', () => filterByTag(null));
+
+function showTagsModal(videoId) {
+  currentVideoId = videoId;
+  const video = videos.find(v => v.id === videoId);
+  document.getElementById('tagsInput').value = video ? video.tags.join(', ') : '';
+  document.getElementById('tagsModal').style.display = 'block';
+}
+
+document.getElementById('cancelTags').addEventListener('click', () => {
+  document.getElementById('tagsModal').style.display = 'none';
+});
+
+document.getElementById('tagsForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    const response = await fetch(`/api/videos/${currentVideoId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ tags: document.getElementById('tagsInput').value })
+    });
+    
+    if (response.ok) {
+      showNotification('Tags saved');
+      document.getElementById('tagsModal').style.display = 'none';
+      loadVideos();
+    } else {
+      const error = await response.json();
+      showNotification(`Failed to save tags: ${error.error}`, true);
+    }
+  } catch (error) {
+    console.error('Error saving tags:', error);
+    showNotification('Error saving tags', true);
+  }
+});
+
+function createSvgElement(tag, attributes) {
+  const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+}
+
+// Totals and a retention curve: the share of plays that reached each
+// second of the video
+async function showStatsModal(videoId) {
+  const summary = document.getElementById('statsSummary');
+  const chart = document.getElementById('retentionChart');
+  summary.textContent = 'Loading...';
+  chart.innerHTML = '';
+  document.getElementById('retentionEnd').textContent = '';
+  document.getElementById('statsModal').style.display = 'block';
+  
+  try {
+    const response = await fetch(`/api/videos/${videoId}/stats`);
+    const stats = await response.json();
+    if (!response.ok) {
+      summary.textContent = stats.error;
+      return;
+    }
+    
+    summary.textContent = '';
+    [
+      [stats.views, 'views'],
+      [stats.uniqueViewers, 'unique viewers'],
+      [formatDuration(stats.watchTime), 'watch time'],
+      [formatDuration(stats.averageWatchTime), 'average per play']
+    ].forEach(([value, label]) => {
+      const item = document.createElement('div');
+      const strong = document.createElement('strong');
+      strong.textContent = value;
+      item.append(strong, ` ${label}`);
+      summary.appendChild(item);
+    });
+    const points = stats.retention;
+    if (points.length === 0 || stats.plays === 0) {
+      chart.appendChild(createSvgElement('text', { x: 200, y: 60, 'text-anchor': 'middle', fill: '#999', 'font-size': 12 })).textContent = 'No plays yet';
+      return;
+    }
+    const step = 400 / Math.max(1, points.length - 1);
+    const line = points.map((share, second) => `${(second * step).toFixed(1)},${(120 - share * 115).toFixed(1)}`).join(' ');
+    chart.appendChild(createSvgElement('polyline', {
+      points: line,
+      fill: 'none',
+      stroke: '#1976d2',
+      'stroke-width': 2,
+      'vector-effect': 'non-scaling-stroke'
+    }));
+    document.getElementById('retentionEnd').textContent = formatDuration(stats.duration || points.length);
+  } catch (error) {
+    console.error('Error loading stats:', error);
+    summary.textContent = 'Error loading stats';
+  }
+}
+
+// Playlists tab: one card per playlist, linking to its player page
+async function loadPlaylists(request) {
+  try {
+    const response = await fetch(currentUser ? '/api/playlists?owner=me' : '/api/playlists');
+    const list = await response.json();
+    if (request !== listRequest) return;
+    
+    const videoGrid = document.getElementById('videoGrid');
+    videoGrid.innerHTML = '';
+    if (list.length === 0) {
+      videoGrid.innerHTML = currentUser
+        ? '<p>You have no playlists yet. Use "Add to Playlist" on a video to start one.</p>'
+        : '<p>No public playlists yet.</p>';
+      return;
+    }
+    
+    list.forEach(playlist => {
+      const card = document.createElement('div');
+      card.className = 'video-card playlist-card';
+      const cover = playlist.videos.find(video => video.thumbnailUrl);
+      const thumbnail = document.createElement('div');
+      thumbnail.className = 'video-thumbnail-container';
+      if (cover) {
+        const image = document.createElement('img');
+        image.className = 'video-thumbnail';
+        image.alt = '';
+        image.src = cover.thumbnailUrl;
+        thumbnail.appendChild(image);
+      } else {
+        const empty = document.createElement('div');
+        empty.className = 'lazy-load';
+        empty.textContent = 'Empty playlist';
+        thumbnail.appendChild(empty);
+      }
+      
+      const info = document.createElement('div');
+      info.className = 'video-info';
+      const title = document.createElement('div');
+      title.className = 'video-title';
+      title.textContent = playlist.title;
+      const meta = document.createElement('div');
+      meta.className = 'video-meta';
+      meta.textContent = `${playlist.videoCount} video${playlist.videoCount === 1 ? '' : 's'} · ${playlist.visibility}`;
+      const actions = document.createElement('div');
+      actions.className = 'video-actions';
+      const playAll = document.createElement('a');
+      playAll.className = 'btn';
+      playAll.href = playlist.url;
+      playAll.textContent = 'Play All';
+      actions.appendChild(playAll);
+      if (playlist.canEdit) {
+        actions.appendChild(createButton('Delete', 'btn btn-danger', () => {
+          showCustomPopup('Delete Playlist', 'Delete this playlist? The videos in it are kept.', () => deletePlaylist(playlist.id));
+        }));
+      }
+      info.append(title, meta, actions);
+      card.append(thumbnail, info);
+      videoGrid.appendChild(card);
+    });
+  } catch (error) {
+    console.error('Error loading playlists:', error);
+    showNotification('Failed to load playlists', true);
+  }
+}
+
+async function deletePlaylist(playlistId) {
+  try {
+    const response = await fetch(`/api/playlists/${playlistId}`, { method: 'DELETE' });
+    if (response.ok) {
+      showNotification('Playlist deleted');
+    } else {
+      const error = await response.json();
+      showNotification(`Failed to delete playlist: ${error.error}`, true);
+    }
+    loadVideos();
+  } catch (error) {
+    console.error('Error deleting playlist:', error);
+    showNotification('Error deleting playlist', true);
+  }
+}
+
+// Pick one of your playlists, or name a new one, for the video
+async function showPlaylistModal(videoId) {
+  currentVideoId = videoId;
+  const select = document.getElementById('playlistSelect');
+  select.innerHTML = '<option value="">New playlist...</option>';
+  try {
+    const response = await fetch('/api/playlists?owner=me');
+    (await response.json()).forEach(playlist => {
+      const option = document.createElement('option');
+      option.value = playlist.id;
+      option.textContent = playlist.title;
+      select.appendChild(option);
+    });
+  } catch (error) {
+    console.error('Error loading playlists:', error);
+  }
+  select.value = select.options.length > 1 ? select.options[1].value : '';
+  document.getElementById('newPlaylistTitle').value = '';
+  document.getElementById('newPlaylistGroup').classList.toggle('hidden', select.value !== '');
+  document.getElementById('playlistModal').style.display = 'block';
+}
+
+document.getElementById('playlistSelect').addEventListener('change', (e) => {
+  document.getElementById('newPlaylistGroup').classList.toggle('hidden', e.target.value !== '');
+});
+
+document.getElementById('cancelPlaylist').addEventListener('click', () => {
+  document.getElementById('playlistModal').style.display = 'none';
+});
+
+document.getElementById('playlistForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const playlistId = document.getElementById('playlistSelect').value;
+  try {
+    const response = playlistId
+      ? await fetch(`/api/playlists/${playlistId}/videos`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ videoId: currentVideoId })
+      })
+      : await fetch('/api/playlists', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: document.getElementById('newPlaylistTitle').value, videoIds: [currentVideoId] })
+      });
+    const result = await response.json();
+    
+    if (response.ok) {
+      showNotification(`Added to ${result.title}`);
+      document.getElementById('playlistModal').style.display = 'none';
+    } else {
+      showNotification(`Failed to add to playlist: ${result.error}`, true);
+    }
+  } catch (error) {
+    console.error('Error adding to playlist:', error);
+    showNotification('Error adding to playlist', true);
+  }
+});
+
+document.getElementById('cancelSubtitles').addEventListener('click', () => {
+  document.getElementById('subtitlesModal').style.display = 'none';
+});
+
+document.getElementById('subtitleForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  
+  const formData = new FormData();
+  formData.append('subtitle', document.getElementById('subtitleFile').files[0]);
+  formData.append('language', document.getElementById('subtitleLanguage').value);
+  formData.append('label', document.getElementById('subtitleLabel').value);
+  
+  try {
+    const response = await fetch(`/api/videos/${currentVideoId}/subtitles`, {
+      method: 'POST',
+      body: formData
+    });
+    
+    if (response.ok) {
+      showNotification('Caption track added');
+      document.getElementById('subtitleForm').reset();
+      loadSubtitleList();
+      loadVideos();
+    } else {
+      const error = await response.json();
+      showNotification(`Failed to add captions: ${error.error}`, true);
+    }
+  } catch (error) {
+    console.error('Error uploading captions:', error);
+    showNotification('Error uploading captions', true);
+  }
+});
+
+document.getElementById('popupCancel').addEventListener('click', () => {
+  document.getElementById('popupOverlay').classList.remove('show');
+  popupCallback = null;
+});
+
+document.getElementById('popupConfirm').addEventListener('click', () => {
+  if (popupCallback) {
+    popupCallback();
+    popupCallback = null;
+  }
+  document.getElementById('popupOverlay').classList.remove('show');
+});
+
+window.addEventListener('click', (event) => {
+  if (event.target.classList.contains('modal')) {
+    event.target.style.display = 'none';
+  }
+});
+
+loadSession();
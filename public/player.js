@@ -0,0 +1,38 @@
+// The player on the watch and embed pages. The page renders the <video
+// id="player"> element with what to play in data attributes: data-hls-url
+// (optional), data-playback-url, data-beacon-url and data-start (seconds,
+// optional).
+(function () {
+  const player = document.getElementById('player');
+  if (!player) return;
+  const sources = {
+    hlsUrl: player.dataset.hlsUrl || null,
+    playbackUrl: player.dataset.playbackUrl,
+    beaconUrl: player.dataset.beaconUrl,
+    start: Number(player.dataset.start) || 0
+  };
+  
+  // Same order as the library player: HLS, then the progressive file
+  if (sources.hlsUrl && player.canPlayType('application/vnd.apple.mpegurl')) {
+    player.src = sources.hlsUrl;
+  } else if (sources.hlsUrl && window.Hls && Hls.isSupported()) {
+    const hls = new Hls();
+    hls.on(Hls.Events.ERROR, (event, data) => {
+      if (data.fatal) {
+        hls.destroy();
+        player.src = sources.playbackUrl;
+      }
+    });
+    hls.loadSource(sources.hlsUrl);
+    hls.attachMedia(player);
+  } else {
+    player.src = sources.playbackUrl;
+  }
+  createWatchTracker(player).track(sources.beaconUrl);
+  
+  if (sources.start) {
+    player.addEventListener('loadedmetadata', () => {
+      player.currentTime = Math.min(sources.start, player.duration || sources.start);
+    }, { once: true });
+  }
+})();
@@ -0,0 +1,87 @@
+// The playlist page (/playlist/:id): plays the playlist's videos in order,
+// starting at #<position> when the address has one. The page gives the
+// playlist's id in <body data-playlist-id>.
+const playlistId = document.body.dataset.playlistId;
+const player = document.getElementById('videoPlayer');
+const tracker = createWatchTracker(player);
+let entries = [];
+let current = -1;
+let hlsPlayer = null;
+
+async function loadPlaylist() {
+  const response = await fetch(`/api/playlists/${playlistId}`);
+  if (!response.ok) {
+    document.getElementById('playlistTitle').textContent = 'Playlist not found';
+    return;
+  }
+  const playlist = await response.json();
+  entries = playlist.videos.filter(video => video.playable !== false);
+  
+  document.title = playlist.title;
+  document.getElementById('playlistTitle').textContent = playlist.title;
+  document.getElementById('playlistDescription').textContent = playlist.description;
+  
+  const list = document.getElementById('playlistEntries');
+  entries.forEach((video, index) => {
+    const item = document.createElement('li');
+    item.className = 'playlist-entry';
+    const image = document.createElement(video.thumbnailUrl ? 'img' : 'div');
+    if (video.thumbnailUrl) {
+      image.src = video.thumbnailUrl;
+      image.alt = '';
+    } else {
+      image.className = 'no-thumbnail';
+    }
+    const title = document.createElement('span');
+    title.textContent = `${index + 1}. ${video.displayName}`;
+    item.append(image, title);
+    item.addEventListener('click', () => play(index));
+    list.appendChild(item);
+  });
+  
+  if (entries.length === 0) {
+    document.getElementById('currentVideoTitle').textContent = 'This playlist has no videos yet.';
+    return;
+  }
+  const start = parseInt(window.location.hash.slice(1), 10);
+  play(start >= 1 && start <= entries.length ? start - 1 : 0);
+}
+
+function play(index) {
+  const video = entries[index];
+  current = index;
+  
+  tracker.track(`/api/videos/${video.id}/beacon`);
+  if (hlsPlayer) {
+    hlsPlayer.destroy();
+    hlsPlayer = null;
+  }
+  if (video.hlsUrl && !player.canPlayType('application/vnd.apple.mpegurl') && window.Hls && Hls.isSupported()) {
+    hlsPlayer = new Hls();
+    hlsPlayer.loadSource(video.hlsUrl);
+    hlsPlayer.attachMedia(player);
+  } else {
+    player.src = video.hlsUrl && player.canPlayType('application/vnd.apple.mpegurl') ? video.hlsUrl : video.playbackUrl;
+  }
+  player.querySelectorAll('track').forEach(track => track.remove());
+  video.subtitles.forEach(subtitle => {
+    const track = document.createElement('track');
+    track.kind = 'subtitles';
+    track.src = subtitle.url;
+    track.srclang = subtitle.language;
+    track.label = subtitle.label;
+    player.appendChild(track);
+  });
+  
+  document.getElementById('currentVideoTitle').textContent = video.displayName;
+  document.querySelectorAll('.playlist-entry').forEach((item, i) => item.classList.toggle('current', i === index));
+  history.replaceState(null, '', `#${index + 1}`);
+  // Browsers may refuse to start the first video without a click
+  player.play().catch(() => {});
+}
+
+player.addEventListener('ended', () => {
+  if (current + 1 < entries.length) play(current + 1);
+});
+
+loadPlaylist();
@@ -0,0 +1,105 @@
+// Reports what a <video> element actually plays to the stats beacon of the
+// video it is showing. Shared by the library, playlist, watch and embed
+// players:
+//
+//   const tracker = createWatchTracker(player);
+//   tracker.track('/api/videos/<id>/beacon');  // on every change of video
+//
+// Played time is collected as [start, end] ranges of the video's timeline and
+// sent every ten seconds, and whenever playback stops or the page is hidden,
+// along with the current position for signed-in viewers' watch history. An
+// empty heartbeat when a session first starts playing opens it on the
+// server, which only accepts as much playback as time has passed since.
+(function () {
+  const HEARTBEAT_INTERVAL = 10 * 1000;
+  // A jump bigger than this between two timeupdate events is a seek
+  const MAX_STEP = 2;
+  
+  function createSessionId() {
+    const bytes = new Uint8Array(12);
+    crypto.getRandomValues(bytes);
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+  
+  function send(url, body) {
+    const data = JSON.stringify(body);
+    if (navigator.sendBeacon && navigator.sendBeacon(url, new Blob([data], { type: 'application/json' }))) return;
+    fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: data, keepalive: true }).catch(() => {});
+  }
+  
+  window.createWatchTracker = function (player) {
+    let beaconUrl = null;
+    let sessionId = null;
+    let ranges = [];
+    let rangeStart = null;
+    let lastTime = 0;
+    let sentPosition = null;
+    let opened = false;
+    
+    function closeRange() {
+      if (rangeStart !== null && lastTime > rangeStart) {
+        ranges.push([rangeStart, lastTime]);
+      }
+      rangeStart = null;
+    }
+    
+    function openRange() {
+      lastTime = player.currentTime;
+      rangeStart = player.paused ? null : lastTime;
+      if (rangeStart !== null && beaconUrl && !opened) {
+        opened = true;
+        send(beaconUrl, { sessionId, ranges: [], position: lastTime });
+      }
+    }
+    
+    function flush() {
+      if (rangeStart !== null) {
+        closeRange();
+        openRange();
+      }
+      // A seek while paused moves the position without playing anything
+      const position = player.currentTime;
+      const moved = sentPosition !== null && Math.abs(position - sentPosition) >= 1;
+      if (!beaconUrl || (ranges.length === 0 && !moved)) return;
+      send(beaconUrl, { sessionId, ranges, position });
+      ranges = [];
+      sentPosition = position;
+    }
+    
+    player.addEventListener('playing', openRange);
+    player.addEventListener('seeked', openRange);
+    player.addEventListener('timeupdate', () => {
+      if (rangeStart === null) return;
+      const time = player.currentTime;
+      if (time < lastTime || time - lastTime > MAX_STEP) {
+        closeRange();
+        openRange();
+      } else {
+        lastTime = time;
+      }
+    });
+    ['pause', 'seeking', 'waiting', 'ended'].forEach(type => player.addEventListener(type, closeRange));
+    player.addEventListener('ended', flush);
+    
+    setInterval(flush, HEARTBEAT_INTERVAL);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flush();
+    });
+    window.addEventListener('pagehide', flush);
+    
+    return {
+      // Start a new session for the video whose beacon is at `url`, sending
+      // what is left of the previous one; null stops tracking
+      track(url) {
+        flush();
+        closeRange();
+        ranges = [];
+        beaconUrl = url;
+        sessionId = createSessionId();
+        opened = false;
+        lastTime = 0;
+        sentPosition = null;
+      }
+    };
+  };
+})();
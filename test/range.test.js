@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRange, createEtag, evaluatePreconditions, isRangeFresh } = require('../lib/range');
+
+// The parts of an Express request the precondition helpers read
+function request(headers, method = 'GET') {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { method, get: name => lower[name.toLowerCase()] };
+}
+
+test('parseRange reads single, open-ended and suffix ranges', () => {
+  assert.deepStrictEqual(parseRange('bytes=0-99', 1000), { ranges: [{ start: 0, end: 99 }] });
+  assert.deepStrictEqual(parseRange('bytes=900-', 1000), { ranges: [{ start: 900, end: 999 }] });
+  assert.deepStrictEqual(parseRange('bytes=-100', 1000), { ranges: [{ start: 900, end: 999 }] });
+  assert.deepStrictEqual(parseRange(' BYTES = 10 - 19 ', 1000), { ranges: [{ start: 10, end: 19 }] });
+  // Ends past the file and suffixes longer than it are clamped
+  assert.deepStrictEqual(parseRange('bytes=500-5000', 1000), { ranges: [{ start: 500, end: 999 }] });
+  assert.deepStrictEqual(parseRange('bytes=-5000', 1000), { ranges: [{ start: 0, end: 999 }] });
+});
+
+test('parseRange ignores missing and malformed headers', () => {
+  for (const header of [
+    undefined,
+    '',
+    'bytes',
+    'bytes=',
+    'bytes=,',
+    'bytes=-',
+    'bytes=abc',
+    'bytes=1-2-3',
+    'bytes=0x10-20',
+    'bytes=100-50',
+    'bytes=0-10,oops',
+    'items=0-10',
+    '0-10'
+  ]) {
+    assert.strictEqual(parseRange(header, 1000), null, String(header));
+  }
+});
+
+test('parseRange keeps every satisfiable part of a multi-range header', () => {
+  assert.deepStrictEqual(parseRange('bytes=0-9, 20-29,-5', 1000), {
+    ranges: [{ start: 0, end: 9 }, { start: 20, end: 29 }, { start: 995, end: 999 }]
+  });
+  // Parts beyond the end of the file are dropped rather than failing the rest
+  assert.deepStrictEqual(parseRange('bytes=2000-2999,0-9', 1000), { ranges: [{ start: 0, end: 9 }] });
+  
+  const many = Array.from({ length: 21 }, (_, i) => `${i * 10}-${i * 10 + 4}`).join(',');
+  assert.strictEqual(parseRange(`bytes=${many}`, 1000), null);
+});
+
+test('parseRange reports well-formed ranges that miss the file', () => {
+  assert.deepStrictEqual(parseRange('bytes=1000-', 1000), { unsatisfiable: true });
+  assert.deepStrictEqual(parseRange('bytes=1000-2000,5000-', 1000), { unsatisfiable: true });
+  assert.deepStrictEqual(parseRange('bytes=-0', 1000), { unsatisfiable: true });
+  assert.deepStrictEqual(parseRange('bytes=0-', 0), { unsatisfiable: true });
+});
+
+test('preconditions follow the RFC 7232 order', () => {
+  const modified = new Date('2024-05-01T12:00:00.500Z');
+  const etag = createEtag({ size: 1000, mtimeMs: modified.getTime() });
+  const before = new Date('2024-04-30T12:00:00Z').toUTCString();
+  const after = new Date('2024-05-02T12:00:00Z').toUTCString();
+  
+  assert.strictEqual(evaluatePreconditions(request({}), etag, modified), null);
+  assert.strictEqual(evaluatePreconditions(request({ 'If-None-Match': `W/${etag}` }), etag, modified), 304);
+  assert.strictEqual(evaluatePreconditions(request({ 'If-None-Match': '"other"' }), etag, modified), null);
+  assert.strictEqual(evaluatePreconditions(request({ 'If-Match': '"other"' }), etag, modified), 412);
+  assert.strictEqual(evaluatePreconditions(request({ 'If-Match': `W/${etag}` }), etag, modified), 412);
+  assert.strictEqual(evaluatePreconditions(request({ 'If-Modified-Since': modified.toUTCString() }), etag, modified), 304);
+  assert.strictEqual(evaluatePreconditions(request({ 'If-Modified-Since': before }), etag, modified), null);
+  assert.strictEqual(evaluatePreconditions(request({ 'If-Unmodified-Since': before }), etag, modified), 412);
+  assert.strictEqual(evaluatePreconditions(request({ 'If-Unmodified-Since': after }), etag, modified), null);
+  // If-None-Match wins over If-Modified-Since, and a bad date is ignored
+  assert.strictEqual(evaluatePreconditions(request({ 'If-None-Match': '"other"', 'If-Modified-Since': after }), etag, modified), null);
+  assert.strictEqual(evaluatePreconditions(request({ 'If-Modified-Since': 'yesterday' }), etag, modified), null);
+});
+
+test('If-Range only keeps the range while the file is unchanged', () => {
+  const modified = new Date('2024-05-01T12:00:00Z');
+  const etag = createEtag({ size: 1000, mtimeMs: modified.getTime() });
+  
+  assert.strictEqual(isRangeFresh(request({}), etag, modified), true);
+  assert.strictEqual(isRangeFresh(request({ 'If-Range': etag }), etag, modified), true);
+  assert.strictEqual(isRangeFresh(request({ 'If-Range': `W/${etag}` }), etag, modified), false);
+  assert.strictEqual(isRangeFresh(request({ 'If-Range': modified.toUTCString() }), etag, modified), true);
+  assert.strictEqual(isRangeFresh(request({ 'If-Range': new Date('2024-04-01T00:00:00Z').toUTCString() }), etag, modified), false);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { referrerOrigin, signVideoAccess, signMediaAccess, verifyVideoAccess } = require('../lib/signing');
+
+const SECRET = 'test-secret';
+const VIDEO = 'abcDEF12345';
+
+function inOneHour() {
+  return Math.floor(Date.now() / 1000) + 3600;
+}
+
+function query(signed) {
+  return Object.fromEntries(new URLSearchParams(signed));
+}
+
+test('a signature opens its own video until it expires', () => {
+  const signed = query(signVideoAccess(SECRET, VIDEO, { expires: inOneHour() }));
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, signed, { page: true }), true);
+  assert.strictEqual(verifyVideoAccess(SECRET, 'otherVideo1', signed, { page: true }), false);
+  assert.strictEqual(verifyVideoAccess('other-secret', VIDEO, signed, { page: true }), false);
+  
+  const expired = query(signVideoAccess(SECRET, VIDEO, { expires: Math.floor(Date.now() / 1000) - 1 }));
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, expired, { page: true }), false);
+});
+
+test('tampered or malformed parameters are refused', () => {
+  const signed = query(signVideoAccess(SECRET, VIDEO, { expires: inOneHour(), ip: '203.0.113.5' }));
+  const client = { ip: '203.0.113.5' };
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, signed, client), true);
+  
+  // Pushing the expiry back or dropping the IP binding breaks the signature
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, { ...signed, expires: String(Number(signed.expires) + 60) }, client), false);
+  const { ip, ...unbound } = signed;
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, unbound, client), false);
+  
+  const flipped = signed.sig[0] === 'A' ? 'B' + signed.sig.slice(1) : 'A' + signed.sig.slice(1);
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, { ...signed, sig: flipped }, client), false);
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, { ...signed, sig: signed.sig.slice(1) }, client), false);
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, { ...signed, sig: [signed.sig] }, client), false);
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, { ...signed, expires: 'soon' }, client), false);
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, { ...signed, scope: 'admin' }, client), false);
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, { expires: signed.expires }, client), false);
+});
+
+test('IP and referrer bindings must match the client', () => {
+  const byIp = query(signVideoAccess(SECRET, VIDEO, { expires: inOneHour(), ip: '203.0.113.5' }));
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, byIp, { ip: '198.51.100.7' }), false);
+  
+  const byReferrer = query(signVideoAccess(SECRET, VIDEO, { expires: inOneHour(), referrer: 'https://blog.example.com' }));
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, byReferrer, { referer: 'https://blog.example.com/post/1' }), true);
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, byReferrer, { referer: 'https://evil.example.com/' }), false);
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, byReferrer, {}), false);
+});
+
+test('media signatures load the media but not the pages', () => {
+  const page = query(signVideoAccess(SECRET, VIDEO, { expires: inOneHour(), ip: '203.0.113.5', referrer: 'https://blog.example.com' }));
+  const media = query(signMediaAccess(SECRET, VIDEO, page));
+  assert.strictEqual(media.ref, undefined);
+  assert.strictEqual(media.expires, page.expires);
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, media, { ip: '203.0.113.5' }), true);
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, media, { ip: '203.0.113.5', page: true }), false);
+  // Without its scope it is no longer the signature that was issued
+  const { scope, ...unscoped } = media;
+  assert.strictEqual(verifyVideoAccess(SECRET, VIDEO, unscoped, { ip: '203.0.113.5', page: true }), false);
+});
+
+test('referrerOrigin reduces a URL to its origin', () => {
+  assert.strictEqual(referrerOrigin('https://blog.example.com:8443/post?id=1'), 'https://blog.example.com:8443');
+  assert.strictEqual(referrerOrigin('not a url'), null);
+  assert.strictEqual(referrerOrigin('data:text/html,hi'), null);
+  assert.strictEqual(referrerOrigin(undefined), null);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TUS_VERSION, parseMetadata, parseUploadNumber, tusHeaders, tusCapabilities } = require('../lib/tus');
+
+function base64(text) {
+  return Buffer.from(text, 'utf8').toString('base64');
+}
+
+// Records the headers set on it, like an Express response
+function response() {
+  const headers = {};
+  return { headers, setHeader: (name, value) => { headers[name] = value; } };
+}
+
+test('parseUploadNumber accepts plain non-negative integers', () => {
+  assert.strictEqual(parseUploadNumber('0'), 0);
+  assert.strictEqual(parseUploadNumber('1048576'), 1048576);
+  assert.strictEqual(parseUploadNumber('007'), 7);
+  assert.strictEqual(parseUploadNumber(String(Number.MAX_SAFE_INTEGER)), Number.MAX_SAFE_INTEGER);
+});
+
+test('parseUploadNumber refuses missing and malformed Upload-Offset and Upload-Length values', () => {
+  for (const header of [
+    undefined,
+    '',
+    ' ',
+    ' 10',
+    '10 ',
+    '-1',
+    '+1',
+    '1.5',
+    '1e3',
+    '0x10',
+    'Infinity',
+    'NaN',
+    '10,20',
+    '9007199254740993'
+  ]) {
+    assert.strictEqual(parseUploadNumber(header), null, JSON.stringify(header));
+  }
+});
+
+test('parseMetadata decodes base64 values and keeps keys without one', () => {
+  const header = `filename ${base64('Été à la plage.mp4')},filetype ${base64('video/mp4')}, is_confidential`;
+  assert.deepStrictEqual(parseMetadata(header), {
+    filename: 'Été à la plage.mp4',
+    filetype: 'video/mp4',
+    is_confidential: ''
+  });
+  assert.deepStrictEqual(parseMetadata(undefined), {});
+  assert.deepStrictEqual(parseMetadata(' , ,'), {});
+});
+
+test('responses advertise the protocol version and capabilities', () => {
+  const res = response();
+  tusHeaders(res);
+  assert.deepStrictEqual(res.headers, { 'Tus-Resumable': TUS_VERSION, 'Cache-Control': 'no-store' });
+  
+  const options = response();
+  tusCapabilities(options, 5 * 1024 * 1024);
+  assert.strictEqual(options.headers['Tus-Version'], TUS_VERSION);
+  assert.strictEqual(options.headers['Tus-Extension'], 'creation,termination');
+  assert.strictEqual(options.headers['Tus-Max-Size'], '5242880');
+});
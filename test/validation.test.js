@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  HEADER_LENGTH,
+  sniffVideo,
+  containerMatchesExtension,
+  sniffImage,
+  sanitizeFilename,
+  cleanTitle,
+  validateTitle,
+  validateOptionalTitle
+} = require('../lib/validation');
+
+// The first HEADER_LENGTH bytes of a file starting with the given pieces
+function header(...pieces) {
+  const start = Buffer.concat(pieces.map(piece => typeof piece === 'string' ? Buffer.from(piece, 'latin1') : Buffer.from(piece)));
+  return Buffer.concat([start, Buffer.alloc(Math.max(HEADER_LENGTH - start.length, 0))]);
+}
+
+test('sniffVideo recognises containers by their first bytes', () => {
+  assert.strictEqual(sniffVideo(header([0, 0, 0, 0x20], 'ftypisom')), 'mp4');
+  assert.strictEqual(sniffVideo(header([0, 0, 0, 0x14], 'ftypqt  ')), 'quicktime');
+  assert.strictEqual(sniffVideo(header([0, 0, 0, 0x14], 'ftyp3gp5')), '3gp');
+  assert.strictEqual(sniffVideo(header([0, 0, 0, 0x08], 'wide')), 'quicktime');
+  assert.strictEqual(sniffVideo(header([0x1a, 0x45, 0xdf, 0xa3, 0x42, 0x82, 0x84], 'webm')), 'webm');
+  assert.strictEqual(sniffVideo(header([0x1a, 0x45, 0xdf, 0xa3, 0x42, 0x82, 0x88], 'matroska')), 'matroska');
+  assert.strictEqual(sniffVideo(header('RIFF', [0, 0, 0, 0], 'AVI LIST')), 'avi');
+  assert.strictEqual(sniffVideo(header('FLV', [1, 5])), 'flv');
+  assert.strictEqual(sniffVideo(header([0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11])), 'asf');
+  assert.strictEqual(sniffVideo(header('OggS', [0, 2])), 'ogg');
+});
+
+test('sniffVideo refuses other files and short headers', () => {
+  assert.strictEqual(sniffVideo(header('<!DOCTYPE html>')), null);
+  assert.strictEqual(sniffVideo(header('RIFF', [0, 0, 0, 0], 'WAVEfmt ')), null);
+  assert.strictEqual(sniffVideo(header([0xff, 0xd8, 0xff, 0xe0])), null);
+  assert.strictEqual(sniffVideo(Buffer.from('\0\0\0\x20ftyp', 'latin1')), null);
+  assert.strictEqual(sniffVideo(Buffer.alloc(0)), null);
+});
+
+test('the extension must suit the container', () => {
+  assert.strictEqual(containerMatchesExtension('mp4', 'clip.MP4'), true);
+  assert.strictEqual(containerMatchesExtension('quicktime', 'clip.mp4'), true);
+  assert.strictEqual(containerMatchesExtension('webm', 'clip.mkv'), true);
+  assert.strictEqual(containerMatchesExtension('matroska', 'clip.webm'), false);
+  assert.strictEqual(containerMatchesExtension('avi', 'clip.mp4'), false);
+  assert.strictEqual(containerMatchesExtension('mp4', 'clip'), false);
+});
+
+test('sniffImage recognises JPEG, PNG and WebP only', () => {
+  assert.strictEqual(sniffImage(Buffer.from([0xff, 0xd8, 0xff, 0xdb])), 'jpeg');
+  assert.strictEqual(sniffImage(header([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])), 'png');
+  assert.strictEqual(sniffImage(header('RIFF', [0, 0, 0, 0], 'WEBPVP8 ')), 'webp');
+  assert.strictEqual(sniffImage(header('GIF89a')), null);
+  assert.strictEqual(sniffImage(header('<svg xmlns="http://www.w3.org/2000/svg">')), null);
+  assert.strictEqual(sniffImage(Buffer.from([0xff, 0xd8])), null);
+});
+
+test('sanitizeFilename leaves a single safe path component', () => {
+  assert.strictEqual(sanitizeFilename('../../etc/passwd'), 'passwd');
+  assert.strictEqual(sanitizeFilename('C:\\Users\\me\\clip.mp4'), 'clip.mp4');
+  assert.strictEqual(sanitizeFilename('..'), '');
+  assert.strictEqual(sanitizeFilename('.hidden.mp4'), 'hidden.mp4');
+  assert.strictEqual(sanitizeFilename('  holiday   clip.mp4. '), 'holiday clip.mp4');
+  assert.strictEqual(sanitizeFilename('a<b>:c|d?.mp4'), 'a_b__c_d_.mp4');
+  assert.strictEqual(sanitizeFilename('con.mp4'), '_con.mp4');
+  assert.strictEqual(sanitizeFilename('LPT1.avi'), '_LPT1.avi');
+  assert.strictEqual(sanitizeFilename(42), '');
+});
+
+test('sanitizeFilename removes control and reordering characters and normalises Unicode', () => {
+  // Shown as "evilmp4.exe" reversed, this would pass for a video
+  assert.strictEqual(sanitizeFilename('evil\u202e4pm.exe'), 'evil4pm.exe');
+  assert.strictEqual(sanitizeFilename('line\nbreak\u0000.mp4'), 'line break.mp4');
+  assert.strictEqual(sanitizeFilename('cafe\u0301.mp4'), 'caf\u00e9.mp4');
+});
+
+test('sanitizeFilename shortens long names but keeps the extension', () => {
+  const name = sanitizeFilename(`${'a'.repeat(300)}.webm`);
+  assert.strictEqual(name.length, 200);
+  assert.ok(name.endsWith('a.webm'));
+});
+
+test('cleanTitle strips what could disguise a title', () => {
+  assert.strictEqual(cleanTitle('  My\tsummer\u200f  trip  '), 'My summer trip');
+  assert.strictEqual(cleanTitle('AC/DC live\\2024'), 'AC-DC live-2024');
+  assert.strictEqual(cleanTitle('e\u0301te\u0301'), '\u00e9t\u00e9');
+  assert.strictEqual(cleanTitle(null), '');
+});
+
+test('validateTitle explains why a title is refused', () => {
+  assert.deepStrictEqual(validateTitle(' Trip  to   the sea '), { title: 'Trip to the sea' });
+  
+  const blank = validateTitle('\u202e\u0007  ');
+  assert.strictEqual(blank.error.code, 'invalid_title');
+  assert.strictEqual(blank.error.reasons.length, 1);
+  assert.match(blank.error.reasons[0], /empty/);
+  
+  assert.match(validateTitle('..').error.reasons[0], /"\."/);
+  assert.match(validateTitle('x'.repeat(201)).error.reasons[0], /longer than 200/);
+  assert.strictEqual(validateTitle('x'.repeat(200)).title.length, 200);
+  assert.deepStrictEqual(validateTitle(['array']).error, { error: 'Title must be text', code: 'invalid_title', reasons: [] });
+});
+
+test('validateOptionalTitle lets a title be left out', () => {
+  assert.deepStrictEqual(validateOptionalTitle(undefined), { title: undefined });
+  assert.deepStrictEqual(validateOptionalTitle(null), { title: undefined });
+  assert.deepStrictEqual(validateOptionalTitle('   '), { title: undefined });
+  assert.deepStrictEqual(validateOptionalTitle('Dive'), { title: 'Dive' });
+  assert.strictEqual(validateOptionalTitle(7).error.code, 'invalid_title');
+});
@@ -1,8 +1,36 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const multer = require('multer');
-const { exec } = require('child_process');
+const crypto = require('crypto');
+const { exec, execFile, spawn } = require('child_process');
+const { pipeline, Transform } = require('stream');
+const { createStore } = require('./lib/store');
+const { createStorage, readText } = require('./lib/storage');
+const { createJobQueue } = require('./lib/jobs');
+const { TRANSCODE_FORMATS, needsTranscode, transcodeArgs, parseTimestamp } = require('./lib/transcode');
+const { TUS_VERSION, TUS_CONTENT_TYPE, parseMetadata, parseUploadNumber, tusHeaders, tusCapabilities } = require('./lib/tus');
+const { parseProbeOutput } = require('./lib/probe');
+const { parseVideoQuery, queryVideos } = require('./lib/search');
+const { generatePlaylistId, validatePlaylistFields, removeVideoFromPlaylists, serializePlaylist } = require('./lib/playlists');
+const { THUMBNAIL_WIDTHS, THUMBNAIL_FORMATS, thumbnailKey, candidateTimes, pickWidth, jpegSize, thumbnailSize, planStoryboard, storyboardVtt } = require('./lib/thumbnails');
+const { SUBTITLE_EXTENSIONS, isTextSubtitleCodec, toWebVtt, normalizeLanguage, languageLabel } = require('./lib/subtitles');
+const { parseBeacon, viewerKey, createRateLimiter, createWatchAnalytics } = require('./lib/analytics');
+const { historyId, progressChanges, resumePosition, serializeProgress } = require('./lib/history');
+const { parseHostList, validateImportUrl, importKind, isLivePlaylist, importFilename, createImportClient } = require('./lib/import');
+const { createFolderWatcher } = require('./lib/watch-folder');
+const { listVideoFiles, moveVideoFiles, purgeVideoFiles, purgeTime, serializeTrashEntry } = require('./lib/trash');
+const { VIEW_OPERATIONS, parseBulkRequest, applyTagChanges, summarizeBulk } = require('./lib/bulk');
+const { HEADER_LENGTH, rejection, sniffVideo, containerMatchesExtension, sniffImage, sanitizeFilename, cleanTitle, validateTitle, validateOptionalTitle } = require('./lib/validation');
+const { EDIT_MODES, KEYFRAME_TOLERANCE, validateSegments, copyCompatible, segmentDuration, segmentArgs, editFrame, concatList, concatArgs } = require('./lib/clips');
+const { escapeHtml, parseEmbedOptions, fitEmbedSize, videoIdFromUrl, embedIframe } = require('./lib/embed');
+const { parseFrameAncestors, parseTrustProxy, securityHeaders } = require('./lib/security');
+const { parseRange, createEtag, evaluatePreconditions, isRangeFresh } = require('./lib/range');
+const { selectRenditions, renditionArgs, buildMasterPlaylist, appendQueryToPlaylist, isHlsFile } = require('./lib/hls');
+const { referrerOrigin, signVideoAccess, signMediaAccess, verifyVideoAccess } = require('./lib/signing');
+const { hashPassword, verifyPassword, generateSecret, hashSecret, parseCookies, isValidUsername, isValidPassword } = require('./lib/auth');
+const { VIDEO_EXTENSIONS, VISIBILITIES, recordVisibility, validateVisibility, isVideoFile, isOpaqueId, getMimeType, normalizeTags, generateId, addRedirect, uniqueTitle, createRecord, reconcileCatalog, serializeSubtitle, serializeVideo } = require('./lib/catalog');
 
 // Check if we're in Vercel environment
 const isVercel = process.env.VERCEL === '1';
@@ -10,6 +38,125 @@ const isVercel = process.env.VERCEL === '1';
 // Configuration
 const VIDEOS_FOLDER = isVercel ? '/tmp/videos' : path.join(__dirname, 'videos');
 const THUMBNAILS_FOLDER = isVercel ? '/tmp/thumbnails' : path.join(__dirname, 'thumbnails');
+// Catalog, accounts, playlists, jobs and the URL signing key; DATA_FOLDER
+// moves it, e.g. onto a persistent volume
+const DATA_FOLDER = process.env.DATA_FOLDER || (isVercel ? '/tmp/data' : path.join(__dirname, 'data'));
+// Maximum size of a single video upload in bytes (MAX_UPLOAD_SIZE overrides the default)
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE, 10) || (isVercel ? 100 * 1024 * 1024 : 10 * 1024 * 1024 * 1024);
+const PARTIAL_UPLOAD_EXT = '.part';
+// Resumable upload sessions that see no activity for this long are discarded,
+// checked for every UPLOAD_SWEEP_INTERVAL
+const UPLOAD_SESSION_TTL = 24 * 60 * 60 * 1000;
+const UPLOAD_SWEEP_INTERVAL = 60 * 60 * 1000;
+const HLS_FOLDER = isVercel ? '/tmp/hls' : path.join(__dirname, 'hls');
+// HLS packaging runs in the background after upload, which serverless functions can't do
+const ENABLE_HLS = !isVercel && process.env.ENABLE_HLS !== 'false';
+// Prefer the binaries shipped with ffmpeg-static and ffprobe-static, falling
+// back to ffmpeg and ffprobe on the PATH
+const ffmpegStatic = require('ffmpeg-static');
+const ffprobeStatic = require('ffprobe-static').path;
+const FFMPEG_PATH = process.env.FFMPEG_PATH || (ffmpegStatic && fs.existsSync(ffmpegStatic) ? ffmpegStatic : 'ffmpeg');
+const FFPROBE_PATH = process.env.FFPROBE_PATH || (ffprobeStatic && fs.existsSync(ffprobeStatic) ? ffprobeStatic : 'ffprobe');
+// Incoming videos are refused while ffprobe can't run, since their contents
+// can't be checked; ACCEPT_UNPROBED_UPLOADS=true takes them on the byte check alone
+const ACCEPT_UNPROBED_UPLOADS = process.env.ACCEPT_UNPROBED_UPLOADS === 'true';
+// Cache-Control sent with video bytes; ETag / Last-Modified make revalidation cheap
+const VIDEO_CACHE_CONTROL = process.env.VIDEO_CACHE_CONTROL || 'public, max-age=3600';
+// Private videos must not end up in shared caches
+const PRIVATE_CACHE_CONTROL = 'private, no-cache';
+const TRANSCODES_FOLDER = isVercel ? '/tmp/transcodes' : path.join(__dirname, 'transcodes');
+const SUBTITLES_FOLDER = isVercel ? '/tmp/subtitles' : path.join(__dirname, 'subtitles');
+// Container for browser-friendly copies of formats browsers can't play: mp4 or webm
+const TRANSCODE_FORMAT = process.env.TRANSCODE_FORMAT === 'webm' ? 'webm' : 'mp4';
+// Background job queue: parallel workers, attempts per job, and how long finished jobs are kept
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 1;
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+const JOB_HISTORY_TTL = 7 * 24 * 60 * 60 * 1000;
+const JOB_PRUNE_INTERVAL = 60 * 60 * 1000;
+// Days a deleted video stays in the trash before it is purged; 0 keeps it
+// until it is purged by hand
+const TRASH_RETENTION_DAYS = process.env.TRASH_RETENTION_DAYS === undefined
+  ? 30
+  : Math.max(0, parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 0);
+const TRASH_PURGE_INTERVAL = 60 * 60 * 1000;
+// Signed-in browser sessions last this long; API tokens are valid until revoked
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000;
+const SESSION_COOKIE = 'sid';
+// Set ALLOW_REGISTRATION=false to stop sign-ups once the first (admin) account exists
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION !== 'false';
+// Lifetime of signed URLs for private videos: the default and the most a caller may ask for
+const SIGNED_URL_TTL = 60 * 60;
+const MAX_SIGNED_URL_TTL = 7 * 24 * 60 * 60;
+// Imports from a URL: hosts they may come from (comma-separated, "*.example.com"
+// for subdomains; any public host when unset), the largest file accepted and
+// how long the remote server may stay silent
+const IMPORT_ALLOWED_HOSTS = parseHostList(process.env.IMPORT_ALLOWED_HOSTS);
+const MAX_IMPORT_SIZE = parseInt(process.env.MAX_IMPORT_SIZE, 10) || MAX_UPLOAD_SIZE;
+const IMPORT_TIMEOUT = 30 * 1000;
+const MAX_IMPORT_REDIRECTS = 5;
+// Share of a video (0-1) a viewer has to play before it shows as watched
+const WATCHED_THRESHOLD = parseFloat(process.env.WATCHED_THRESHOLD) || 0.9;
+// Player heartbeats a client address may send per minute; a playing page
+// sends about six, so this leaves room for several viewers behind one address
+const BEACON_RATE_LIMIT = parseInt(process.env.BEACON_RATE_LIMIT, 10) || 60;
+// Watch stats and history change on every heartbeat, so they are written
+// at most this often (milliseconds)
+const STATS_SAVE_DELAY = 5 * 1000;
+// Set WATCH_FOLDER to a directory to add the videos dropped into it to the
+// library, moving them out of it (WATCH_FOLDER_MODE=move, the default) or
+// copying them. A file is taken once it has stayed the same size for
+// WATCH_FOLDER_SETTLE seconds; the folder is checked every WATCH_FOLDER_INTERVAL.
+// Videos belong to the WATCH_FOLDER_OWNER account, or the first admin, and
+// are private unless WATCH_FOLDER_VISIBILITY says otherwise.
+const WATCH_FOLDER = isVercel ? '' : process.env.WATCH_FOLDER || '';
+const WATCH_FOLDER_MODE = process.env.WATCH_FOLDER_MODE === 'copy' ? 'copy' : 'move';
+const WATCH_FOLDER_INTERVAL = (parseInt(process.env.WATCH_FOLDER_INTERVAL, 10) || 5) * 1000;
+const WATCH_FOLDER_SETTLE = (parseInt(process.env.WATCH_FOLDER_SETTLE, 10) || 10) * 1000;
+const WATCH_FOLDER_OWNER = process.env.WATCH_FOLDER_OWNER || '';
+const { visibility: WATCH_FOLDER_VISIBILITY, error: watchFolderVisibilityError } = validateVisibility(process.env.WATCH_FOLDER_VISIBILITY);
+if (watchFolderVisibilityError) throw new Error(`WATCH_FOLDER_VISIBILITY: ${watchFolderVisibilityError}`);
+// Proxies whose X-Forwarded-For and X-Forwarded-Proto headers are believed,
+// as Express's "trust proxy" setting: true, a number of hops, or addresses
+// and subnets. Without it every client behind a proxy has the proxy's
+// address, which rate limits and IP-bound links go by. Vercel has one.
+const TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY, isVercel ? 1 : false);
+// Address the server is reached at, for the absolute URLs in link previews and
+// oEmbed responses; taken from the request's Host header when not set
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+const SITE_NAME = process.env.SITE_NAME || 'Video Server';
+// Where media files are kept: the local folders above (default) or, with
+// STORAGE_DRIVER=s3, an S3-compatible bucket that survives serverless restarts
+const STORAGE_CONFIG = {
+  driver: process.env.STORAGE_DRIVER === 's3' ? 's3' : 'local',
+  s3: {
+    endpoint: process.env.S3_ENDPOINT,
+    region: process.env.S3_REGION || 'us-east-1',
+    bucket: process.env.S3_BUCKET,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    sessionToken: process.env.S3_SESSION_TOKEN,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+    prefix: process.env.S3_PREFIX || ''
+  }
+};
+// With STORAGE_REDIRECT=true, media requests are answered with a redirect to a
+// short-lived presigned URL so object storage serves the bytes itself
+const STORAGE_REDIRECT = process.env.STORAGE_REDIRECT === 'true';
+// Sites allowed to put the embed player (/embed/:id) in an iframe: '*' (any,
+// the default), 'self', 'none' or a list of origins such as
+// "https://blog.example.com https://*.example.org"
+const EMBED_FRAME_ANCESTORS = parseFrameAncestors(process.env.EMBED_FRAME_ANCESTORS || '*');
+if (!EMBED_FRAME_ANCESTORS) {
+  throw new Error('EMBED_FRAME_ANCESTORS must be *, self, none or a list of http(s) origins');
+}
+const PRESIGNED_URL_TTL = 15 * 60;
+// Videos in a bucket outlive /tmp, but the catalog giving them their IDs,
+// owners and visibility would not: each cold start would import the bucket
+// again under new IDs, as ownerless videos, with everyone signed out and
+// every signed URL broken. The data folder has to last as long as the bucket.
+if (STORAGE_CONFIG.driver === 's3' && isVercel && !process.env.DATA_FOLDER) {
+  throw new Error('STORAGE_DRIVER=s3 needs DATA_FOLDER set to storage that persists between invocations; /tmp is wiped');
+}
 
 // Create directories if they don't exist
 if (!fs.existsSync(VIDEOS_FOLDER)) {
@@ -22,355 +169,3170 @@ if (!fs.existsSync(THUMBNAILS_FOLDER)) {
   console.log(`Created thumbnails folder at: ${THUMBNAILS_FOLDER}`);
 }
 
+if (!fs.existsSync(HLS_FOLDER)) {
+  fs.mkdirSync(HLS_FOLDER, { recursive: true });
+  console.log(`Created HLS folder at: ${HLS_FOLDER}`);
+}
+
+if (!fs.existsSync(TRANSCODES_FOLDER)) {
+  fs.mkdirSync(TRANSCODES_FOLDER, { recursive: true });
+  console.log(`Created transcodes folder at: ${TRANSCODES_FOLDER}`);
+}
+
+if (!fs.existsSync(SUBTITLES_FOLDER)) {
+  fs.mkdirSync(SUBTITLES_FOLDER, { recursive: true });
+  console.log(`Created subtitles folder at: ${SUBTITLES_FOLDER}`);
+}
+
+// Media storage, one per area of the library. With local storage these are
+// the folders above; uploads and processing always use local scratch files.
+const videoStorage = createStorage(STORAGE_CONFIG, 'videos', VIDEOS_FOLDER);
+const thumbnailStorage = createStorage(STORAGE_CONFIG, 'thumbnails', THUMBNAILS_FOLDER);
+const hlsStorage = createStorage(STORAGE_CONFIG, 'hls', HLS_FOLDER);
+const transcodeStorage = createStorage(STORAGE_CONFIG, 'transcodes', TRANSCODES_FOLDER);
+const subtitleStorage = createStorage(STORAGE_CONFIG, 'subtitles', SUBTITLES_FOLDER);
+// The same, by name, for moving all of a video's files at once
+const mediaAreas = {
+  videos: videoStorage,
+  thumbnails: thumbnailStorage,
+  hls: hlsStorage,
+  transcodes: transcodeStorage,
+  subtitles: subtitleStorage
+};
+
+// A fresh path in the system temp folder for processing output
+function scratchPath(name) {
+  return path.join(os.tmpdir(), `video-server-${crypto.randomBytes(6).toString('hex')}-${name}`);
+}
+
+// Video catalog: the single source of truth for what is in the library
+const catalog = createStore(path.join(DATA_FOLDER, 'catalog.jsonl'));
+// Old name-based URLs that now point at an opaque video ID
+const redirects = createStore(path.join(DATA_FOLDER, 'redirects.jsonl'));
+// In-progress resumable (tus) uploads, and the IDs of those a request is
+// writing to right now
+const uploadSessions = createStore(path.join(DATA_FOLDER, 'uploads.jsonl'));
+const activeUploads = new Set();
+// Accounts, signed-in sessions and API tokens; secrets are only stored hashed
+const users = createStore(path.join(DATA_FOLDER, 'users.jsonl'));
+const sessions = createStore(path.join(DATA_FOLDER, 'sessions.jsonl'));
+const apiTokens = createStore(path.join(DATA_FOLDER, 'tokens.jsonl'));
+const playlists = createStore(path.join(DATA_FOLDER, 'playlists.jsonl'));
+// Views, watch time and retention, fed by the players' heartbeats
+const watchStats = createWatchAnalytics({ store: createStore(path.join(DATA_FOLDER, 'stats.jsonl'), { saveDelay: STATS_SAVE_DELAY }) });
+// Where each signed-in viewer stopped in each video
+const watchHistory = createStore(path.join(DATA_FOLDER, 'history.jsonl'), { saveDelay: STATS_SAVE_DELAY });
+const beaconLimiter = createRateLimiter({ limit: BEACON_RATE_LIMIT, windowMs: 60 * 1000 });
+// Files already taken from the watch folder in copy mode, by file name
+const watchFolderFiles = createStore(path.join(DATA_FOLDER, 'watch-folder.jsonl'));
+// Deleted videos waiting to be restored or purged, by video ID
+const trash = createStore(path.join(DATA_FOLDER, 'trash.jsonl'));
+
+// Key for signing private video URLs. Unless URL_SIGNING_SECRET is set, one is
+// generated on first start and kept in the data folder so signed URLs survive restarts.
+function loadSigningSecret() {
+  const secretPath = path.join(DATA_FOLDER, 'signing-secret');
+  if (!fs.existsSync(secretPath)) {
+    fs.writeFileSync(secretPath, crypto.randomBytes(32).toString('hex'), { mode: 0o600 });
+  }
+  return fs.readFileSync(secretPath, 'utf8').trim();
+}
+
+const URL_SIGNING_SECRET = process.env.URL_SIGNING_SECRET || loadSigningSecret();
+
 const app = express();
 const port = process.env.PORT || 3000;
+app.set('trust proxy', TRUST_PROXY);
 
 // Add middleware to parse JSON and URL-encoded bodies
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
-// Configure multer for file uploads
+// Configure multer for video uploads: stream straight to a temp file in the
+// videos folder, which the upload route renames into place once complete
 const upload = multer({ 
+  storage: multer.diskStorage({
+    destination: VIDEOS_FOLDER,
+    filename: (req, file, cb) => {
+      const tempName = `.upload-${crypto.randomBytes(8).toString('hex')}${PARTIAL_UPLOAD_EXT}`;
+      req.partialUploadPath = path.join(VIDEOS_FOLDER, tempName);
+      cb(null, tempName);
+    }
+  }),
+  limits: {
+    fileSize: MAX_UPLOAD_SIZE
+  }
+});
+
+// Thumbnails are small, so they are kept in memory
+const thumbnailUpload = multer({ 
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024
+  }
+});
+
+// Caption files are tiny text files
+const subtitleUpload = multer({ 
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 100 * 1024 * 1024 // 100MB limit for Vercel
+    fileSize: 5 * 1024 * 1024
+  }
+});
+
+// Remove a temp upload file that never made it into the library
+function removePartialUpload(req) {
+  if (req.partialUploadPath && fs.existsSync(req.partialUploadPath)) {
+    fs.unlink(req.partialUploadPath, (error) => {
+      if (error) console.error('Failed to remove partial upload:', error);
+    });
+  }
+}
+
+// Receive a streamed video upload, turning multer errors into JSON responses
+// and cleaning up the temp file if the client disconnects or a limit is hit
+function receiveVideoUpload(req, res, next) {
+  res.on('close', () => removePartialUpload(req));
+  
+  upload.single('video')(req, res, (error) => {
+    if (!error) return next();
+    
+    removePartialUpload(req);
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Video exceeds the maximum upload size of ${MAX_UPLOAD_SIZE} bytes` });
+    }
+    console.error('Error receiving upload:', error);
+    res.status(400).json({ error: 'Upload failed' });
+  });
+}
+
+// Drop resumable upload sessions that have expired, along with what they
+// received, and unfinished ones that lost their temp file. Finished sessions
+// are kept until they expire so clients can still look up the video.
+function expireUploadSessions() {
+  try {
+    uploadSessions.all().forEach(session => {
+      if (activeUploads.has(session.id)) return;
+      const tempPath = path.join(VIDEOS_FOLDER, session.tempFile);
+      const expired = Date.now() - new Date(session.updatedAt).getTime() > UPLOAD_SESSION_TTL;
+      if (expired || (!session.videoId && !fs.existsSync(tempPath))) {
+        uploadSessions.remove(session.id);
+        fs.rmSync(tempPath, { force: true });
+      }
+    });
+  } catch (error) {
+    console.error('Error expiring upload sessions:', error);
+  }
+}
+
+expireUploadSessions();
+setInterval(expireUploadSessions, UPLOAD_SWEEP_INTERVAL).unref();
+
+// Clear out partial uploads left behind by a previous run, keeping the temp
+// files of resumable uploads that can still be continued
+const resumableFiles = new Set(uploadSessions.all().map(session => session.tempFile));
+fs.readdirSync(VIDEOS_FOLDER)
+  .filter(file => file.endsWith(PARTIAL_UPLOAD_EXT) && !resumableFiles.has(file))
+  .forEach(file => fs.unlinkSync(path.join(VIDEOS_FOLDER, file)));
+
+// Forget sessions that expired while the server was down
+sessions.all().forEach(session => {
+  if (new Date(session.expiresAt).getTime() < Date.now()) {
+    sessions.remove(session.id);
   }
 });
 
+app.use(securityHeaders({
+  // Redirected media is fetched from the bucket by the browser itself
+  mediaOrigins: STORAGE_REDIRECT && videoStorage.origin ? [videoStorage.origin] : [],
+  embedFrameAncestors: EMBED_FRAME_ANCESTORS,
+  isEmbed: req => req.path.startsWith('/embed/')
+}));
+
 // Middleware to handle CORS
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Range, Content-Type');
-  res.header('Access-Control-Expose-Headers', 'Content-Range, Accept-Ranges, Content-Length');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  if (req.method === 'OPTIONS') {
+  res.header('Access-Control-Allow-Headers', 'Authorization, Range, If-Range, If-None-Match, If-Modified-Since, If-Match, If-Unmodified-Since, Content-Type, Tus-Resumable, Upload-Length, Upload-Offset, Upload-Metadata');
+  res.header('Access-Control-Expose-Headers', 'Content-Range, Accept-Ranges, Content-Length, ETag, Last-Modified, Location, Link, X-Total-Count, X-Next-Cursor, Tus-Resumable, Tus-Version, Tus-Extension, Tus-Max-Size, Upload-Length, Upload-Offset');
+  res.header('Access-Control-Allow-Methods', 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS');
+  if (req.method === 'OPTIONS' && req.path.startsWith('/api/uploads')) {
+    tusCapabilities(res, MAX_UPLOAD_SIZE);
+    res.sendStatus(204);
+  } else if (req.method === 'OPTIONS') {
     res.sendStatus(200);
   } else {
     next();
   }
 });
 
+// Work out who is making the request: scripts send an API token as a bearer
+// token, browsers a session cookie. Anonymous requests get req.user = null.
+function authenticate(req, res, next) {
+  req.user = null;
+  
+  const authorization = req.get('Authorization');
+  if (authorization && /^Bearer /i.test(authorization)) {
+    const tokenHash = hashSecret(authorization.slice(7).trim());
+    const token = apiTokens.find(candidate => candidate.tokenHash === tokenHash);
+    const user = token ? users.get(token.userId) : null;
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid API token' });
+    }
+    
+    // Recording every use would mean a store write per request
+    if (!token.lastUsedAt || Date.now() - new Date(token.lastUsedAt).getTime() > 60 * 1000) {
+      apiTokens.update(token.id, { lastUsedAt: new Date().toISOString() });
+    }
+    req.user = user;
+    return next();
+  }
+  
+  const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (sessionId) {
+    const session = sessions.get(hashSecret(sessionId));
+    if (session && new Date(session.expiresAt).getTime() > Date.now()) {
+      req.user = users.get(session.userId) || null;
+    } else if (session) {
+      sessions.remove(session.id);
+    }
+  }
+  next();
+}
+
+app.use(authenticate);
+
+function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Sign in required' });
+  }
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(req.user ? 403 : 401).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
+// Only a video's owner or an admin may change it
+function canModify(user, record) {
+  return !!user && (user.role === 'admin' || record.ownerId === user.id);
+}
+
+function clientIp(req) {
+  return (req.ip || '').replace(/^::ffff:/, '');
+}
+
+// Public and unlisted videos play for anyone with the link; private ones only
+// for their owner, an admin, or a request carrying a valid signature.
+// `page: true` for the watch and embed pages, which media signatures don't open.
+function canView(req, record, { page = false } = {}) {
+  if (recordVisibility(record) !== 'private') return true;
+  if (canModify(req.user, record)) return true;
+  return hasValidSignature(req, record, page);
+}
+
+function hasValidSignature(req, record, page) {
+  return verifyVideoAccess(URL_SIGNING_SECRET, record.id, req.query, { ip: clientIp(req), referer: req.get('Referer'), page });
+}
+
+// Refuse a media request: a bad or expired signature is worth telling apart,
+// otherwise private videos look exactly like missing ones
+function denyMedia(req, res, notFoundMessage) {
+  if (req.query.sig) {
+    return res.status(403).send('Invalid or expired signature');
+  }
+  res.status(404).send(notFoundMessage);
+}
+
+function serializeUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    createdAt: user.createdAt
+  };
+}
+
+// Video details as seen by the requesting user
+function serializeVideoFor(req, record) {
+  const owner = record.ownerId ? users.get(record.ownerId) : null;
+  return {
+    ...serializeVideo(record),
+    ownerName: owner ? owner.username : null,
+    canEdit: canModify(req.user, record),
+    // Sources the viewer can't see (or that were deleted) stay untitled
+    sources: serializeVideo(record).sources.map(source => {
+      const sourceRecord = catalog.get(source.videoId);
+      return { ...source, title: sourceRecord && canView(req, sourceRecord) ? sourceRecord.title : null };
+    }),
+    progress: req.user ? serializeProgress(watchHistory.get(historyId(req.user.id, record.id)), WATCHED_THRESHOLD) : null
+  };
+}
+
+// Save how far a signed-in viewer has got in a video
+function recordProgress(user, record, position) {
+  const id = historyId(user.id, record.id);
+  const entry = watchHistory.get(id);
+  const changes = progressChanges(entry, position, record.duration, WATCHED_THRESHOLD);
+  if (entry) {
+    return watchHistory.update(id, changes);
+  }
+  return watchHistory.put({ id, userId: user.id, videoId: record.id, watched: false, watchedAt: null, ...changes });
+}
+
+function findUserByName(username) {
+  const lower = username.toLowerCase();
+  return users.find(user => user.username.toLowerCase() === lower);
+}
+
+// The first account is an admin and takes over videos uploaded before
+// accounts existed; everyone after that is a regular user unless an admin says otherwise
+function createUser(username, password, role) {
+  const firstUser = users.all().length === 0;
+  const user = users.put({
+    id: crypto.randomBytes(8).toString('hex'),
+    username,
+    password: hashPassword(password),
+    role: firstUser ? 'admin' : role || 'user',
+    createdAt: new Date().toISOString()
+  });
+  
+  if (firstUser) {
+    catalog.filter(record => !record.ownerId).forEach(record => catalog.update(record.id, { ownerId: user.id }));
+  }
+  return user;
+}
+
+function startSession(req, res, user) {
+  const sessionId = generateSecret('');
+  const now = Date.now();
+  sessions.put({
+    id: hashSecret(sessionId),
+    userId: user.id,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL).toISOString()
+  });
+  res.cookie(SESSION_COOKIE, sessionId, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: SESSION_TTL,
+    path: '/'
+  });
+}
+
+// Owner of videos nobody else is known to own; until there is an admin, the
+// first account to register takes them over
+function firstAdminId() {
+  const admin = users.find(user => user.role === 'admin');
+  return admin ? admin.id : null;
+}
+
+// Let deployments create their admin account from the environment
+if (process.env.ADMIN_USERNAME && process.env.ADMIN_PASSWORD && !findUserByName(process.env.ADMIN_USERNAME)) {
+  createUser(process.env.ADMIN_USERNAME, process.env.ADMIN_PASSWORD, 'admin');
+  console.log(`Created admin account: ${process.env.ADMIN_USERNAME}`);
+}
+
+// A missing ffmpeg or ffprobe won't turn up by retrying, so jobs fail on it
+// straight away (see lib/jobs.js) rather than holding up the video's other jobs
+function missingToolError(name, error) {
+  if (error.code !== 'ENOENT') return error;
+  return Object.assign(new Error(`${name} was not found at ${error.path}`), { permanent: true });
+}
+
 // Check if FFmpeg is available for thumbnail extraction
 function checkFFmpeg() {
   return new Promise((resolve) => {
-    exec('ffmpeg -version', (error) => {
+    exec(`"${FFMPEG_PATH}" -version`, (error) => {
       resolve(!error);
     });
   });
 }
 
-// Extract thumbnail from video
-function extractThumbnail(videoPath, outputPath) {
+// Encode one picture as JPEG and WebP at every thumbnail width. `inputArgs`
+// select the picture (an image file, or a position in a video) and `filter`
+// runs before scaling. Resolves with the encoded files, still in scratch
+// space (the first is the smallest JPEG), and the size of the largest one.
+async function renderThumbnail(inputArgs, videoId, thumbnailId, { filter, context } = {}) {
+  const graph = [`[0:v]${filter ? `${filter},` : ''}split=${THUMBNAIL_WIDTHS.length}${THUMBNAIL_WIDTHS.map((width, i) => `[s${i}]`).join('')}`];
+  const args = ['-y', ...inputArgs];
+  const outputs = [];
+  
+  THUMBNAIL_WIDTHS.forEach((width, i) => {
+    // Never scale up; small sources just get several copies at their own size
+    graph.push(`[s${i}]scale='min(${width},iw)':-2,split=2[jpeg${i}][webp${i}]`);
+    Object.keys(THUMBNAIL_FORMATS).forEach(format => {
+      const tempPath = scratchPath(`${videoId}-${thumbnailId}-${width}.${THUMBNAIL_FORMATS[format].extension}`);
+      const quality = format === 'jpeg' ? ['-q:v', '3'] : ['-quality', '80'];
+      outputs.push({ tempPath, key: thumbnailKey(videoId, thumbnailId, width, format), contentType: THUMBNAIL_FORMATS[format].contentType });
+      args.push('-map', `[${format}${i}]`, '-frames:v', '1', '-map_metadata', '-1', ...quality, tempPath);
+    });
+  });
+  args.splice(1 + inputArgs.length, 0, '-filter_complex', graph.join(';'));
+  
+  try {
+    await runFFmpeg(args, context);
+    outputs.forEach(output => {
+      // Seeking past the last frame "succeeds" without writing anything
+      output.size = fs.existsSync(output.tempPath) ? fs.statSync(output.tempPath).size : 0;
+      if (output.size === 0) throw new Error('ffmpeg produced no image');
+    });
+    const largest = outputs.filter(output => output.contentType === 'image/jpeg').pop();
+    return { outputs, size: jpegSize(fs.readFileSync(largest.tempPath)) || {} };
+  } catch (error) {
+    outputs.forEach(output => fs.rmSync(output.tempPath, { force: true }));
+    throw error;
+  }
+}
+
+async function storeThumbnail(outputs) {
+  try {
+    for (const output of outputs) {
+      await thumbnailStorage.moveFile(output.tempPath, output.key, output.contentType);
+    }
+  } finally {
+    outputs.forEach(output => fs.rmSync(output.tempPath, { force: true }));
+  }
+}
+
+async function removeThumbnail(videoId, entry) {
+  for (const width of entry.widths) {
+    for (const format of Object.keys(THUMBNAIL_FORMATS)) {
+      await thumbnailStorage.remove(thumbnailKey(videoId, entry.id, width, format));
+    }
+  }
+}
+
+// Make one of a video's thumbnails its poster. `thumbnail` keeps pointing at
+// the default (smallest JPEG) rendition, so everything that only knows about
+// a single thumbnail keeps working.
+async function setPoster(videoId, entry) {
+  const record = catalog.get(videoId);
+  // A poster from before there were candidates is a file of its own
+  if (record.thumbnail && !record.posterId) {
+    await thumbnailStorage.remove(record.thumbnail);
+  }
+  return catalog.update(videoId, { posterId: entry.id, thumbnail: thumbnailKey(videoId, entry.id, entry.widths[0], 'jpeg') });
+}
+
+// Run ffmpeg with the given arguments, rejecting with the tail of its log on
+// failure. When called from a job, the command and its outcome go to the job
+// log and ffmpeg's position in the input is reported as progress.
+function runFFmpeg(args, context, outputDuration) {
   return new Promise((resolve, reject) => {
-    const command = `ffmpeg -i "${videoPath}" -ss 00:00:01 -vframes 1 -vf "scale=320:-1" "${outputPath}"`;
+    const ffmpeg = spawn(FFMPEG_PATH, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    let header = '';
+    let log = '';
+    // Progress is measured against the input's duration unless the output is
+    // known to be shorter, as with clips
+    let duration = outputDuration || null;
     
-    exec(command, (error) => {
-      if (error) {
-        console.error('Error extracting thumbnail:', error);
-        reject(error);
-      } else {
+    if (context) context.log(`ffmpeg ${args.join(' ')}`);
+    
+    ffmpeg.stderr.on('data', (data) => {
+      const text = data.toString();
+      log = (log + text).slice(-4000);
+      if (!context) return;
+      
+      if (duration === null && header.length < 16000) {
+        header += text;
+        duration = parseTimestamp((/Duration: ([\d:.]+)/.exec(header) || [])[1]);
+      }
+      const times = text.match(/time=[\d:.]+/g);
+      if (duration && times) {
+        context.progress((parseTimestamp(times[times.length - 1]) / duration) * 100);
+      }
+    });
+    ffmpeg.on('error', error => reject(missingToolError('ffmpeg', error)));
+    ffmpeg.on('close', (code) => {
+      const tail = log.split(/[\r\n]+/).filter(Boolean).slice(-5).join('\n');
+      if (context) context.log(`ffmpeg exited with code ${code}\n${tail}`);
+      if (code === 0) {
         resolve();
+      } else {
+        reject(new Error(`ffmpeg exited with code ${code}: ${tail}`));
       }
     });
   });
 }
 
-// Get list of all videos
-app.get('/api/videos', (req, res) => {
-  try {
-    const files = fs.readdirSync(VIDEOS_FOLDER);
-    const videoFiles = files.filter(file => {
-      const ext = path.extname(file).toLowerCase();
-      return ['.mp4', '.webm', '.ogg', '.mov', '.avi', '.mkv', '.flv', '.wmv', '.m4v', '.3gp'].includes(ext);
-    });
+// Inspect a video with ffprobe. Resolves with { media, playable, problems };
+// a file ffprobe can't decode resolves as unplayable rather than rejecting,
+// so only real failures (such as ffprobe missing) are retried.
+function probeVideo(videoPath) {
+  return new Promise((resolve, reject) => {
+    const args = ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', videoPath];
     
-    const videos = videoFiles.map(file => {
-      const stats = fs.statSync(path.join(VIDEOS_FOLDER, file));
-      const name = path.basename(file, path.extname(file));
-      const thumbnailPath = path.join(THUMBNAILS_FOLDER, `${name}.jpg`);
-      const hasThumbnail = fs.existsSync(thumbnailPath);
-      
-      return {
-        id: name,
-        filename: file,
-        displayName: name,
-        size: stats.size,
-        created: stats.birthtime,
-        modified: stats.mtime,
-        hasThumbnail: hasThumbnail,
-        url: `/video/${name}`,
-        thumbnailUrl: hasThumbnail ? `/thumbnail/${name}` : null
-      };
+    execFile(FFPROBE_PATH, args, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error && (error.code === 'ENOENT' || error.killed)) {
+        reject(missingToolError('ffprobe', error));
+        return;
+      }
+      if (error) {
+        const message = stderr.trim().split('\n').pop().replace(`${videoPath}: `, '');
+        resolve({ media: null, playable: false, problems: [message || 'ffprobe could not read the file'] });
+        return;
+      }
+      try {
+        resolve(parseProbeOutput(JSON.parse(stdout)));
+      } catch (parseError) {
+        reject(parseError);
+      }
     });
-    
-    res.json(videos);
+  });
+}
+
+function readFileHeader(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_LENGTH);
+    return buffer.subarray(0, fs.readSync(fd, buffer, 0, HEADER_LENGTH, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Make sure an incoming file really is a video before it joins the library:
+// its name needs a video extension, its first bytes a container matching that
+// extension, and ffprobe has to find a playable video stream in it. Resolves
+// with null when it passes, otherwise with { status, body } to reject it with.
+async function checkVideoFile(filePath, filename) {
+  const extension = path.extname(filename).toLowerCase();
+  if (!isVideoFile(filename)) {
+    return {
+      status: 415,
+      body: rejection('unsupported_type', 'Not a supported video type', [
+        `${extension ? `"${extension}"` : 'A name without an extension'} is not one of ${VIDEO_EXTENSIONS.join(', ')}`
+      ])
+    };
+  }
+  
+  const container = sniffVideo(readFileHeader(filePath));
+  if (!container) {
+    return {
+      status: 415,
+      body: rejection('unrecognized_content', 'The file is not a video', ['Its contents do not start like any supported video container'])
+    };
+  }
+  if (!containerMatchesExtension(container, filename)) {
+    return {
+      status: 415,
+      body: rejection('type_mismatch', 'The file\'s contents do not match its name', [`The contents are ${container} but the name ends in "${extension}"`])
+    };
+  }
+  
+  let probe;
+  try {
+    probe = await probeVideo(filePath);
   } catch (error) {
-    console.error('Error reading videos directory:', error);
-    res.status(500).json({ error: 'Failed to read videos directory' });
+    if (ACCEPT_UNPROBED_UPLOADS) {
+      console.warn(`Could not probe ${filename}, accepting it unchecked:`, error.message);
+      return null;
+    }
+    console.error(`Could not probe ${filename}:`, error.message);
+    return {
+      status: 503,
+      body: rejection('check_unavailable', 'The file could not be checked', ['The server can\'t inspect videos right now; try again later'])
+    };
   }
-});
+  if (!probe.playable) {
+    return { status: 422, body: rejection('not_a_video', 'The file could not be read as a video', probe.problems) };
+  }
+  return null;
+}
+
+// Job handlers. Each one looks the video up again when it runs, since it may
+// have been deleted while the job was waiting in the queue.
+
+async function runProbeJob(job, context) {
+  const record = catalog.get(job.videoId);
+  if (!record) return;
+  
+  const { media, playable, problems } = await probeVideo(await videoStorage.inputPath(record.filename));
+  context.log(`Probed ${record.filename}: ${JSON.stringify({ media, playable, problems })}`);
+  if (!catalog.get(job.videoId)) return;
+  
+  catalog.update(job.videoId, {
+    media,
+    playable,
+    problems,
+    duration: media ? media.duration : null,
+    width: media ? media.width : null,
+    height: media ? media.height : null
+  });
+  if (!playable) {
+    console.warn(`Video ${job.videoId} is not playable: ${problems.join('; ')}`);
+  }
+}
+
+// Later jobs have nothing to work with once the probe found the file unplayable
+function isUnplayable(record, context) {
+  if (record.playable !== false) return false;
+  context.log('Skipped: video is not playable');
+  return true;
+}
 
-// Check if a video name already exists
-app.get('/api/check-name/:name', (req, res) => {
+// Pick poster candidates at spread-out timestamps. The first run also picks
+// the poster, unless the owner already uploaded one; regenerating (force)
+// replaces the candidates and the poster.
+async function runThumbnailJob(job, context) {
+  const record = catalog.get(job.videoId);
+  if (!record || isUnplayable(record, context)) return;
+  if ((record.thumbnails || []).some(entry => entry.source === 'frame') && !job.options.force) return;
+  
+  const inputPath = await videoStorage.inputPath(record.filename);
+  const candidates = [];
+  // Candidates already stored when the job gives up would be left behind;
+  // ones reusing the ID of a thumbnail the video still lists replaced its files
+  async function discardCandidates() {
+    const kept = (catalog.get(job.videoId) || {}).thumbnails || [];
+    for (const { entry } of candidates) {
+      if (!kept.some(thumbnail => thumbnail.id === entry.id)) await removeThumbnail(job.videoId, entry);
+    }
+  }
+  
   try {
-    const name = req.params.name;
-    const files = fs.readdirSync(VIDEOS_FOLDER);
-    const videoFiles = files.filter(file => {
-      const ext = path.extname(file).toLowerCase();
-      return ['.mp4', '.webm', '.ogg', '.mov', '.avi', '.mkv', '.flv', '.wmv', '.m4v', '.3gp'].includes(ext);
-    });
-    
-    const existingNames = videoFiles.map(file => 
-      path.basename(file, path.extname(file))
-    );
-    
-    const exists = existingNames.includes(name);
-    res.json({ exists });
+    for (const [index, time] of candidateTimes(record.duration).entries()) {
+      const id = `frame-${index + 1}`;
+      // The thumbnail filter keeps the most representative of the next 25
+      // frames, which steers clear of black frames and mid-cut blur
+      const { outputs, size } = await renderThumbnail(['-ss', String(time), '-i', inputPath], record.id, id, { filter: 'thumbnail=25', context });
+      if (!catalog.get(job.videoId)) {
+        outputs.forEach(output => fs.rmSync(output.tempPath, { force: true }));
+        await discardCandidates();
+        return;
+      }
+      candidates.push({
+        entry: { id, source: 'frame', time, widths: THUMBNAIL_WIDTHS, width: size.width, height: size.height, createdAt: new Date().toISOString() },
+        // JPEG size is a cheap stand-in for how much is going on in the picture
+        detail: outputs[0].size
+      });
+      await storeThumbnail(outputs);
+    }
   } catch (error) {
-    console.error('Error checking name:', error);
-    res.status(500).json({ error: 'Failed to check name' });
+    await discardCandidates();
+    throw error;
   }
-});
+  
+  const current = catalog.get(job.videoId);
+  if (!current) return;
+  const frames = candidates.map(candidate => candidate.entry);
+  for (const entry of current.thumbnails || []) {
+    if (entry.source === 'frame' && !frames.some(frame => frame.id === entry.id)) {
+      await removeThumbnail(current.id, entry);
+    }
+  }
+  catalog.update(job.videoId, { thumbnails: [...(current.thumbnails || []).filter(entry => entry.source !== 'frame'), ...frames] });
+  
+  if (job.options.force || !current.thumbnail) {
+    const best = candidates.reduce((a, b) => (b.detail > a.detail ? b : a));
+    await setPoster(job.videoId, best.entry);
+    context.log(`Poster set to ${best.entry.id} at ${best.entry.time}s`);
+  }
+}
 
-// Rename video endpoint
-app.put('/api/rename/:id', (req, res) => {
+// Render the storyboard sprite sheet behind the seek-bar previews
+async function runStoryboardJob(job, context) {
+  const record = catalog.get(job.videoId);
+  if (!record || isUnplayable(record, context)) return;
+  
+  const plan = planStoryboard(record.duration, record.width, record.height);
+  if (!plan) {
+    context.log('Skipped: video length or size unknown');
+    return;
+  }
+  
+  const key = `${record.id}/storyboard.jpg`;
+  const tempPath = scratchPath(`${record.id}-storyboard.jpg`);
   try {
-    const videoId = req.params.id;
-    const newName = req.body.newName;
+    const filter = `fps=1/${plan.interval},scale=${plan.tileWidth}:${plan.tileHeight},tile=${plan.columns}x${plan.rows}`;
+    await runFFmpeg(['-y', '-i', await videoStorage.inputPath(record.filename), '-vf', filter, '-frames:v', '1', '-q:v', '5', tempPath], context);
+    if (!catalog.get(job.videoId)) return;
+    await thumbnailStorage.moveFile(tempPath, key, 'image/jpeg');
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+  if (catalog.get(job.videoId)) catalog.update(job.videoId, { storyboard: { ...plan, key } });
+}
+
+// Store a WebVTT file as a new caption track of a video. Returns the track,
+// or null if the video was deleted in the meantime.
+async function addSubtitleTrack(videoId, vtt, { language, label, source, streamIndex = null }) {
+  const track = {
+    id: crypto.randomBytes(6).toString('hex'),
+    language,
+    label: label && label.trim() !== '' ? label.trim().slice(0, 100) : languageLabel(language),
+    source,
+    streamIndex,
+    createdAt: new Date().toISOString()
+  };
+  const key = `${videoId}/${track.id}.vtt`;
+  await subtitleStorage.write(key, Buffer.from(vtt), 'text/vtt');
+  
+  const record = catalog.get(videoId);
+  if (!record) {
+    await subtitleStorage.remove(key);
+    return null;
+  }
+  catalog.update(videoId, { subtitles: [...(record.subtitles || []), track] });
+  return track;
+}
+
+// Turn the text subtitle streams the probe found into WebVTT caption tracks
+async function runSubtitlesJob(job, context) {
+  const record = catalog.get(job.videoId);
+  if (!record || isUnplayable(record, context)) return;
+  
+  const streams = ((record.media && record.media.subtitleStreams) || []).filter(stream => {
+    if (isTextSubtitleCodec(stream.codec)) return true;
+    context.log(`Skipped subtitle stream ${stream.index}: ${stream.codec} is not a text format`);
+    return false;
+  });
+  if (streams.length === 0) {
+    context.log('No text subtitle streams to extract');
+    return;
+  }
+  
+  const inputPath = await videoStorage.inputPath(record.filename);
+  for (const stream of streams) {
+    // A retry after a partial run must not add the same stream twice
+    const current = catalog.get(job.videoId);
+    if (!current) return;
+    if ((current.subtitles || []).some(track => track.source === 'embedded' && track.streamIndex === stream.index)) continue;
     
-    if (!newName || newName.trim() === '') {
-      return res.status(400).json({ error: 'New name is required' });
+    const tempPath = scratchPath(`${record.id}-${stream.index}.vtt`);
+    try {
+      await runFFmpeg(['-y', '-i', inputPath, '-map', `0:s:${stream.index}`, '-f', 'webvtt', tempPath], context);
+      await addSubtitleTrack(job.videoId, fs.readFileSync(tempPath, 'utf8'), {
+        language: normalizeLanguage(stream.language) || 'und',
+        label: stream.title,
+        source: 'embedded',
+        streamIndex: stream.index
+      });
+    } finally {
+      fs.rmSync(tempPath, { force: true });
     }
-    
-    const videoPath = findVideoFile(videoId);
-    if (!videoPath) {
-      return res.status(404).json({ error: 'Video not found' });
+  }
+}
+
+// Make a browser-friendly copy of a video in a format browsers can't play
+async function runTranscodeJob(job, context) {
+  const record = catalog.get(job.videoId);
+  if (!record || isUnplayable(record, context)) return;
+  if (!needsTranscode(record) && !job.options.force) {
+    context.log('Skipped: browsers can play this video as it is');
+    return;
+  }
+  
+  const format = TRANSCODE_FORMATS[job.options.format] ? job.options.format : TRANSCODE_FORMAT;
+  const filename = `${record.id}.${format}`;
+  const mimeType = TRANSCODE_FORMATS[format].mimeType;
+  const tempPath = scratchPath(filename);
+  
+  try {
+    await runFFmpeg(transcodeArgs(await videoStorage.inputPath(record.filename), tempPath, format), context);
+    if (!catalog.get(job.videoId)) return;
+    await transcodeStorage.moveFile(tempPath, filename, mimeType);
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+  
+  if (catalog.get(job.videoId)) {
+    catalog.update(job.videoId, { transcode: { filename, mimeType } });
+  } else {
+    await transcodeStorage.remove(filename);
+  }
+}
+
+// Requests made for imports, with the host checks (see lib/import.js)
+const importClient = createImportClient({
+  allowedHosts: IMPORT_ALLOWED_HOSTS,
+  timeout: IMPORT_TIMEOUT,
+  maxRedirects: MAX_IMPORT_REDIRECTS,
+  maxSize: MAX_IMPORT_SIZE
+});
+
+// Save a response body to a scratch file, stopping at MAX_IMPORT_SIZE
+function downloadImport(response, tempPath, context) {
+  const total = parseInt(response.headers['content-length'], 10) || null;
+  if (total && total > MAX_IMPORT_SIZE) {
+    response.destroy();
+    return Promise.reject(new Error(`The file is ${total} bytes; imports are limited to ${MAX_IMPORT_SIZE}`));
+  }
+  
+  let received = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > MAX_IMPORT_SIZE) {
+        return callback(new Error(`The file is larger than the import limit of ${MAX_IMPORT_SIZE} bytes`));
+      }
+      if (total) context.progress((received / total) * 100);
+      callback(null, chunk);
     }
-    
-    const ext = path.extname(videoPath);
-    const newPath = path.join(VIDEOS_FOLDER, `${newName.trim()}${ext}`);
-    
-    if (fs.existsSync(newPath)) {
-      return res.status(409).json({ error: 'A video with this name already exists' });
+  });
+  
+  return new Promise((resolve, reject) => {
+    pipeline(response, counter, fs.createWriteStream(tempPath), error => {
+      if (error) return reject(error);
+      context.log(`Downloaded ${received} bytes`);
+      resolve(received);
+    });
+  });
+}
+
+// Remux an HLS stream into one MP4. The playlists and segments are fetched
+// by importClient, each with the same host checks as the manifest, and ffmpeg
+// only reads the local copies: it is never handed a URL.
+async function remuxImport(url, manifest, tempPath, context) {
+  if (isLivePlaylist(manifest)) {
+    throw new Error('Live streams cannot be imported');
+  }
+  const folder = scratchPath('hls');
+  fs.mkdirSync(folder);
+  try {
+    const inputs = await importClient.fetchHls(url, manifest, folder, context);
+    const args = ['-y'];
+    inputs.forEach(input => {
+      args.push('-protocol_whitelist', 'file,crypto', '-allowed_extensions', 'ALL', '-i', input);
+    });
+    // A separate audio rendition comes second
+    if (inputs.length > 1) args.push('-map', '0:v', '-map', '1:a');
+    await runFFmpeg([
+      ...args,
+      '-c', 'copy', '-bsf:a', 'aac_adtstoasc',
+      '-fs', String(MAX_IMPORT_SIZE),
+      '-movflags', '+faststart', '-f', 'mp4', tempPath
+    ], context);
+  } finally {
+    fs.rmSync(folder, { recursive: true, force: true });
+  }
+  const size = fs.statSync(tempPath).size;
+  if (size >= MAX_IMPORT_SIZE) {
+    throw new Error(`The stream is larger than the import limit of ${MAX_IMPORT_SIZE} bytes`);
+  }
+  return size;
+}
+
+// Import a video from a URL, then add it like an upload. The new video's ID
+// is left in the job's result.
+async function runImportJob(job, context) {
+  const { url: value, customName, description, visibility, ownerId } = job.options;
+  const { url, response } = await importClient.open(new URL(value));
+  if (url.href !== value) context.log(`Redirected to ${url.href}`);
+  
+  const contentType = response.headers['content-type'];
+  const contentDisposition = response.headers['content-disposition'];
+  const kind = importKind(url.href, { contentType, contentDisposition });
+  if (!kind) {
+    response.destroy();
+    throw new Error(`${url.href} is not a video (Content-Type: ${contentType || 'none'})`);
+  }
+  
+  const originalFilename = sanitizeFilename(importFilename(url.href, { contentDisposition, contentType, kind })) || 'imported-video.mp4';
+  const tempPath = scratchPath(originalFilename.replace(/[^\w.-]/g, '_'));
+  try {
+    let size;
+    if (kind === 'hls') {
+      const manifest = await importClient.readManifest(response);
+      size = await remuxImport(url, manifest, tempPath, context);
+    } else {
+      size = await downloadImport(response, tempPath, context);
+    }
+    const problem = await checkVideoFile(tempPath, originalFilename);
+    if (problem) {
+      throw new Error(`${problem.body.error}: ${problem.body.reasons.join('; ')}`);
     }
     
-    fs.renameSync(videoPath, newPath);
+    const result = await addUploadedVideo({
+      tempPath,
+      originalFilename,
+      customName,
+      description,
+      mimeType: kind === 'hls' ? 'video/mp4' : String(contentType || '').split(';')[0],
+      size,
+      ownerId,
+      visibility
+    });
+    context.log(`Added as video ${result.videoId}`);
+    context.result({ videoId: result.videoId, title: result.title });
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+}
+
+// Time of the last keyframe at or before `time` in a video's first video
+// stream, or null when there is none
+function findKeyframe(inputPath, time) {
+  return new Promise((resolve, reject) => {
+    const args = [
+      '-v', 'error', '-select_streams', 'v:0', '-skip_frame', 'nokey',
+      '-show_entries', 'frame=best_effort_timestamp_time', '-of', 'csv=p=0',
+      '-read_intervals', `${Math.max(0, time - 30)}%${time + KEYFRAME_TOLERANCE}`,
+      inputPath
+    ];
+    execFile(FFPROBE_PATH, args, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout) => {
+      if (error) {
+        reject(missingToolError('ffprobe', error));
+        return;
+      }
+      const times = stdout.split('\n').map(parseFloat).filter(value => value <= time + KEYFRAME_TOLERANCE);
+      resolve(times.length > 0 ? Math.max(...times) : null);
+    });
+  });
+}
+
+// Cut the segments of an edit into one new video (see lib/clips.js). In auto
+// mode stream copy is used when every cut starts on a keyframe; copy mode
+// uses it regardless, starting cuts at the keyframe before.
+async function runEditJob(job, context) {
+  const { segments, mode, customName, description, visibility, ownerId } = job.options;
+  const records = segments.map(segment => {
+    const record = catalog.get(segment.videoId);
+    if (!record || record.missing) throw new Error(`Video ${segment.videoId} no longer exists`);
+    return record;
+  });
+  const inputs = await Promise.all(records.map(record => videoStorage.inputPath(record.filename)));
+  
+  let copy = mode !== 'encode' && copyCompatible(records);
+  if (copy && mode === 'auto') {
+    for (const [index, segment] of segments.entries()) {
+      if (segment.start === 0) continue;
+      const keyframe = await findKeyframe(inputs[index], segment.start);
+      if (keyframe === null || segment.start - keyframe > KEYFRAME_TOLERANCE) {
+        context.log(`Segment ${index + 1} starts between keyframes, re-encoding`);
+        copy = false;
+        break;
+      }
+    }
+  }
+  context.log(copy ? 'Cutting with stream copy' : 'Re-encoding');
+  
+  const frame = editFrame(records);
+  const withAudio = records.some(record => !record.media || record.media.audioCodec);
+  const extension = copy ? path.extname(records[0].filename).toLowerCase() : '.mp4';
+  const parts = segments.map((segment, index) => scratchPath(`part${index}${extension}`));
+  const listPath = scratchPath('segments.txt');
+  const outputPath = parts.length === 1 ? parts[0] : scratchPath(`edit${extension}`);
+  try {
+    for (const [index, segment] of segments.entries()) {
+      const record = records[index];
+      const audio = !withAudio ? 'none' : record.media && !record.media.audioCodec ? 'silent' : 'source';
+      // Each segment is an equal share of the job's progress
+      const segmentContext = {
+        log: context.log,
+        progress: percent => context.progress((index * 100 + percent) / segments.length)
+      };
+      await runFFmpeg(segmentArgs(inputs[index], parts[index], segment, { copy, frame, audio }), segmentContext, segmentDuration(segment, record.duration));
+    }
+    if (parts.length > 1) {
+      fs.writeFileSync(listPath, concatList(parts));
+      await runFFmpeg(concatArgs(listPath, outputPath), context);
+    }
     
-    const oldThumbnailPath = path.join(THUMBNAILS_FOLDER, `${videoId}.jpg`);
-    const newThumbnailPath = path.join(THUMBNAILS_FOLDER, `${newName.trim()}.jpg`);
+    const baseName = segments.length === 1 ? `${records[0].title} (clip)` : `${records[0].title} (joined)`;
+    const result = await addUploadedVideo({
+      tempPath: outputPath,
+      originalFilename: `${baseName}${extension}`,
+      customName,
+      description,
+      size: fs.statSync(outputPath).size,
+      ownerId,
+      visibility,
+      sources: segments
+    });
+    context.log(`Added as video ${result.videoId}`);
+    context.result({ videoId: result.videoId, title: result.title });
+  } finally {
+    [...parts, listPath, outputPath].forEach(file => fs.rmSync(file, { force: true }));
+  }
+}
+
+// Package a video as an HLS ladder: one playlist + segments per rendition and
+// a master playlist that lets the player switch between them
+async function packageHls(job, context) {
+  const videoId = job.videoId;
+  const record = catalog.get(videoId);
+  if (!record) return;
+  if (isUnplayable(record, context)) {
+    catalog.update(videoId, { hls: null });
+    return;
+  }
+  
+  // Encode into a scratch folder, then hand the finished files to storage
+  const outputDir = scratchPath(videoId);
+  const inputPath = await videoStorage.inputPath(record.filename);
+  const renditions = selectRenditions(record.width, record.height);
+  catalog.update(videoId, { hls: { status: 'processing', renditions: [] } });
+  
+  try {
+    for (const [index, rendition] of renditions.entries()) {
+      const renditionDir = path.join(outputDir, rendition.name);
+      fs.mkdirSync(renditionDir, { recursive: true });
+      await runFFmpeg(renditionArgs(inputPath, renditionDir, rendition), {
+        log: context.log,
+        progress: percent => context.progress((index * 100 + percent) / renditions.length)
+      });
+    }
+    fs.writeFileSync(path.join(outputDir, 'master.m3u8'), buildMasterPlaylist(renditions));
     
-    if (fs.existsSync(oldThumbnailPath)) {
-      fs.renameSync(oldThumbnailPath, newThumbnailPath);
+    await hlsStorage.removePrefix(videoId);
+    for (const rendition of renditions) {
+      for (const file of fs.readdirSync(path.join(outputDir, rendition.name))) {
+        await hlsStorage.moveFile(path.join(outputDir, rendition.name, file), `${videoId}/${rendition.name}/${file}`, hlsContentType(file));
+      }
     }
+    await hlsStorage.moveFile(path.join(outputDir, 'master.m3u8'), `${videoId}/master.m3u8`, hlsContentType('master.m3u8'));
     
-    res.json({ 
-      success: true, 
-      newId: newName.trim(),
-      newFilename: `${newName.trim()}${ext}`
-    });
-  } catch (error) {
+    // The video may have been deleted while we were encoding
+    if (catalog.get(videoId)) {
+      catalog.update(videoId, { hls: { status: 'ready', renditions: renditions.map(rendition => rendition.name) } });
+      console.log(`HLS packaging finished for ${videoId}`);
+    } else {
+      await hlsStorage.removePrefix(videoId);
+    }
+  } catch (error) {
+    await hlsStorage.removePrefix(videoId).catch(() => {});
+    if (catalog.get(videoId)) {
+      const finalAttempt = job.attempts >= job.maxAttempts;
+      catalog.update(videoId, { hls: { status: finalAttempt ? 'failed' : 'pending', renditions: [] } });
+    }
+    throw error;
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+}
+
+function hlsContentType(file) {
+  return file.endsWith('.m3u8') ? 'application/vnd.apple.mpegurl' : 'video/mp2t';
+}
+
+const jobs = createJobQueue({
+  store: createStore(path.join(DATA_FOLDER, 'jobs.jsonl')),
+  logFolder: path.join(DATA_FOLDER, 'job-logs'),
+  concurrency: JOB_CONCURRENCY,
+  maxAttempts: JOB_MAX_ATTEMPTS,
+  retryDelay: 5000,
+  handlers: {
+    probe: runProbeJob,
+    subtitles: runSubtitlesJob,
+    thumbnail: runThumbnailJob,
+    storyboard: runStoryboardJob,
+    transcode: runTranscodeJob,
+    hls: packageHls,
+    import: runImportJob,
+    edit: runEditJob
+  }
+});
+
+// Queue everything a freshly added video needs: probing first, since the
+// later jobs use its duration and resolution
+function queueProcessing(videoId) {
+  jobs.enqueue('probe', videoId);
+  jobs.enqueue('subtitles', videoId);
+  jobs.enqueue('thumbnail', videoId);
+  jobs.enqueue('storyboard', videoId);
+  // The transcode job checks the probed codecs before doing any work
+  jobs.enqueue('transcode', videoId);
+  if (ENABLE_HLS) {
+    catalog.update(videoId, { hls: { status: 'pending', renditions: [] } });
+    jobs.enqueue('hls', videoId);
+  }
+}
+
+// Reconcile the catalog with video storage once at startup; files found
+// without a record are processed like uploads
+reconcileCatalog(catalog, redirects, videoStorage, thumbnailStorage, { ownerId: firstAdminId() })
+  .then(imported => imported.forEach(record => queueProcessing(record.id)))
+  .catch(error => console.error('Error reconciling video catalog:', error));
+
+// Finished jobs and their logs are forgotten after JOB_HISTORY_TTL
+function pruneJobs() {
+  try {
+    jobs.prune(JOB_HISTORY_TTL);
+  } catch (error) {
+    console.error('Error pruning finished jobs:', error);
+  }
+}
+
+pruneJobs();
+setInterval(pruneJobs, JOB_PRUNE_INTERVAL).unref();
+jobs.start();
+
+// Accounts
+app.post('/api/auth/register', (req, res) => {
+  try {
+    if (!ALLOW_REGISTRATION && users.all().length > 0) {
+      return res.status(403).json({ error: 'Registration is disabled' });
+    }
+    
+    const { username, password } = req.body;
+    if (!isValidUsername(username)) {
+      return res.status(400).json({ error: 'Username must be 3-32 letters, digits, dots, dashes or underscores' });
+    }
+    if (!isValidPassword(password)) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters' });
+    }
+    if (findUserByName(username)) {
+      return res.status(409).json({ error: 'That username is taken' });
+    }
+    
+    const user = createUser(username, password);
+    startSession(req, res, user);
+    res.status(201).json({ user: serializeUser(user) });
+  } catch (error) {
+    console.error('Error registering user:', error);
+    res.status(500).json({ error: 'Failed to create account' });
+  }
+});
+
+app.post('/api/auth/login', (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const user = typeof username === 'string' ? findUserByName(username) : null;
+    if (!user || typeof password !== 'string' || !verifyPassword(password, user.password)) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+    
+    startSession(req, res, user);
+    res.json({ user: serializeUser(user) });
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  try {
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (sessionId) {
+      sessions.remove(hashSecret(sessionId));
+    }
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    user: req.user ? serializeUser(req.user) : null,
+    registrationOpen: ALLOW_REGISTRATION || users.all().length === 0
+  });
+});
+
+// API tokens for scripts. The token itself is only shown once, when created.
+app.get('/api/tokens', requireUser, (req, res) => {
+  const tokens = apiTokens
+    .filter(token => token.userId === req.user.id)
+    .map(({ id, name, createdAt, lastUsedAt }) => ({ id, name, createdAt, lastUsedAt }));
+  res.json(tokens);
+});
+
+app.post('/api/tokens', requireUser, (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' && req.body.name.trim() !== '' ? req.body.name.trim() : 'API token';
+    const secret = generateSecret('vh_');
+    const token = apiTokens.put({
+      id: crypto.randomBytes(8).toString('hex'),
+      userId: req.user.id,
+      name,
+      tokenHash: hashSecret(secret),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    });
+    
+    res.status(201).json({ id: token.id, name, createdAt: token.createdAt, token: secret });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({ error: 'Failed to create API token' });
+  }
+});
+
+app.delete('/api/tokens/:id', requireUser, (req, res) => {
+  const token = apiTokens.get(req.params.id);
+  if (!token || token.userId !== req.user.id) {
+    return res.status(404).json({ error: 'Token not found' });
+  }
+  apiTokens.remove(token.id);
+  res.json({ success: true });
+});
+
+// User administration
+app.get('/api/users', requireAdmin, (req, res) => {
+  res.json(users.all().map(serializeUser));
+});
+
+app.post('/api/users', requireAdmin, (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+    if (!isValidUsername(username) || !isValidPassword(password)) {
+      return res.status(400).json({ error: 'A valid username and a password of at least 8 characters are required' });
+    }
+    if (role !== undefined && role !== 'user' && role !== 'admin') {
+      return res.status(400).json({ error: 'Role must be user or admin' });
+    }
+    if (findUserByName(username)) {
+      return res.status(409).json({ error: 'That username is taken' });
+    }
+    
+    res.status(201).json(serializeUser(createUser(username, password, role)));
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+// List videos, a page at a time. See lib/search.js for the search, filter
+// and sort parameters; ?owner=me keeps to the signed-in user's own videos,
+// unlisted and private ones included. The body stays a plain array; the total
+// number of matches and the cursor of the next page travel in headers.
+app.get('/api/videos', (req, res) => {
+  try {
+    const includeMissing = req.query.includeMissing === 'true';
+    const ownOnly = req.query.owner === 'me';
+    if (ownOnly && !req.user) {
+      return res.status(401).json({ error: 'Sign in required' });
+    }
+    
+    const { options, error } = parseVideoQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const candidates = catalog
+      .filter(record => includeMissing || !record.missing)
+      .filter(record => ownOnly ? record.ownerId === req.user.id : recordVisibility(record) === 'public');
+    const { records, total, nextCursor } = queryVideos(candidates, options);
+    
+    res.setHeader('X-Total-Count', total);
+    if (nextCursor) {
+      const next = new URLSearchParams({ ...req.query, cursor: nextCursor });
+      res.setHeader('X-Next-Cursor', nextCursor);
+      res.setHeader('Link', `</api/videos?${next}>; rel="next"`);
+    }
+    res.json(records.map(record => serializeVideoFor(req, record)));
+  } catch (error) {
+    console.error('Error reading video catalog:', error);
+    res.status(500).json({ error: 'Failed to read video catalog' });
+  }
+});
+
+// Check if one of the user's own videos already has a name; other people's
+// titles stay out of it, or private videos could be found by guessing
+app.get('/api/check-name/:name', requireUser, (req, res) => {
+  try {
+    const name = cleanTitle(req.params.name);
+    const exists = !!catalog.find(record => record.title === name && record.ownerId === req.user.id);
+    res.json({ exists });
+  } catch (error) {
+    console.error('Error checking name:', error);
+    res.status(500).json({ error: 'Failed to check name' });
+  }
+});
+
+// The title a video being renamed to `title` gets, or null when another
+// video the user can see has that name. A name taken by a video the user
+// can't see gets a suffix instead, so renaming doesn't reveal that it exists.
+function renameTitle(req, title, videoId) {
+  const conflict = catalog.find(other => other.title === title && other.id !== videoId);
+  if (!conflict) return title;
+  return canView(req, conflict) ? null : uniqueTitle(catalog, title, videoId);
+}
+
+// Rename video endpoint
+app.put('/api/rename/:id', requireUser, (req, res) => {
+  try {
+    const videoId = req.params.id;
+    if (!req.body.newName) {
+      return res.status(400).json({ error: 'New name is required' });
+    }
+    const { title, error } = validateTitle(req.body.newName);
+    if (error) {
+      return res.status(400).json(error);
+    }
+    
+    const record = catalog.get(videoId);
+    if (!record) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (!canModify(req.user, record)) {
+      return res.status(403).json({ error: 'Only the owner can change this video' });
+    }
+    
+    const newTitle = renameTitle(req, title, videoId);
+    if (!newTitle) {
+      return res.status(409).json({ error: 'A video with this name already exists' });
+    }
+    
+    // The ID never changes; the old name keeps resolving for name-based links
+    addRedirect(redirects, record.title, videoId);
+    catalog.update(videoId, { title: newTitle, modifiedAt: new Date().toISOString() });
+    
+    res.json({ 
+      success: true, 
+      videoId,
+      title: newTitle
+    });
+  } catch (error) {
     console.error('Error renaming video:', error);
     res.status(500).json({ error: 'Failed to rename video' });
   }
 });
 
-// Stream video file
-app.get('/video/:id', async (req, res) => {
+// Full details of a single video, including everything the probe found
+app.get('/api/videos/:id', (req, res) => {
+  try {
+    const record = catalog.get(req.params.id);
+    if (!record || !canView(req, record)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    res.json({ ...serializeVideoFor(req, record), media: record.media });
+  } catch (error) {
+    console.error('Error reading video:', error);
+    res.status(500).json({ error: 'Failed to read video' });
+  }
+});
+
+// Update editable video metadata (title, description, tags, visibility) and
+// pick the poster among the video's thumbnails (posterId)
+app.patch('/api/videos/:id', requireUser, async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    const record = catalog.get(videoId);
+    if (!record) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (!canModify(req.user, record)) {
+      return res.status(403).json({ error: 'Only the owner can change this video' });
+    }
+    
+    const changes = {};
+    if (req.body.title !== undefined) {
+      const { title, error } = validateTitle(req.body.title);
+      if (error) {
+        return res.status(400).json(error);
+      }
+      const newTitle = renameTitle(req, title, videoId);
+      if (!newTitle) {
+        return res.status(409).json({ error: 'A video with this name already exists' });
+      }
+      if (newTitle !== record.title) {
+        addRedirect(redirects, record.title, videoId);
+        changes.title = newTitle;
+      }
+    }
+    if (typeof req.body.description === 'string') {
+      changes.description = req.body.description;
+    }
+    if (req.body.tags !== undefined) {
+      changes.tags = normalizeTags(req.body.tags);
+      if (!changes.tags) {
+        return res.status(400).json({ error: 'Tags must be a list of at most 30 tags of up to 50 characters' });
+      }
+    }
+    if (req.body.visibility !== undefined) {
+      if (!VISIBILITIES.includes(req.body.visibility)) {
+        return res.status(400).json({ error: `Visibility must be one of: ${VISIBILITIES.join(', ')}` });
+      }
+      changes.visibility = req.body.visibility;
+    }
+    let poster = null;
+    if (req.body.posterId !== undefined) {
+      poster = (record.thumbnails || []).find(entry => entry.id === req.body.posterId);
+      if (!poster) {
+        return res.status(400).json({ error: 'posterId must be one of the video\'s thumbnails' });
+      }
+    }
+    
+    if (poster) await setPoster(videoId, poster);
+    const updated = catalog.update(videoId, { ...changes, modifiedAt: new Date().toISOString() });
+    res.json(serializeVideoFor(req, updated));
+  } catch (error) {
+    console.error('Error updating video:', error);
+    res.status(500).json({ error: 'Failed to update video' });
+  }
+});
+
+// Mint a signed, expiring URL for a video, typically a private one. Options:
+// expiresIn (seconds), ip (or bindIp: true for the caller's own address) and
+// referrer, an origin whose pages may embed the video.
+app.post('/api/videos/:id/signed-url', requireUser, (req, res) => {
+  try {
+    const record = catalog.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (!canModify(req.user, record)) {
+      return res.status(403).json({ error: 'Only the owner can share this video' });
+    }
+    
+    const expiresIn = req.body.expiresIn === undefined ? SIGNED_URL_TTL : Number(req.body.expiresIn);
+    if (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > MAX_SIGNED_URL_TTL) {
+      return res.status(400).json({ error: `expiresIn must be between 1 and ${MAX_SIGNED_URL_TTL} seconds` });
+    }
+    
+    const ip = req.body.bindIp === true ? clientIp(req) : req.body.ip;
+    if (ip !== undefined && (typeof ip !== 'string' || ip.trim() === '')) {
+      return res.status(400).json({ error: 'ip must be an IP address' });
+    }
+    
+    let referrer;
+    if (req.body.referrer !== undefined) {
+      referrer = referrerOrigin(req.body.referrer);
+      if (!referrer) {
+        return res.status(400).json({ error: 'referrer must be an absolute http(s) URL' });
+      }
+    }
+    
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = signVideoAccess(URL_SIGNING_SECRET, record.id, { expires, ip: ip && ip.trim(), referrer });
+    const video = serializeVideo(record);
+    
+    res.json({
+      url: `${video.url}?${query}`,
+      watchUrl: `${video.watchUrl}?${query}`,
+      embedUrl: `${video.embedUrl}?${query}`,
+      playbackUrl: `${video.playbackUrl}?${query}`,
+      thumbnailUrl: video.thumbnailUrl ? `${video.thumbnailUrl}?${query}` : null,
+      storyboardUrl: video.storyboardUrl ? `${video.storyboardUrl}?${query}` : null,
+      hlsUrl: video.hlsUrl ? `${video.hlsUrl}?${query}` : null,
+      subtitles: video.subtitles.map(track => ({ ...track, url: `${track.url}?${query}` })),
+      expiresAt: new Date(expires * 1000).toISOString()
+    });
+  } catch (error) {
+    console.error('Error signing video URL:', error);
+    res.status(500).json({ error: 'Failed to sign video URL' });
+  }
+});
+
+// Caption tracks. Uploads may be SRT or WebVTT and are stored as WebVTT.
+function findSubtitleTrack(record, trackId) {
+  return (record.subtitles || []).find(track => track.id === trackId) || null;
+}
+
+app.get('/api/videos/:id/subtitles', (req, res) => {
+  const record = catalog.get(req.params.id);
+  if (!record || !canView(req, record)) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+  res.json((record.subtitles || []).map(track => serializeSubtitle(record, track)));
+});
+
+app.post('/api/videos/:id/subtitles', requireUser, subtitleUpload.single('subtitle'), async (req, res) => {
+  try {
+    const record = catalog.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (!canModify(req.user, record)) {
+      return res.status(403).json({ error: 'Only the owner can change this video' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No subtitle file uploaded' });
+    }
+    
+    const ext = path.extname(req.file.originalname).toLowerCase();
+    if (!SUBTITLE_EXTENSIONS.includes(ext)) {
+      return res.status(400).json({ error: 'Subtitles must be an SRT or WebVTT file' });
+    }
+    
+    const language = normalizeLanguage(req.body.language || 'und');
+    if (!language) {
+      return res.status(400).json({ error: 'Language must be a language code such as en or pt-BR' });
+    }
+    
+    let vtt;
+    try {
+      vtt = toWebVtt(req.file.buffer, ext);
+    } catch (conversionError) {
+      return res.status(400).json({ error: conversionError.message });
+    }
+    
+    const track = await addSubtitleTrack(record.id, vtt, { language, label: req.body.label, source: 'upload' });
+    if (!track) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    res.status(201).json(serializeSubtitle(record, track));
+  } catch (error) {
+    console.error('Error uploading subtitles:', error);
+    res.status(500).json({ error: 'Failed to upload subtitles' });
+  }
+});
+
+// Rename a track or correct its language
+app.patch('/api/videos/:id/subtitles/:trackId', requireUser, (req, res) => {
+  try {
+    const record = catalog.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (!canModify(req.user, record)) {
+      return res.status(403).json({ error: 'Only the owner can change this video' });
+    }
+    const track = findSubtitleTrack(record, req.params.trackId);
+    if (!track) {
+      return res.status(404).json({ error: 'Subtitle track not found' });
+    }
+    
+    const changes = {};
+    if (req.body.label !== undefined) {
+      if (typeof req.body.label !== 'string' || req.body.label.trim() === '') {
+        return res.status(400).json({ error: 'Label cannot be empty' });
+      }
+      changes.label = req.body.label.trim().slice(0, 100);
+    }
+    if (req.body.language !== undefined) {
+      changes.language = normalizeLanguage(req.body.language);
+      if (!changes.language) {
+        return res.status(400).json({ error: 'Language must be a language code such as en or pt-BR' });
+      }
+    }
+    
+    const updated = { ...track, ...changes };
+    catalog.update(record.id, { subtitles: record.subtitles.map(other => other.id === track.id ? updated : other) });
+    res.json(serializeSubtitle(record, updated));
+  } catch (error) {
+    console.error('Error updating subtitles:', error);
+    res.status(500).json({ error: 'Failed to update subtitles' });
+  }
+});
+
+app.delete('/api/videos/:id/subtitles/:trackId', requireUser, async (req, res) => {
+  try {
+    const record = catalog.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (!canModify(req.user, record)) {
+      return res.status(403).json({ error: 'Only the owner can change this video' });
+    }
+    const track = findSubtitleTrack(record, req.params.trackId);
+    if (!track) {
+      return res.status(404).json({ error: 'Subtitle track not found' });
+    }
+    
+    await subtitleStorage.remove(`${record.id}/${track.id}.vtt`);
+    const current = catalog.get(record.id);
+    catalog.update(record.id, { subtitles: current.subtitles.filter(other => other.id !== track.id) });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting subtitles:', error);
+    res.status(500).json({ error: 'Failed to delete subtitles' });
+  }
+});
+
+// Serve a caption track. Always sent by the server itself, even with
+// STORAGE_REDIRECT, since <track> refuses cross-origin files without CORS.
+app.get('/subtitles/:id/:trackId', async (req, res) => {
+  try {
+    const record = catalog.get(req.params.id);
+    if (record && !canView(req, record)) {
+      return denyMedia(req, res, 'Subtitles not found');
+    }
+    
+    const track = record ? findSubtitleTrack(record, req.params.trackId) : null;
+    const key = track ? `${record.id}/${track.id}.vtt` : null;
+    if (!key || !(await subtitleStorage.stat(key))) {
+      return res.status(404).send('Subtitles not found');
+    }
+    
+    res.setHeader('Cache-Control', record.visibility === 'private' ? PRIVATE_CACHE_CONTROL : 'public, no-cache');
+    res.type('text/vtt').send(await readText(subtitleStorage, key));
+  } catch (error) {
+    console.error('Error serving subtitles:', error);
+    res.status(500).send('Error serving subtitles');
+  }
+});
+
+// Stream video file
+app.get('/video/:id', async (req, res) => {
+  try {
+    if (redirectLegacyId(req, res, '/video')) return;
+    
+    const videoId = req.params.id;
+    const record = catalog.get(videoId);
+    if (record && !canView(req, record)) {
+      return denyMedia(req, res, `Video not found: ${videoId}`);
+    }
+    
+    const stat = await findVideoFile(videoId);
+    if (!stat) {
+      return res.status(404).send(`Video not found: ${videoId}`);
+    }
+    
+    // ?download=1 saves the file under its original name instead of playing it
+    if (req.query.download === '1') {
+      res.setHeader('Content-Disposition', attachmentDisposition(record.originalFilename || record.filename));
+    }
+    await streamFile(req, res, videoStorage, record.filename, stat, getMimeType(record.filename), cacheControlFor(record));
+  } catch (error) {
+    console.error('Error streaming video:', error);
+    sendStreamError(res, `Error streaming video: ${error.message}`);
+  }
+});
+
+// Stream the browser-friendly copy made by the transcode job
+app.get('/video/:id/transcoded', async (req, res) => {
+  try {
+    const record = catalog.get(req.params.id);
+    if (record && !canView(req, record)) {
+      return denyMedia(req, res, `Transcoded video not found: ${req.params.id}`);
+    }
+    
+    const stat = record && record.transcode ? await transcodeStorage.stat(record.transcode.filename) : null;
+    if (!stat) {
+      return res.status(404).send(`Transcoded video not found: ${req.params.id}`);
+    }
+    
+    await streamFile(req, res, transcodeStorage, record.transcode.filename, stat, record.transcode.mimeType, cacheControlFor(record));
+  } catch (error) {
+    console.error('Error streaming video:', error);
+    sendStreamError(res, `Error streaming video: ${error.message}`);
+  }
+});
+
+// Content-Disposition for a download: a plain ASCII name for old clients and
+// the exact one, percent-encoded, for the rest (RFC 6266)
+function attachmentDisposition(filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// Send a stored file with full byte-range and conditional request support:
+// single, suffix and multiple ranges, 416 for ranges outside the file,
+// ETag / Last-Modified validators, If-None-Match, If-Modified-Since and If-Range.
+// `stat` is the file's { size, mtimeMs } as reported by its storage.
+async function streamFile(req, res, storage, key, stat, contentType, cacheControl = VIDEO_CACHE_CONTROL) {
+  if (STORAGE_REDIRECT) {
+    // A download keeps its file name when object storage serves it
+    const contentDisposition = res.getHeader('Content-Disposition');
+    const url = storage.presign(key, { expiresIn: PRESIGNED_URL_TTL, contentType, contentDisposition });
+    if (url) {
+      // The redirect is only good for as long as the presigned URL
+      res.setHeader('Cache-Control', 'no-store');
+      return res.redirect(302, url);
+    }
+  }
+  
+  const fileSize = stat.size;
+  const etag = createEtag(stat);
+  const lastModified = new Date(stat.mtimeMs);
+  
+  // Storage errors can only surface once the response has started
+  const sendRange = async (range) => {
+    try {
+      pipeline(await storage.read(key, range), res, () => {});
+    } catch (error) {
+      console.error(`Error reading ${key} from storage:`, error.message);
+      res.destroy(error);
+    }
+  };
+  
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', lastModified.toUTCString());
+  res.setHeader('Cache-Control', cacheControl);
+  
+  const preconditionStatus = evaluatePreconditions(req, etag, lastModified);
+  if (preconditionStatus) {
+    return res.status(preconditionStatus).end();
+  }
+  
+  const range = isRangeFresh(req, etag, lastModified) ? parseRange(req.headers.range, fileSize) : null;
+  const isHead = req.method === 'HEAD';
+  
+  if (range && range.unsatisfiable) {
+    res.writeHead(416, { 'Content-Range': `bytes */${fileSize}` });
+    return res.end();
+  }
+  
+  if (!range) {
+    res.writeHead(200, {
+      'Content-Length': fileSize,
+      'Content-Type': contentType
+    });
+    if (isHead) return res.end();
+    return sendRange();
+  }
+  
+  if (range.ranges.length === 1) {
+    const { start, end } = range.ranges[0];
+    res.writeHead(206, {
+      'Content-Range': `bytes ${start}-${end}/${fileSize}`,
+      'Content-Length': end - start + 1,
+      'Content-Type': contentType
+    });
+    if (isHead) return res.end();
+    return sendRange({ start, end });
+  }
+  
+  // Several ranges: answer with multipart/byteranges
+  const boundary = crypto.randomBytes(12).toString('hex');
+  const parts = range.ranges.map(({ start, end }) => ({
+    start,
+    end,
+    header: `\r\n--${boundary}\r\nContent-Type: ${contentType}\r\nContent-Range: bytes ${start}-${end}/${fileSize}\r\n\r\n`
+  }));
+  const trailer = `\r\n--${boundary}--\r\n`;
+  const contentLength = parts.reduce((total, part) => total + Buffer.byteLength(part.header) + part.end - part.start + 1, 0) + Buffer.byteLength(trailer);
+  
+  res.writeHead(206, {
+    'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+    'Content-Length': contentLength
+  });
+  if (isHead) return res.end();
+  
+  const sendPart = async (index) => {
+    if (index === parts.length) {
+      return res.end(trailer);
+    }
+    const part = parts[index];
+    res.write(part.header);
+    try {
+      const file = await storage.read(key, { start: part.start, end: part.end });
+      file.on('error', (error) => res.destroy(error));
+      file.on('end', () => sendPart(index + 1));
+      file.pipe(res, { end: false });
+    } catch (error) {
+      console.error(`Error reading ${key} from storage:`, error.message);
+      res.destroy(error);
+    }
+  };
+  sendPart(0);
+}
+
+// Report a failure in a media route, unless the response is already under way
+function sendStreamError(res, message) {
+  if (res.headersSent) {
+    res.destroy();
+  } else {
+    res.status(500).send(message);
+  }
+}
+
+function cacheControlFor(record) {
+  return record && record.visibility === 'private' ? PRIVATE_CACHE_CONTROL : VIDEO_CACHE_CONTROL;
+}
+
+// Look up a video's stored file, returning its { size, mtimeMs } and flagging
+// the catalog entry as missing when the file has gone
+async function findVideoFile(videoId) {
+  try {
+    const record = catalog.get(videoId);
+    if (!record || record.missing) {
+      return null;
+    }
+    
+    const stat = await videoStorage.stat(record.filename);
+    if (!stat) {
+      catalog.update(videoId, { missing: true });
+      return null;
+    }
+    return stat;
+  } catch (error) {
+    console.error('Error finding video file:', error);
+    return null;
+  }
+}
+
+// Send requests for an old name-based URL on to the video's current ID.
+// Returns true when a redirect was sent.
+function redirectLegacyId(req, res, prefix) {
+  if (catalog.get(req.params.id)) return false;
+  
+  const redirect = redirects.get(req.params.id);
+  if (!redirect || !catalog.get(redirect.videoId)) return false;
+  
+  const queryIndex = req.originalUrl.indexOf('?');
+  const query = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex);
+  res.redirect(301, `${prefix}/${redirect.videoId}${query}`);
+  return true;
+}
+
+// Send an HLS playlist. Signed requests get the signature appended to every
+// URI inside, so the renditions and segments it lists stay accessible.
+async function sendPlaylist(req, res, record, key) {
+  const playlist = await readText(hlsStorage, key);
+  res.type('application/vnd.apple.mpegurl');
+  if (record.visibility === 'private') {
+    res.setHeader('Cache-Control', PRIVATE_CACHE_CONTROL);
+  }
+  
+  if (!req.query.sig) {
+    return res.send(playlist);
+  }
+  const query = req.originalUrl.slice(req.originalUrl.indexOf('?') + 1);
+  res.send(appendQueryToPlaylist(playlist, query));
+}
+
+// Serve HLS playlists and segments
+app.get('/hls/:id/master.m3u8', async (req, res) => {
+  try {
+    const record = catalog.get(req.params.id);
+    const key = `${req.params.id}/master.m3u8`;
+    
+    if (record && !canView(req, record)) {
+      return denyMedia(req, res, 'HLS stream not found');
+    }
+    if (!record || !record.hls || record.hls.status !== 'ready' || !(await hlsStorage.stat(key))) {
+      return res.status(404).send('HLS stream not found');
+    }
+    
+    await sendPlaylist(req, res, record, key);
+  } catch (error) {
+    console.error('Error serving HLS playlist:', error);
+    sendStreamError(res, 'Error serving HLS stream');
+  }
+});
+
+app.get('/hls/:id/:rendition/:file', async (req, res) => {
+  try {
+    const { id, rendition, file } = req.params;
+    const record = catalog.get(id);
+    
+    if (record && !canView(req, record)) {
+      return denyMedia(req, res, 'HLS stream not found');
+    }
+    if (!record || !record.hls || record.hls.status !== 'ready' || !isHlsFile(rendition, file)) {
+      return res.status(404).send('HLS stream not found');
+    }
+    
+    const key = `${id}/${rendition}/${file}`;
+    const stat = await hlsStorage.stat(key);
+    if (!stat) {
+      return res.status(404).send('HLS stream not found');
+    }
+    
+    if (file.endsWith('.m3u8')) {
+      return await sendPlaylist(req, res, record, key);
+    }
+    await streamFile(req, res, hlsStorage, key, stat, hlsContentType(file), cacheControlFor(record));
+  } catch (error) {
+    console.error('Error serving HLS file:', error);
+    sendStreamError(res, 'Error serving HLS stream');
+  }
+});
+
+// hls.js, for browsers without native HLS playback
+app.get('/vendor/hls.min.js', (req, res) => {
+  res.sendFile(require.resolve('hls.js/dist/hls.min.js'));
+});
+
+// Scripts and styles of the pages; nothing is inlined, so the CSP can
+// forbid inline code
+app.use('/assets', express.static(path.join(__dirname, 'public')));
+
+// Send one rendition of a thumbnail: ?width picks the closest stored size
+// and ?format=webp the WebP version. Without an entry, the video's single
+// thumbnail from before there were candidates is sent as it is.
+async function sendThumbnail(req, res, record, entry) {
+  const format = req.query.format === 'webp' ? 'webp' : 'jpeg';
+  const key = entry ? thumbnailKey(record.id, entry.id, pickWidth(entry.widths, parseInt(req.query.width, 10)), format) : record.thumbnail;
+  const stat = key ? await thumbnailStorage.stat(key) : null;
+  if (!stat) {
+    return res.status(404).send('Thumbnail not found');
+  }
+  
+  // Thumbnails can be replaced, so caches revalidate them every time
+  const cacheControl = record.visibility === 'private' ? PRIVATE_CACHE_CONTROL : 'public, no-cache';
+  await streamFile(req, res, thumbnailStorage, key, stat, entry ? THUMBNAIL_FORMATS[format].contentType : 'image/jpeg', cacheControl);
+}
+
+function findPoster(record) {
+  return (record.thumbnails || []).find(entry => entry.id === record.posterId) || null;
+}
+
+// The poster
+app.get('/thumbnail/:id', async (req, res) => {
+  try {
+    if (redirectLegacyId(req, res, '/thumbnail')) return;
+    
+    const record = catalog.get(req.params.id);
+    if (record && !canView(req, record)) {
+      return denyMedia(req, res, 'Thumbnail not found');
+    }
+    if (!record) {
+      return res.status(404).send('Thumbnail not found');
+    }
+    
+    await sendThumbnail(req, res, record, findPoster(record));
+  } catch (error) {
+    console.error('Error serving thumbnail:', error);
+    sendStreamError(res, 'Error serving thumbnail');
+  }
+});
+
+// Any of the poster candidates
+app.get('/thumbnail/:id/:thumbnailId', async (req, res) => {
+  try {
+    const record = catalog.get(req.params.id);
+    if (record && !canView(req, record)) {
+      return denyMedia(req, res, 'Thumbnail not found');
+    }
+    const entry = record ? (record.thumbnails || []).find(candidate => candidate.id === req.params.thumbnailId) : null;
+    if (!entry) {
+      return res.status(404).send('Thumbnail not found');
+    }
+    
+    await sendThumbnail(req, res, record, entry);
+  } catch (error) {
+    console.error('Error serving thumbnail:', error);
+    sendStreamError(res, 'Error serving thumbnail');
+  }
+});
+
+// Storyboard for seek-bar previews: a WebVTT thumbnails track whose cues
+// point into a sprite sheet. Signed access carries over to the sprite URL.
+app.get('/storyboard/:id/thumbnails.vtt', (req, res) => {
+  const record = catalog.get(req.params.id);
+  if (record && !canView(req, record)) {
+    return denyMedia(req, res, 'Storyboard not found');
+  }
+  if (!record || !record.storyboard) {
+    return res.status(404).send('Storyboard not found');
+  }
+  
+  const query = req.query.sig ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+  res.setHeader('Cache-Control', record.visibility === 'private' ? PRIVATE_CACHE_CONTROL : 'public, no-cache');
+  res.type('text/vtt').send(storyboardVtt(record.storyboard, `sprite.jpg${query}`));
+});
+
+app.get('/storyboard/:id/sprite.jpg', async (req, res) => {
+  try {
+    const record = catalog.get(req.params.id);
+    if (record && !canView(req, record)) {
+      return denyMedia(req, res, 'Storyboard not found');
+    }
+    const stat = record && record.storyboard ? await thumbnailStorage.stat(record.storyboard.key) : null;
+    if (!stat) {
+      return res.status(404).send('Storyboard not found');
+    }
+    
+    await streamFile(req, res, thumbnailStorage, record.storyboard.key, stat, 'image/jpeg', cacheControlFor(record));
+  } catch (error) {
+    console.error('Error serving storyboard:', error);
+    sendStreamError(res, 'Error serving storyboard');
+  }
+});
+
+// Move a completely received upload into the library: pick a unique title,
+// rename the temp file into place, catalog it and queue its processing.
+// Shared by the plain multipart upload and resumable uploads.
+async function addUploadedVideo({ tempPath, originalFilename, customName, description, mimeType, size, ownerId, visibility, sources }) {
+  const safeFilename = sanitizeFilename(originalFilename) || 'video.mp4';
+  const originalExt = path.extname(safeFilename);
+  
+  const baseName = cleanTitle(customName) || cleanTitle(path.basename(safeFilename, originalExt)) || 'video';
+  const title = uniqueTitle(catalog, baseName);
+  
+  // Files are stored under the video ID, so two uploads named alike never collide
+  const videoId = generateId(catalog);
+  const filenameToUse = `${videoId}${originalExt.toLowerCase()}`;
+  await videoStorage.moveFile(tempPath, filenameToUse, getMimeType(filenameToUse));
+  
+  catalog.put(createRecord({
+    id: videoId,
+    title,
+    description,
+    ownerId,
+    visibility,
+    filename: filenameToUse,
+    originalFilename: safeFilename,
+    mimeType: mimeType && mimeType.startsWith('video/') ? mimeType : undefined,
+    size,
+    sources
+  }));
+  
+  const hasFFmpeg = await checkFFmpeg();
+  if (hasFFmpeg) {
+    queueProcessing(videoId);
+  }
+  
+  return { 
+    success: true, 
+    videoId, 
+    title,
+    filename: filenameToUse,
+    url: `/video/${videoId}`,
+    thumbnailUrl: `/thumbnail/${videoId}`
+  };
+}
+
+// Watch folder. Files are checked like uploads before they are added, so
+// anything that isn't a playable video is quarantined instead.
+function watchFolderOwner() {
+  if (WATCH_FOLDER_OWNER) {
+    const owner = findUserByName(WATCH_FOLDER_OWNER);
+    if (owner) return owner.id;
+    console.warn(`Watch folder: no user named ${WATCH_FOLDER_OWNER}, using the first admin`);
+  }
+  return firstAdminId();
+}
+
+async function ingestWatchedFile(filePath, { name, size, mode }) {
+  const problem = await checkVideoFile(filePath, name);
+  if (problem) {
+    const error = new Error(`${problem.body.error}: ${problem.body.reasons.join('; ')}`);
+    // 503: ffprobe couldn't run, which says nothing about the file
+    error.retry = problem.status === 503;
+    throw error;
+  }
+  
+  // addUploadedVideo takes the file, so copy mode hands it a copy
+  const tempPath = mode === 'copy' ? scratchPath(name) : filePath;
+  try {
+    if (mode === 'copy') fs.copyFileSync(filePath, tempPath);
+    return await addUploadedVideo({
+      tempPath,
+      originalFilename: name,
+      mimeType: getMimeType(name),
+      size,
+      ownerId: watchFolderOwner(),
+      visibility: WATCH_FOLDER_VISIBILITY
+    });
+  } catch (error) {
+    if (mode === 'copy') fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+if (WATCH_FOLDER) {
+  createFolderWatcher({
+    folder: path.resolve(WATCH_FOLDER),
+    mode: WATCH_FOLDER_MODE,
+    store: watchFolderFiles,
+    interval: WATCH_FOLDER_INTERVAL,
+    stableTime: WATCH_FOLDER_SETTLE,
+    accept: isVideoFile,
+    ingest: ingestWatchedFile
+  }).start();
+}
+
+app.post('/api/upload', requireUser, receiveVideoUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No video file uploaded' });
+    }
+    
+    // multer reads the name in the multipart header as latin1; browsers send UTF-8
+    const originalFilename = sanitizeFilename(Buffer.from(req.file.originalname, 'latin1').toString('utf8'));
+    if (!originalFilename) {
+      return res.status(400).json(rejection('invalid_filename', 'Invalid file name', ['The file name is empty once unsafe characters are removed']));
+    }
+    const { title: customName, error } = validateOptionalTitle(req.body.customName);
+    if (error) {
+      return res.status(400).json(error);
+    }
+    const { visibility, error: visibilityError } = validateVisibility(req.body.visibility);
+    if (visibilityError) {
+      return res.status(400).json({ error: visibilityError });
+    }
+    const problem = await checkVideoFile(req.file.path, originalFilename);
+    if (problem) {
+      return res.status(problem.status).json(problem.body);
+    }
+    
+    const result = await addUploadedVideo({
+      tempPath: req.file.path,
+      originalFilename,
+      customName,
+      description: req.body.description,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      ownerId: req.user.id,
+      visibility
+    });
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Error uploading video:', error);
+    res.status(500).json({ error: 'Failed to upload video' });
+  }
+});
+
+// Import a video from a URL: a direct link to a video file or an HLS manifest.
+// The download runs as a background job; poll it at statusUrl; once it has
+// completed its result holds the new video's ID.
+app.post('/api/import', requireUser, (req, res) => {
+  try {
+    const { url, error } = validateImportUrl(req.body.url);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!importClient.isAllowed(url.hostname)) {
+      return res.status(400).json({ error: `Importing from ${url.hostname} is not allowed` });
+    }
+    const { visibility, error: visibilityError } = validateVisibility(req.body.visibility);
+    if (visibilityError) {
+      return res.status(400).json({ error: visibilityError });
+    }
+    const { title: customName, error: titleError } = validateOptionalTitle(req.body.customName);
+    if (titleError) {
+      return res.status(400).json(titleError);
+    }
+    
+    const job = jobs.enqueue('import', null, {
+      url: url.href,
+      customName,
+      description: typeof req.body.description === 'string' ? req.body.description : undefined,
+      visibility,
+      ownerId: req.user.id
+    });
+    res.status(202).json({ jobId: job.id, statusUrl: `/api/jobs/${job.id}`, job: serializeJob(job, req.user) });
+  } catch (error) {
+    console.error('Error starting import:', error);
+    res.status(500).json({ error: 'Failed to start import' });
+  }
+});
+
+// Check an edit request against the videos it cuts from and queue the job
+// that makes the new video. Responds 202 with the job to follow.
+function queueEdit(req, res, list) {
+  const { segments, error } = validateSegments(list);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const records = [];
+  for (const segment of segments) {
+    const record = catalog.get(segment.videoId);
+    if (!record || record.missing || !canView(req, record)) {
+      return res.status(404).json({ error: `Video ${segment.videoId} not found` });
+    }
+    if (record.playable === false) {
+      return res.status(400).json({ error: `Video ${segment.videoId} is not playable` });
+    }
+    if (record.duration && segment.start >= record.duration) {
+      return res.status(400).json({ error: `Video ${segment.videoId} is only ${Math.floor(record.duration)} seconds long` });
+    }
+    records.push(record);
+  }
+  
+  const mode = req.body.mode === undefined ? 'auto' : req.body.mode;
+  if (!EDIT_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${EDIT_MODES.join(', ')}` });
+  }
+  if (mode === 'copy' && !copyCompatible(records)) {
+    return res.status(400).json({ error: 'Only videos with the same format, codecs and frame size can be joined without re-encoding' });
+  }
+  const { visibility, error: visibilityError } = validateVisibility(req.body.visibility);
+  if (visibilityError) {
+    return res.status(400).json({ error: visibilityError });
+  }
+  const { title, error: titleError } = validateOptionalTitle(req.body.title);
+  if (titleError) {
+    return res.status(400).json(titleError);
+  }
+  
+  const job = jobs.enqueue('edit', null, {
+    segments,
+    mode,
+    customName: title,
+    description: typeof req.body.description === 'string' ? req.body.description : undefined,
+    visibility,
+    ownerId: req.user.id
+  });
+  res.status(202).json({ jobId: job.id, statusUrl: `/api/jobs/${job.id}`, job: serializeJob(job, req.user) });
+}
+
+// Make a new video from part of one: { start, end, title, description,
+// visibility, mode } with times in seconds or [hh:]mm:ss; end defaults to the
+// end of the video. mode is auto (stream copy when possible), copy or encode.
+app.post('/api/videos/:id/clip', requireUser, (req, res) => {
+  try {
+    queueEdit(req, res, [{ videoId: req.params.id, start: req.body.start, end: req.body.end }]);
+  } catch (error) {
+    console.error('Error starting clip:', error);
+    res.status(500).json({ error: 'Failed to start clip' });
+  }
+});
+
+// Join videos, or parts of them, in order into a new video:
+// { segments: [{ videoId, start, end }, ...] } and the same options as a clip
+app.post('/api/videos/concat', requireUser, (req, res) => {
+  try {
+    queueEdit(req, res, req.body.segments);
+  } catch (error) {
+    console.error('Error starting join:', error);
+    res.status(500).json({ error: 'Failed to start join' });
+  }
+});
+
+// Resumable uploads (tus 1.0). A client creates a session with POST, sends
+// chunks with PATCH at the current offset and asks HEAD where to continue
+// after an interruption. Once every byte has arrived the upload goes through
+// the same path as a multipart upload.
+
+// Reject tus requests from clients speaking another protocol version
+function requireTus(req, res, next) {
+  tusHeaders(res);
+  if (req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    return res.status(412).end();
+  }
+  next();
+}
+
+// Upload sessions are private to the user who started them
+function findUploadSession(req) {
+  const session = uploadSessions.get(req.params.id);
+  return session && session.userId === req.user.id ? session : null;
+}
+
+app.post('/api/uploads', requireTus, requireUser, (req, res) => {
+  try {
+    const length = parseUploadNumber(req.get('Upload-Length'));
+    if (length === null || length <= 0) {
+      return res.status(400).json({ error: 'A positive Upload-Length header is required' });
+    }
+    if (length > MAX_UPLOAD_SIZE) {
+      return res.status(413).json({ error: `Video exceeds the maximum upload size of ${MAX_UPLOAD_SIZE} bytes` });
+    }
+    
+    const metadata = parseMetadata(req.get('Upload-Metadata'));
+    if (!metadata.filename) {
+      return res.status(400).json({ error: 'Upload-Metadata must include a filename' });
+    }
+    // Names are checked now, the contents once they have all arrived
+    metadata.filename = sanitizeFilename(metadata.filename);
+    if (!metadata.filename) {
+      return res.status(400).json(rejection('invalid_filename', 'Invalid file name', ['The file name is empty once unsafe characters are removed']));
+    }
+    if (!isVideoFile(metadata.filename)) {
+      return res.status(415).json(rejection('unsupported_type', 'Not a supported video type', [
+        `The name must end in one of ${VIDEO_EXTENSIONS.join(', ')}`
+      ]));
+    }
+    const { title: customName, error } = validateOptionalTitle(metadata.customName);
+    if (error) {
+      return res.status(400).json(error);
+    }
+    metadata.customName = customName;
+    const { visibility, error: visibilityError } = validateVisibility(metadata.visibility);
+    if (visibilityError) {
+      return res.status(400).json({ error: visibilityError });
+    }
+    metadata.visibility = visibility;
+    
+    const id = crypto.randomBytes(16).toString('hex');
+    const tempFile = `.tus-${id}${PARTIAL_UPLOAD_EXT}`;
+    fs.writeFileSync(path.join(VIDEOS_FOLDER, tempFile), '');
+    
+    const now = new Date().toISOString();
+    uploadSessions.put({ id, userId: req.user.id, length, offset: 0, tempFile, metadata, videoId: null, createdAt: now, updatedAt: now });
+    
+    res.location(`/api/uploads/${id}`);
+    res.status(201).end();
+  } catch (error) {
+    console.error('Error creating upload session:', error);
+    res.status(500).json({ error: 'Failed to create upload session' });
+  }
+});
+
+app.head('/api/uploads/:id', requireTus, requireUser, (req, res) => {
+  const session = findUploadSession(req);
+  if (!session) {
+    return res.status(404).end();
+  }
+  
+  res.setHeader('Upload-Offset', String(session.offset));
+  res.setHeader('Upload-Length', String(session.length));
+  res.status(200).end();
+});
+
+// Plain JSON view of a session, so the client can learn the resulting video ID
+app.get('/api/uploads/:id', requireUser, (req, res) => {
+  const session = findUploadSession(req);
+  if (!session) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  
+  res.json({
+    id: session.id,
+    offset: session.offset,
+    length: session.length,
+    complete: !!session.videoId,
+    videoId: session.videoId,
+    url: session.videoId ? `/video/${session.videoId}` : null
+  });
+});
+
+app.patch('/api/uploads/:id', requireTus, requireUser, (req, res) => {
+  const session = findUploadSession(req);
+  if (!session) {
+    return res.status(404).end();
+  }
+  
+  if (!req.is(TUS_CONTENT_TYPE)) {
+    return res.status(415).json({ error: `Content-Type must be ${TUS_CONTENT_TYPE}` });
+  }
+  
+  const offset = parseUploadNumber(req.get('Upload-Offset'));
+  res.setHeader('Upload-Offset', String(session.offset));
+  if (offset === null) {
+    return res.status(400).json({ error: 'A non-negative Upload-Offset header is required' });
+  }
+  if (activeUploads.has(session.id)) {
+    return res.status(409).json({ error: 'Another request is still writing to this upload' });
+  }
+  if (offset !== session.offset) {
+    return res.status(409).json({ error: 'Upload-Offset does not match the current offset' });
+  }
+  if (offset === session.length) {
+    if (session.videoId) {
+      return res.status(204).end();
+    }
+    // Every byte arrived but adding the video failed; try again
+    activeUploads.add(session.id);
+    return finishUpload(session, res);
+  }
+  
+  activeUploads.add(session.id);
+  const tempPath = path.join(VIDEOS_FOLDER, session.tempFile);
+  let remaining = session.length - offset;
+  
+  // Refuse bytes past the declared length instead of growing the file
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      if (chunk.length > remaining) {
+        return callback(new Error('Chunk exceeds Upload-Length'));
+      }
+      remaining -= chunk.length;
+      callback(null, chunk);
+    }
+  });
+  const output = fs.createWriteStream(tempPath, { flags: 'r+', start: offset });
+  
+  pipeline(req, limiter, output, (error) => {
+    // Whatever reached the disk counts, even if the connection dropped halfway
+    const newOffset = offset + output.bytesWritten;
+    uploadSessions.update(session.id, { offset: newOffset, updatedAt: new Date().toISOString() });
+    res.setHeader('Upload-Offset', String(newOffset));
+    
+    if (!error && newOffset === session.length) {
+      return finishUpload(session, res);
+    }
+    activeUploads.delete(session.id);
+    if (!error) {
+      return res.status(204).end();
+    }
+    if (error.message === 'Chunk exceeds Upload-Length') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`Upload ${session.id} interrupted at ${newOffset} bytes:`, error.message);
+    res.status(500).end();
+  });
+});
+
+// Check a completely received upload and add it to the library, answering
+// the PATCH that completed it. Until this succeeds the session keeps its temp
+// file, so a PATCH at the final offset tries again; the video is only thrown
+// away when it is rejected.
+async function finishUpload(session, res) {
+  const tempPath = path.join(VIDEOS_FOLDER, session.tempFile);
+  try {
+    const problem = await checkVideoFile(tempPath, session.metadata.filename);
+    if (problem) {
+      // 503: the file couldn't be checked right now, which a retry may fix
+      if (problem.status !== 503) {
+        fs.rmSync(tempPath, { force: true });
+        uploadSessions.remove(session.id);
+      }
+      return res.status(problem.status).json(problem.body);
+    }
+    const result = await addUploadedVideo({
+      tempPath,
+      originalFilename: session.metadata.filename,
+      customName: session.metadata.customName,
+      description: session.metadata.description,
+      mimeType: session.metadata.filetype,
+      size: session.length,
+      ownerId: session.userId,
+      visibility: session.metadata.visibility
+    });
+    uploadSessions.update(session.id, { videoId: result.videoId });
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error finalizing upload:', error);
+    // Without its temp file the upload can't be retried, only started over
+    if (!fs.existsSync(tempPath)) {
+      uploadSessions.remove(session.id);
+    }
+    res.status(500).json({ error: 'Failed to finalize upload' });
+  } finally {
+    activeUploads.delete(session.id);
+  }
+}
+
+app.delete('/api/uploads/:id', requireTus, requireUser, (req, res) => {
+  try {
+    const session = findUploadSession(req);
+    if (!session || activeUploads.has(session.id)) {
+      return res.status(session ? 409 : 404).end();
+    }
+    
+    const tempPath = path.join(VIDEOS_FOLDER, session.tempFile);
+    if (!session.videoId && fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+    uploadSessions.remove(session.id);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error terminating upload:', error);
+    res.status(500).end();
+  }
+});
+
+app.post('/api/upload-thumbnail', requireUser, thumbnailUpload.single('thumbnail'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No thumbnail file uploaded' });
+    }
+    
+    const videoId = req.body.videoId;
+    if (!videoId) {
+      return res.status(400).json({ error: 'Video ID is required' });
+    }
+    if (typeof videoId !== 'string' || !isOpaqueId(videoId)) {
+      return res.status(400).json(rejection('invalid_video_id', 'Invalid video ID', ['Video IDs are 11 letters, digits, - or _']));
+    }
+    
+    const record = catalog.get(videoId);
+    if (!record) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (!canModify(req.user, record)) {
+      return res.status(403).json({ error: 'Only the owner can change this video' });
+    }
+    
+    const ext = path.extname(sanitizeFilename(req.file.originalname)).toLowerCase();
+    if (!['.jpg', '.jpeg', '.png', '.webp'].includes(ext)) {
+      return res.status(415).json(rejection('unsupported_type', 'Thumbnail must be a JPG, PNG or WebP image', [
+        `${ext ? `"${ext}"` : 'A name without an extension'} is not one of .jpg, .jpeg, .png, .webp`
+      ]));
+    }
+    if (!sniffImage(req.file.buffer)) {
+      return res.status(415).json(rejection('unrecognized_content', 'The file is not an image', ['Its contents are not JPEG, PNG or WebP data']));
+    }
+    
+    // Re-encode rather than store the upload as it is: the file becomes a
+    // real JPEG and WebP in every size, and its metadata (EXIF, GPS) is gone
+    const tempPath = scratchPath(`${videoId}-upload${ext}`);
+    fs.writeFileSync(tempPath, req.file.buffer);
+    let outputs;
+    let size;
+    try {
+      ({ outputs, size } = await renderThumbnail(['-i', tempPath], videoId, 'custom'));
+    } catch (renderError) {
+      return res.status(400).json({ error: 'Thumbnail could not be read as an image' });
+    } finally {
+      fs.rmSync(tempPath, { force: true });
+    }
+    
+    // The video may have been deleted while the image was being processed
+    const entry = { id: 'custom', source: 'upload', time: null, widths: THUMBNAIL_WIDTHS, width: size.width, height: size.height, createdAt: new Date().toISOString() };
+    if (!catalog.get(videoId)) {
+      outputs.forEach(output => fs.rmSync(output.tempPath, { force: true }));
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    await storeThumbnail(outputs);
+    const current = catalog.get(videoId);
+    if (!current) {
+      await removeThumbnail(videoId, entry);
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    // An uploaded poster replaces the previous upload, not the frame candidates
+    catalog.update(videoId, {
+      thumbnails: [...(current.thumbnails || []).filter(other => other.id !== entry.id), entry],
+      modifiedAt: new Date().toISOString()
+    });
+    await setPoster(videoId, entry);
+    
+    res.json({ 
+      success: true, 
+      thumbnailUrl: `/thumbnail/${videoId}`
+    });
+  } catch (error) {
+    console.error('Error uploading thumbnail:', error);
+    res.status(500).json({ error: 'Failed to upload thumbnail' });
+  }
+});
+
+// Videos on their way to the trash, by ID
+const trashing = new Map();
+
+// Move a video to the trash. Its stats, watch history, redirects and places
+// in playlists are kept (none of them show a video that isn't in the
+// catalog) until it is purged. Its jobs are stopped first: queued ones are
+// cancelled and running ones waited for, so none of them writes to the
+// video's folders after the files have moved.
+function trashVideo(record, user) {
+  // A second delete while the first waits for the jobs gets the same entry
+  if (!trashing.has(record.id)) {
+    trashing.set(record.id, moveToTrash(record, user).finally(() => trashing.delete(record.id)));
+  }
+  return trashing.get(record.id);
+}
+
+async function moveToTrash(record, user) {
+  // Processing that hasn't finished is done again if the video comes back
+  const pending = jobs.list(job => job.videoId === record.id && (job.status === 'queued' || job.status === 'running'));
+  await jobs.drainVideo(record.id);
+  const unfinished = pending.filter(job => jobs.get(job.id).status !== 'completed');
+  
+  const files = await listVideoFiles(record, mediaAreas);
+  await moveVideoFiles(mediaAreas, record.id, files);
+  
+  const trashedAt = new Date().toISOString();
+  const entry = trash.put({
+    id: record.id,
+    record,
+    files,
+    jobs: unfinished.map(job => ({ type: job.type, options: job.options })),
+    trashedAt,
+    trashedBy: user.id,
+    purgeAt: purgeTime(trashedAt, TRASH_RETENTION_DAYS)
+  });
+  catalog.remove(record.id);
+  return entry;
+}
+
+// Put a trashed video back in the catalog. Returns the record, or { error,
+// status } when something has taken its place in the meantime.
+async function restoreVideo(entry) {
+  if (catalog.get(entry.id)) {
+    return { status: 409, error: 'Another video has the same ID' };
+  }
+  const videoFile = entry.files.find(file => file.area === 'videos');
+  if (videoFile && await videoStorage.stat(videoFile.key)) {
+    return { status: 409, error: `A file named ${videoFile.key} is already in the library` };
+  }
+  
+  await moveVideoFiles(mediaAreas, entry.id, entry.files, { restore: true });
+  const record = catalog.put({
+    ...entry.record,
+    title: uniqueTitle(catalog, entry.record.title),
+    ...(entry.jobs.some(job => job.type === 'hls') ? { hls: { status: 'pending', renditions: [] } } : {})
+  });
+  trash.remove(entry.id);
+  entry.jobs.forEach(job => jobs.enqueue(job.type, record.id, job.options));
+  return { record };
+}
+
+// Delete a trashed video for good, with everything else kept about it
+async function purgeVideo(entry) {
+  await purgeVideoFiles(mediaAreas, entry.id);
+  redirects.filter(redirect => redirect.videoId === entry.id).forEach(redirect => redirects.remove(redirect.id));
+  removeVideoFromPlaylists(playlists, entry.id);
+  watchStats.remove(entry.id);
+  watchHistory.filter(item => item.videoId === entry.id).forEach(item => watchHistory.remove(item.id));
+  trash.remove(entry.id);
+}
+
+async function purgeExpiredTrash() {
+  const now = new Date().toISOString();
+  for (const entry of trash.filter(item => item.purgeAt && item.purgeAt <= now)) {
+    try {
+      await purgeVideo(entry);
+      console.log(`Purged video ${entry.id} (${entry.record.title}) from the trash`);
+    } catch (error) {
+      console.error(`Error purging video ${entry.id} from the trash:`, error);
+    }
+  }
+}
+
+purgeExpiredTrash();
+setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL).unref();
+
+// Deleting a video moves it to the trash; see /api/trash to restore or purge it
+app.delete('/api/video/:id', requireUser, async (req, res) => {
+  try {
+    const videoId = req.params.id;
+    const record = catalog.get(videoId);
+    if (!record) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (!canModify(req.user, record)) {
+      return res.status(403).json({ error: 'Only the owner can delete this video' });
+    }
+    
+    const entry = await trashVideo(record, req.user);
+    res.json({ success: true, trash: serializeTrashEntry(entry) });
+  } catch (error) {
+    console.error('Error deleting video:', error);
+    res.status(500).json({ error: 'Failed to delete video' });
+  }
+});
+
+// The trash: your own deleted videos, or everyone's for admins. Newest first.
+app.get('/api/trash', requireUser, (req, res) => {
+  try {
+    const entries = trash
+      .filter(entry => canModify(req.user, entry.record))
+      .sort((a, b) => b.trashedAt.localeCompare(a.trashedAt));
+    res.json(entries.map(serializeTrashEntry));
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({ error: 'Failed to list trash' });
+  }
+});
+
+function findTrashEntry(req, res) {
+  const entry = trash.get(req.params.id);
+  if (!entry) {
+    res.status(404).json({ error: 'Video not found in the trash' });
+    return null;
+  }
+  if (!canModify(req.user, entry.record)) {
+    res.status(403).json({ error: 'Only the owner can restore or purge this video' });
+    return null;
+  }
+  return entry;
+}
+
+app.post('/api/trash/:id/restore', requireUser, async (req, res) => {
+  try {
+    const entry = findTrashEntry(req, res);
+    if (!entry) return;
+    
+    const { record, status, error } = await restoreVideo(entry);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json(serializeVideoFor(req, record));
+  } catch (error) {
+    console.error('Error restoring video:', error);
+    res.status(500).json({ error: 'Failed to restore video' });
+  }
+});
+
+app.delete('/api/trash/:id', requireUser, async (req, res) => {
+  try {
+    const entry = findTrashEntry(req, res);
+    if (!entry) return;
+    
+    await purgeVideo(entry);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error purging video:', error);
+    res.status(500).json({ error: 'Failed to purge video' });
+  }
+});
+
+// Empty the trash: everything in it the user could purge one by one
+app.delete('/api/trash', requireUser, async (req, res) => {
+  try {
+    const entries = trash.filter(entry => canModify(req.user, entry.record));
+    for (const entry of entries) {
+      await purgeVideo(entry);
+    }
+    res.json({ success: true, purged: entries.length });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+// What each bulk operation does to one video, which the user is allowed to
+// see (and change, unless it is one of VIEW_OPERATIONS). Resolves with
+// details to report for it, or { status, error } when it failed.
+const bulkOperations = {
+  async delete(req, record) {
+    const entry = await trashVideo(record, req.user);
+    return { purgeAt: entry.purgeAt };
+  },
+  
+  async tag(req, record, options) {
+    const tags = applyTagChanges(record.tags, options);
+    if (!tags) {
+      return { status: 400, error: 'Tags must be a list of at most 30 tags of up to 50 characters' };
+    }
+    catalog.update(record.id, { tags, modifiedAt: new Date().toISOString() });
+    return { tags };
+  },
+  
+  async playlist(req, record, options) {
+    // Read again for every video, since each one changes it
+    const playlist = playlists.get(options.playlistId);
+    if (playlist.videoIds.includes(record.id)) {
+      return { added: false };
+    }
+    const videoIds = [...playlist.videoIds, record.id];
+    const { error } = validatePlaylistFields({ videoIds }, { partial: true });
+    if (error) {
+      return { status: 400, error };
+    }
+    playlists.update(playlist.id, { videoIds, updatedAt: new Date().toISOString() });
+    return { added: true };
+  },
+  
+  async thumbnails(req, record) {
+    if (record.playable === false) {
+      return { status: 400, error: 'Thumbnails can\'t be made from this video' };
+    }
+    const job = jobs.enqueue('thumbnail', record.id, { force: true });
+    return { jobId: job.id, statusUrl: `/api/jobs/${job.id}` };
+  },
+  
+  async visibility(req, record, options) {
+    catalog.update(record.id, { visibility: options.visibility, modifiedAt: new Date().toISOString() });
+    return { visibility: options.visibility };
+  },
+  
+  async download(req, record) {
+    return { filename: record.originalFilename || record.filename, downloadUrl: `/video/${record.id}?download=1` };
+  }
+};
+
+// Run one operation on many videos. The videos are handled one after the
+// other and each gets its own result; see lib/bulk.js.
+app.post('/api/videos/bulk', requireUser, async (req, res) => {
+  try {
+    const { ids, operation, options, error } = parseBulkRequest(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (operation === 'playlist') {
+      const playlist = playlists.get(options.playlistId);
+      if (!playlist) {
+        return res.status(404).json({ error: 'Playlist not found' });
+      }
+      if (!canModify(req.user, playlist)) {
+        return res.status(403).json({ error: 'Only the owner can change this playlist' });
+      }
+    }
+    // Checked once here rather than for each of the (up to 500) videos
+    if (operation === 'thumbnails' && !await checkFFmpeg()) {
+      return res.status(503).json({ error: 'FFmpeg is not available' });
+    }
+    
+    const results = [];
+    for (const id of ids) {
+      const record = catalog.get(id);
+      if (!record || !canView(req, record)) {
+        results.push({ id, ok: false, status: 404, error: 'Video not found' });
+        continue;
+      }
+      if (!VIEW_OPERATIONS.includes(operation) && !canModify(req.user, record)) {
+        results.push({ id, ok: false, status: 403, error: 'Only the owner can change this video' });
+        continue;
+      }
+      
+      try {
+        const outcome = await bulkOperations[operation](req, record, options);
+        results.push(outcome.error ? { id, ok: false, ...outcome } : { id, ok: true, ...outcome });
+      } catch (itemError) {
+        console.error(`Error in bulk ${operation} of video ${id}:`, itemError);
+        results.push({ id, ok: false, status: 500, error: 'The operation failed for this video' });
+      }
+    }
+    res.json(summarizeBulk(operation, results));
+  } catch (error) {
+    console.error('Error running bulk operation:', error);
+    res.status(500).json({ error: 'Failed to run bulk operation' });
+  }
+});
+
+// Background jobs. A job is visible to whoever may see its video; imports
+// and edits (which have no video until they finish) and jobs of deleted
+// videos only to whoever started them and admins.
+function canViewJob(req, job) {
+  const record = job.videoId ? catalog.get(job.videoId) : null;
+  if (record) return canView(req, record);
+  return canModify(req.user, { ownerId: job.options.ownerId || null });
+}
+
+// Logs hold command lines, storage paths and source URLs, so only the
+// video's owner and admins may read them
+function canReadJobLog(user, job) {
+  const record = job.videoId ? catalog.get(job.videoId) : null;
+  return canModify(user, record || { ownerId: job.options.ownerId || null });
+}
+
+// A job as seen by `user`. Errors quote ffmpeg's output with server paths,
+// so like the log they are left out for anyone but the owner and admins.
+function serializeJob(job, user) {
+  const details = canReadJobLog(user, job);
+  return {
+    id: job.id,
+    type: job.type,
+    videoId: job.videoId,
+    status: job.status,
+    progress: job.progress,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    error: details ? job.error : null,
+    result: job.result || null,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    logUrl: details ? `/api/jobs/${job.id}/log` : null
+  };
+}
+
+// List jobs, optionally filtered by ?status=queued,running and ?type=transcode
+app.get('/api/jobs', requireUser, (req, res) => {
+  try {
+    const statuses = req.query.status ? String(req.query.status).split(',') : null;
+    const type = req.query.type;
+    const list = jobs.list(job =>
+      (!statuses || statuses.includes(job.status)) && (!type || job.type === type) && canViewJob(req, job)
+    );
+    res.json(list.map(job => serializeJob(job, req.user)));
+  } catch (error) {
+    console.error('Error listing jobs:', error);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+app.get('/api/jobs/:id', requireUser, (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !canViewJob(req, job)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(serializeJob(job, req.user));
+});
+
+app.get('/api/jobs/:id/log', requireUser, (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job || !canViewJob(req, job)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!canReadJobLog(req.user, job)) {
+    return res.status(403).json({ error: 'Only the owner can read this log' });
+  }
+  res.type('text/plain').send(jobs.readLog(req.params.id));
+});
+
+app.get('/api/videos/:id/jobs', (req, res) => {
+  try {
+    const record = catalog.get(req.params.id);
+    if (!record || !canView(req, record)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    res.json(jobs.list(job => job.videoId === req.params.id).map(job => serializeJob(job, req.user)));
+  } catch (error) {
+    console.error('Error listing video jobs:', error);
+    res.status(500).json({ error: 'Failed to list jobs' });
+  }
+});
+
+// Heartbeat from a player: the parts of the video played since the last one.
+// Anyone who may watch the video may report on it; signed pages pass on
+// their signature.
+app.post('/api/videos/:id/beacon', (req, res) => {
+  try {
+    if (!beaconLimiter.allow(clientIp(req))) {
+      res.set('Retry-After', '60');
+      return res.status(429).json({ error: 'Too many heartbeats; try again in a minute' });
+    }
+    const record = catalog.get(req.params.id);
+    if (!record || !canView(req, record)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    const { beacon, error } = parseBeacon(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const viewer = viewerKey(URL_SIGNING_SECRET, { userId: req.user && req.user.id, ip: clientIp(req), userAgent: req.get('User-Agent') });
+    watchStats.record(record.id, record.duration, beacon, viewer);
+    if (req.user && beacon.position !== null) {
+      recordProgress(req.user, record, beacon.position);
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error recording watch beacon:', error);
+    res.status(500).json({ error: 'Failed to record beacon' });
+  }
+});
+
+// Views, unique viewers, watch time and the retention curve, for the owner
+app.get('/api/videos/:id/stats', requireUser, (req, res) => {
+  try {
+    const record = catalog.get(req.params.id);
+    if (!record || !canView(req, record)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (!canModify(req.user, record)) {
+      return res.status(403).json({ error: 'Only the owner can see the stats of this video' });
+    }
+    res.json({ videoId: record.id, duration: record.duration, ...watchStats.summarize(record.id, record.duration) });
+  } catch (error) {
+    console.error('Error reading video stats:', error);
+    res.status(500).json({ error: 'Failed to read stats' });
+  }
+});
+
+// The signed-in user's watch history, most recently watched first, as videos
+// with their progress. ?status=in-progress keeps the ones to offer resuming
+// ("Continue watching"), ?status=watched the ones played to the end.
+app.get('/api/history', requireUser, (req, res) => {
+  try {
+    const status = req.query.status;
+    if (status !== undefined && status !== 'in-progress' && status !== 'watched') {
+      return res.status(400).json({ error: 'status must be in-progress or watched' });
+    }
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({ error: 'limit must be between 1 and 200' });
+    }
+    
+    const records = watchHistory
+      .filter(entry => entry.userId === req.user.id)
+      .filter(entry => status !== 'in-progress' || resumePosition(entry, WATCHED_THRESHOLD) !== null)
+      .filter(entry => status !== 'watched' || entry.watched)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(entry => catalog.get(entry.videoId))
+      .filter(record => record && !record.missing && canView(req, record))
+      .slice(0, limit);
+    res.json(records.map(record => serializeVideoFor(req, record)));
+  } catch (error) {
+    console.error('Error listing watch history:', error);
+    res.status(500).json({ error: 'Failed to list watch history' });
+  }
+});
+
+// Save a position directly, for players that don't send heartbeats
+app.put('/api/history/:videoId', requireUser, (req, res) => {
+  try {
+    const record = catalog.get(req.params.videoId);
+    if (!record || !canView(req, record)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    const position = req.body.position;
+    if (typeof position !== 'number' || !Number.isFinite(position) || position < 0) {
+      return res.status(400).json({ error: 'position must be a number of seconds' });
+    }
+    
+    res.json(serializeProgress(recordProgress(req.user, record, position), WATCHED_THRESHOLD));
+  } catch (error) {
+    console.error('Error saving watch progress:', error);
+    res.status(500).json({ error: 'Failed to save watch progress' });
+  }
+});
+
+app.delete('/api/history/:videoId', requireUser, (req, res) => {
+  if (!watchHistory.remove(historyId(req.user.id, req.params.videoId))) {
+    return res.status(404).json({ error: 'Video not in watch history' });
+  }
+  res.json({ success: true });
+});
+
+app.delete('/api/history', requireUser, (req, res) => {
+  watchHistory.filter(entry => entry.userId === req.user.id).forEach(entry => watchHistory.remove(entry.id));
+  res.json({ success: true });
+});
+
+// Tags in use, with how many videos carry each. Counts cover the public
+// library plus the caller's own videos.
+app.get('/api/tags', (req, res) => {
+  try {
+    const counts = new Map();
+    catalog
+      .filter(record => !record.missing && (recordVisibility(record) === 'public' || (req.user && record.ownerId === req.user.id)))
+      .forEach(record => (record.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    
+    res.json(Array.from(counts, ([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)));
+  } catch (error) {
+    console.error('Error listing tags:', error);
+    res.status(500).json({ error: 'Failed to list tags' });
+  }
+});
+
+// Playlists follow the same visibility rules as videos, without signed URLs
+function canViewPlaylist(req, playlist) {
+  return playlist.visibility !== 'private' || canModify(req.user, playlist);
+}
+
+// The playlist's videos this viewer may see, in order. Trashed videos keep
+// their place in the list until they are purged but aren't shown.
+function serializePlaylistFor(req, playlist) {
+  const videos = playlist.videoIds
+    .filter(id => !trash.get(id))
+    .map(id => catalog.get(id))
+    .filter(record => record && !record.missing && canView(req, record))
+    .map(record => serializeVideoFor(req, record));
+  return { ...serializePlaylist(playlist, videos), canEdit: canModify(req.user, playlist) };
+}
+
+// Users can add any video they can watch, but not the same one twice
+function checkPlaylistVideos(req, videoIds) {
+  if (new Set(videoIds).size !== videoIds.length) {
+    return 'A playlist cannot hold the same video twice';
+  }
+  const unknown = videoIds.find(id => {
+    const record = catalog.get(id);
+    return !record || !canView(req, record);
+  });
+  return unknown ? `Video not found: ${unknown}` : null;
+}
+
+app.get('/api/playlists', (req, res) => {
   try {
-    const videoId = req.params.id;
-    const videoPath = findVideoFile(videoId);
-    
-    if (!videoPath) {
-      return res.status(404).send(`Video not found: ${videoId}`);
-    }
-    
-    const stat = fs.statSync(videoPath);
-    const fileSize = stat.size;
-    const range = req.headers.range;
-    
-    const ext = path.extname(videoPath).toLowerCase();
-    let contentType = 'video/mp4';
-    
-    switch (ext) {
-      case '.webm': contentType = 'video/webm'; break;
-      case '.ogg': contentType = 'video/ogg'; break;
-      case '.mov': contentType = 'video/quicktime'; break;
-      case '.avi': contentType = 'video/x-msvideo'; break;
-      case '.mkv': contentType = 'video/x-matroska'; break;
-      case '.flv': contentType = 'video/x-flv'; break;
-      case '.wmv': contentType = 'video/x-ms-wmv'; break;
-      case '.m4v': contentType = 'video/x-m4v'; break;
-      case '.3gp': contentType = 'video/3gpp'; break;
+    const ownOnly = req.query.owner === 'me';
+    if (ownOnly && !req.user) {
+      return res.status(401).json({ error: 'Sign in required' });
     }
     
-    if (range) {
-      const parts = range.replace(/bytes=/, "").split("-");
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-      const chunksize = (end - start) + 1;
-      const file = fs.createReadStream(videoPath, { start, end });
-      
-      const head = {
-        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-        'Accept-Ranges': 'bytes',
-        'Content-Length': chunksize,
-        'Content-Type': contentType,
-      };
-      
-      res.writeHead(206, head);
-      file.pipe(res);
-    } else {
-      const head = {
-        'Content-Length': fileSize,
-        'Content-Type': contentType,
-      };
-      
-      res.writeHead(200, head);
-      fs.createReadStream(videoPath).pipe(res);
-    }
+    const list = playlists
+      .filter(playlist => ownOnly ? playlist.ownerId === req.user.id : playlist.visibility === 'public')
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .map(playlist => serializePlaylistFor(req, playlist));
+    res.json(list);
   } catch (error) {
-    console.error('Error streaming video:', error);
-    res.status(500).send(`Error streaming video: ${error.message}`);
+    console.error('Error listing playlists:', error);
+    res.status(500).json({ error: 'Failed to list playlists' });
   }
 });
 
-function findVideoFile(videoId) {
+app.post('/api/playlists', requireUser, (req, res) => {
   try {
-    const files = fs.readdirSync(VIDEOS_FOLDER);
-    const videoFile = files.find(file => {
-      const name = path.basename(file, path.extname(file));
-      return name === videoId;
-    });
-    
-    if (videoFile) {
-      return path.join(VIDEOS_FOLDER, videoFile);
+    const { changes, error } = validatePlaylistFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
     }
-    return null;
+    const videoError = checkPlaylistVideos(req, changes.videoIds);
+    if (videoError) {
+      return res.status(400).json({ error: videoError });
+    }
+    
+    const now = new Date().toISOString();
+    const playlist = playlists.put({
+      id: generatePlaylistId(playlists),
+      ownerId: req.user.id,
+      ...changes,
+      createdAt: now,
+      updatedAt: now
+    });
+    res.status(201).json(serializePlaylistFor(req, playlist));
   } catch (error) {
-    console.error('Error finding video file:', error);
-    return null;
+    console.error('Error creating playlist:', error);
+    res.status(500).json({ error: 'Failed to create playlist' });
   }
-}
+});
 
-app.get('/thumbnail/:id', (req, res) => {
+app.get('/api/playlists/:id', (req, res) => {
   try {
-    const thumbnailId = req.params.id;
-    const thumbnailPath = path.join(THUMBNAILS_FOLDER, `${thumbnailId}.jpg`);
-    
-    if (fs.existsSync(thumbnailPath)) {
-      res.sendFile(thumbnailPath);
-    } else {
-      res.status(404).send('Thumbnail not found');
+    const playlist = playlists.get(req.params.id);
+    if (!playlist || !canViewPlaylist(req, playlist)) {
+      return res.status(404).json({ error: 'Playlist not found' });
     }
+    res.json(serializePlaylistFor(req, playlist));
   } catch (error) {
-    console.error('Error serving thumbnail:', error);
-    res.status(500).send('Error serving thumbnail');
+    console.error('Error reading playlist:', error);
+    res.status(500).json({ error: 'Failed to read playlist' });
   }
 });
 
-app.post('/api/upload', upload.single('video'), async (req, res) => {
+// Update a playlist. Sending videoIds replaces the whole list, which is also
+// how videos are reordered.
+app.patch('/api/playlists/:id', requireUser, (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No video file uploaded' });
+    const playlist = playlists.get(req.params.id);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
     }
-    
-    const customName = req.body.customName;
-    const originalExt = path.extname(req.file.originalname);
-    
-    let finalFilename;
-    if (customName && customName.trim() !== '') {
-      finalFilename = customName.trim() + originalExt;
-    } else {
-      finalFilename = req.file.originalname;
+    if (!canModify(req.user, playlist)) {
+      return res.status(403).json({ error: 'Only the owner can change this playlist' });
     }
     
-    let counter = 1;
-    let baseName = customName && customName.trim() !== '' ? customName.trim() : path.basename(req.file.originalname, originalExt);
-    let filenameToUse = finalFilename;
-    
-    while (fs.existsSync(path.join(VIDEOS_FOLDER, filenameToUse))) {
-      filenameToUse = `${baseName}_${counter}${originalExt}`;
-      counter++;
+    const { changes, error } = validatePlaylistFields(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
     }
-    
-    const videoPath = path.join(VIDEOS_FOLDER, filenameToUse);
-    fs.writeFileSync(videoPath, req.file.buffer);
-    
-    const videoId = path.basename(filenameToUse, path.extname(filenameToUse));
-    
-    const hasFFmpeg = await checkFFmpeg();
-    if (hasFFmpeg) {
-      try {
-        const thumbnailPath = path.join(THUMBNAILS_FOLDER, `${videoId}.jpg`);
-        await extractThumbnail(videoPath, thumbnailPath);
-        console.log(`Thumbnail extracted for ${videoId}`);
-      } catch (error) {
-        console.error('Failed to extract thumbnail:', error);
+    if (changes.videoIds) {
+      // Videos already in the list stay, even ones the editor can no longer see
+      const videoError = checkPlaylistVideos(req, changes.videoIds.filter(id => !playlist.videoIds.includes(id)));
+      if (videoError || new Set(changes.videoIds).size !== changes.videoIds.length) {
+        return res.status(400).json({ error: videoError || 'A playlist cannot hold the same video twice' });
       }
     }
     
-    res.json({ 
-      success: true, 
-      videoId, 
-      filename: filenameToUse,
-      url: `/video/${videoId}`,
-      thumbnailUrl: `/thumbnail/${videoId}`
-    });
+    const updated = playlists.update(playlist.id, { ...changes, updatedAt: new Date().toISOString() });
+    res.json(serializePlaylistFor(req, updated));
   } catch (error) {
-    console.error('Error uploading video:', error);
-    res.status(500).json({ error: 'Failed to upload video' });
+    console.error('Error updating playlist:', error);
+    res.status(500).json({ error: 'Failed to update playlist' });
   }
 });
 
-app.post('/api/upload-thumbnail', upload.single('thumbnail'), (req, res) => {
+app.delete('/api/playlists/:id', requireUser, (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No thumbnail file uploaded' });
+    const playlist = playlists.get(req.params.id);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
     }
-    
-    const videoId = req.body.videoId;
-    if (!videoId) {
-      return res.status(400).json({ error: 'Video ID is required' });
+    if (!canModify(req.user, playlist)) {
+      return res.status(403).json({ error: 'Only the owner can delete this playlist' });
     }
     
-    const ext = path.extname(req.file.originalname).toLowerCase();
-    if (ext !== '.jpg' && ext !== '.jpeg' && ext !== '.png') {
-      return res.status(400).json({ error: 'Thumbnail must be a JPG or PNG image' });
+    playlists.remove(playlist.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting playlist:', error);
+    res.status(500).json({ error: 'Failed to delete playlist' });
+  }
+});
+
+// Append one video to the end of a playlist
+app.post('/api/playlists/:id/videos', requireUser, (req, res) => {
+  try {
+    const playlist = playlists.get(req.params.id);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+    if (!canModify(req.user, playlist)) {
+      return res.status(403).json({ error: 'Only the owner can change this playlist' });
     }
     
-    const thumbnailPath = path.join(THUMBNAILS_FOLDER, `${videoId}.jpg`);
-    fs.writeFileSync(thumbnailPath, req.file.buffer);
+    if (playlist.videoIds.includes(req.body.videoId)) {
+      return res.status(400).json({ error: 'The video is already in this playlist' });
+    }
+    const videoIds = [...playlist.videoIds, req.body.videoId];
+    const { error } = validatePlaylistFields({ videoIds }, { partial: true });
+    const videoError = error || checkPlaylistVideos(req, [req.body.videoId]);
+    if (videoError) {
+      return res.status(400).json({ error: videoError });
+    }
     
-    res.json({ 
-      success: true, 
-      thumbnailUrl: `/thumbnail/${videoId}`
-    });
+    const updated = playlists.update(playlist.id, { videoIds, updatedAt: new Date().toISOString() });
+    res.status(201).json(serializePlaylistFor(req, updated));
   } catch (error) {
-    console.error('Error uploading thumbnail:', error);
-    res.status(500).json({ error: 'Failed to upload thumbnail' });
+    console.error('Error adding to playlist:', error);
+    res.status(500).json({ error: 'Failed to add video to playlist' });
   }
 });
 
-app.delete('/api/video/:id', (req, res) => {
+app.delete('/api/playlists/:id/videos/:videoId', requireUser, (req, res) => {
   try {
-    const videoId = req.params.id;
-    const videoPath = findVideoFile(videoId);
-    
-    if (!videoPath) {
-      return res.status(404).json({ error: 'Video not found' });
+    const playlist = playlists.get(req.params.id);
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
     }
-    
-    fs.unlinkSync(videoPath);
-    
-    const thumbnailPath = path.join(THUMBNAILS_FOLDER, `${videoId}.jpg`);
-    if (fs.existsSync(thumbnailPath)) {
-      fs.unlinkSync(thumbnailPath);
+    if (!canModify(req.user, playlist)) {
+      return res.status(403).json({ error: 'Only the owner can change this playlist' });
+    }
+    if (!playlist.videoIds.includes(req.params.videoId)) {
+      return res.status(404).json({ error: 'Video is not in this playlist' });
     }
     
-    res.json({ success: true });
+    const updated = playlists.update(playlist.id, {
+      videoIds: playlist.videoIds.filter(id => id !== req.params.videoId),
+      updatedAt: new Date().toISOString()
+    });
+    res.json(serializePlaylistFor(req, updated));
   } catch (error) {
-    console.error('Error deleting video:', error);
-    res.status(500).json({ error: 'Failed to delete video' });
+    console.error('Error removing from playlist:', error);
+    res.status(500).json({ error: 'Failed to remove video from playlist' });
   }
 });
 
@@ -383,87 +3345,132 @@ app.get('/', (req, res) => {
       <title>Video Server</title>
       <meta charset="UTF-8">
       <meta name="viewport" content="width=device-width, initial-scale=1.0">
-      <style>
-        body { font-family: Arial, sans-serif; margin: 0; padding: 20px; background-color: #f5f5f5; }
-        .container { max-width: 1200px; margin: 0 auto; background-color: white; padding: 20px; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
-        h1 { color: #1976d2; }
-        .video-grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(300px, 1fr)); gap: 20px; margin-top: 20px; }
-        .video-card { background-color: #f9f9f9; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1); transition: transform 0.2s; }
-        .video-card:hover { transform: translateY(-5px); }
-        .video-thumbnail-container { width: 100%; height: 180px; position: relative; overflow: hidden; background-color: #ddd; }
-        .video-thumbnail { width: 100%; height: 100%; object-fit: cover; }
-        .video-info { padding: 15px; }
-        .video-title { font-weight: bold; margin-bottom: 5px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; font-size: 1.1em; }
-        .video-filename { font-size: 0.9em; color: #666; margin-bottom: 5px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
-        .video-meta { font-size: 0.9em; color: #666; }
-        .video-actions { display: flex; justify-content: space-between; margin-top: 10px; flex-wrap: wrap; gap: 5px; }
-        .btn { background-color: #1976d2; color: white; border: none; padding: 8px 12px; border-radius: 4px; cursor: pointer; text-decoration: none; display: inline-block; font-size: 0.9em; flex: 1; min-width: 80px; text-align: center; }
-        .btn:hover { background-color: #1565c0; }
-        .btn-secondary { background-color: #757575; }
-        .btn-secondary:hover { background-color: #616161; }
-        .btn-danger { background-color: #f44336; }
-        .btn-danger:hover { background-color: #d32f2f; }
-        .upload-area { border: 2px dashed #ccc; border-radius: 8px; padding: 20px; text-align: center; margin-bottom: 20px; }
-        .upload-area.dragover { border-color: #1976d2; background-color: #e3f2fd; }
-        .hidden { display: none; }
-        .video-player-container { margin-top: 20px; }
-        video { width: 100%; max-height: 500px; }
-        .notification { position: fixed; top: 20px; right: 20px; padding: 15px; background-color: #4caf50; color: white; border-radius: 4px; box-shadow: 0 2px 4px rgba(0,0,0,0.2); z-index: 1000; opacity: 0; transition: opacity 0.3s; }
-        .notification.show { opacity: 1; }
-        .notification.error { background-color: #f44336; }
-        .modal { display: none; position: fixed; z-index: 1000; left: 0; top: 0; width: 100%; height: 100%; background-color: rgba(0,0,0,0.5); }
-        .modal-content { background-color: white; margin: 15% auto; padding: 20px; border-radius: 8px; width: 80%; max-width: 500px; }
-        .close { color: #aaa; float: right; font-size: 28px; font-weight: bold; cursor: pointer; }
-        .close:hover { color: black; }
-        .form-group { margin-bottom: 15px; }
-        .form-group label { display: block; margin-bottom: 5px; font-weight: bold; }
-        .form-group input { width: 100%; padding: 8px; box-sizing: border-box; border: 1px solid #ddd; border-radius: 4px; }
-        .error-message { color: #f44336; font-size: 0.9em; margin-top: 5px; }
-        .thumbnail-preview { width: 100px; height: 60px; object-fit: cover; margin-top: 10px; }
-        .lazy-load { background-color: #f0f0f0; display: flex; align-items: center; justify-content: center; color: #666; width: 100%; height: 100%; }
-        .spinner { border: 4px solid #f3f3f3; border-top: 4px solid #3498db; border-radius: 50%; width: 20px; height: 20px; animation: spin 2s linear infinite; }
-        @keyframes spin { 0% { transform: rotate(0deg); } 100% { transform: rotate(360deg); } }
-        .popup-overlay { position: fixed; top: 0; left: 0; width: 100%; height: 100%; background-color: rgba(0, 0, 0, 0.5); display: flex; justify-content: center; align-items: center; z-index: 2000; opacity: 0; visibility: hidden; transition: opacity 0.3s, visibility 0.3s; }
-        .popup-overlay.show { opacity: 1; visibility: visible; }
-        .popup { background-color: white; border-radius: 8px; padding: 25px; max-width: 400px; width: 90%; box-shadow: 0 5px 15px rgba(0, 0, 0, 0.3); transform: scale(0.7); transition: transform 0.3s; }
-        .popup-overlay.show .popup { transform: scale(1); }
-        .popup-title { font-size: 1.5em; margin-bottom: 15px; color: #333; }
-        .popup-message { margin-bottom: 20px; color: #666; }
-        .popup-buttons { display: flex; justify-content: flex-end; gap: 10px; }
-        .popup-btn { padding: 8px 16px; border: none; border-radius: 4px; cursor: pointer; font-size: 1em; transition: background-color 0.2s; }
-        .popup-btn-confirm { background-color: #f44336; color: white; }
-        .popup-btn-confirm:hover { background-color: #d32f2f; }
-        .popup-btn-cancel { background-color: #e0e0e0; color: #333; }
-        .popup-btn-cancel:hover { background-color: #d0d0d0; }
-        @media (max-width: 768px) {
-          .container { padding: 10px; }
-          .video-grid { grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 10px; }
-          .video-actions { flex-direction: column; gap: 5px; }
-          .btn { width: 100%; text-align: center; }
-        }
-      </style>
+      <link rel="stylesheet" href="/assets/app.css">
     </head>
     <body>
       <div class="container">
         <h1>Video Server</h1>
         
-        <div class="upload-area" id="uploadArea">
+        <div class="auth-bar">
+          <form id="signInForm" class="hidden">
+            <input type="text" id="authUsername" placeholder="Username" autocomplete="username" required>
+            <input type="password" id="authPassword" placeholder="Password" autocomplete="current-password" required>
+            <button type="submit" class="btn">Sign in</button>
+            <button type="button" id="registerButton" class="btn btn-secondary">Create account</button>
+          </form>
+          <div id="signedIn" class="hidden">
+            <span>Signed in as <strong id="currentUsername"></strong></span>
+            <button type="button" id="signOutButton" class="btn btn-secondary">Sign out</button>
+          </div>
+        </div>
+        
+        <div class="upload-area hidden" id="uploadArea">
           <p>Drag and drop video files here or click to select</p>
           <input type="file" id="fileInput" accept="video/*" multiple class="hidden">
         </div>
+        <form id="importForm" class="import-form hidden">
+          <input type="url" id="importUrl" placeholder="Or import from a link to a video file or HLS stream (.m3u8)" required>
+          <button type="submit" class="btn">Import</button>
+          <span id="importJobs" class="import-jobs"></span>
+        </form>
         
         <div id="videoPlayerContainer" class="video-player-container hidden">
           <h2>Now Playing: <span id="currentVideoTitle"></span></h2>
+          <div id="clipSource" class="clip-source hidden"></div>
+          <div id="resumePrompt" class="resume-prompt hidden">
+            <span id="resumeMessage"></span>
+            <button type="button" id="resumeButton" class="btn">Resume</button>
+            <button type="button" id="startOverButton" class="btn btn-secondary">Start over</button>
+          </div>
           <video id="videoPlayer" controls></video>
-          <div style="margin-top: 10px;">
+          <div id="seekBar" class="seek-bar hidden">
+            <div id="seekProgress" class="seek-progress"></div>
+            <div id="seekPreview" class="seek-preview hidden"><div id="seekPreviewTime" class="seek-preview-time"></div></div>
+          </div>
+          <div id="trimControls" class="trim-controls hidden">
+            <div class="trim-row">
+              <label>Start <input type="text" id="trimStart" class="trim-time" placeholder="0:00"></label>
+              <button type="button" id="trimMarkStart" class="btn btn-secondary">Set to current time</button>
+              <label>End <input type="text" id="trimEnd" class="trim-time" placeholder="end"></label>
+              <button type="button" id="trimMarkEnd" class="btn btn-secondary">Set to current time</button>
+            </div>
+            <div class="trim-row">
+              <input type="text" id="trimTitle" class="trim-title" placeholder="Title of the new video (optional)">
+              <select id="trimMode">
+                <option value="auto">Stream copy when possible</option>
+                <option value="encode">Always re-encode</option>
+              </select>
+              <button type="button" id="createClip" class="btn">Create clip</button>
+              <button type="button" id="addJoinSegment" class="btn btn-secondary">Add to join list</button>
+            </div>
+            <div id="joinList" class="join-list hidden">
+              <ol id="joinSegments"></ol>
+              <button type="button" id="createJoin" class="btn">Join into new video</button>
+              <button type="button" id="clearJoin" class="btn btn-secondary">Clear list</button>
+            </div>
+            <span id="editJobs" class="import-jobs"></span>
+          </div>
+          <div class="player-actions">
             <button id="closePlayer" class="btn btn-secondary">Close Player</button>
           </div>
         </div>
         
-        <h2>Video Library</h2>
+        <div id="continueWatching" class="continue-watching hidden">
+          <h3>Continue watching</h3>
+          <div id="continueWatchingRow" class="continue-row"></div>
+        </div>
+        
+        <div class="library-tabs">
+          <button type="button" id="myVideosTab" class="library-tab hidden" data-library="mine">My videos</button>
+          <button type="button" class="library-tab active" data-library="all">Shared library</button>
+          <button type="button" class="library-tab" data-library="playlists">Playlists</button>
+          <button type="button" id="trashTab" class="library-tab hidden" data-library="trash">Trash</button>
+        </div>
+        <div class="library-toolbar">
+          <input type="search" id="searchInput" placeholder="Search titles, descriptions and tags">
+          <select id="sortSelect" aria-label="Sort videos">
+            <option value="">Best match</option>
+            <option value="created:desc">Newest first</option>
+            <option value="created:asc">Oldest first</option>
+            <option value="modified:desc">Recently modified</option>
+            <option value="name:asc">Name (A-Z)</option>
+            <option value="name:desc">Name (Z-A)</option>
+            <option value="size:desc">Largest first</option>
+            <option value="size:asc">Smallest first</option>
+            <option value="duration:desc">Longest first</option>
+            <option value="duration:asc">Shortest first</option>
+          </select>
+          <button type="button" id="tagFilter" class="tag-chip hidden" title="Show all tags"></button>
+          <span id="videoCount" class="video-count"></span>
+        </div>
+        <div id="bulkToolbar" class="bulk-toolbar hidden">
+          <span id="bulkCount"></span>
+          <button type="button" id="bulkSelectAll" class="btn btn-secondary">Select all</button>
+          <button type="button" id="bulkClear" class="btn btn-secondary">Clear</button>
+          <select id="bulkVisibility" aria-label="Change visibility">
+            <option value="">Visibility...</option>
+            <option value="public">Public</option>
+            <option value="unlisted">Unlisted</option>
+            <option value="private">Private</option>
+          </select>
+          <input type="text" id="bulkTags" placeholder="Tags, comma separated">
+          <button type="button" id="bulkAddTags" class="btn btn-secondary">Add tags</button>
+          <button type="button" id="bulkRemoveTags" class="btn btn-secondary">Remove tags</button>
+          <select id="bulkPlaylist" aria-label="Add to playlist">
+            <option value="">Add to playlist...</option>
+          </select>
+          <button type="button" id="bulkThumbnails" class="btn btn-secondary">New thumbnails</button>
+          <button type="button" id="bulkDownload" class="btn btn-secondary">Download</button>
+          <button type="button" id="bulkDelete" class="btn btn-danger">Delete</button>
+        </div>
+        <div id="trashToolbar" class="trash-toolbar hidden">
+          <span class="video-count">Deleted videos can be restored until they are purged.</span>
+          <button type="button" id="emptyTrash" class="btn btn-danger">Empty trash</button>
+        </div>
         <div id="videoGrid" class="video-grid">
           <!-- Videos will be loaded here -->
         </div>
+        <div id="videoGridEnd"></div>
       </div>
       
       <!-- Upload Modal -->
@@ -477,6 +3484,14 @@ app.get('/', (req, res) => {
               <input type="text" id="customName" name="customName" placeholder="Leave blank to use original filename">
               <div id="nameError" class="error-message hidden"></div>
             </div>
+            <div class="form-group">
+              <label for="uploadVisibility">Visibility:</label>
+              <select id="uploadVisibility">
+                <option value="private" selected>Private - only you and signed links</option>
+                <option value="unlisted">Unlisted - anyone with the link</option>
+                <option value="public">Public - listed in the shared library</option>
+              </select>
+            </div>
             <div class="form-group">
               <label for="thumbnailFile">Thumbnail (optional):</label>
               <input type="file" id="thumbnailFile" accept="image/*">
@@ -513,10 +3528,12 @@ app.get('/', (req, res) => {
       <div id="thumbnailModal" class="modal">
         <div class="modal-content">
           <span class="close">&times;</span>
-          <h2>Upload Thumbnail</h2>
+          <h2>Thumbnail</h2>
+          <p>Choose the poster, or upload an image of your own.</p>
+          <div id="posterChoices" class="poster-choices"></div>
           <form id="thumbnailForm" enctype="multipart/form-data">
             <div class="form-group">
-              <label for="thumbnailFile2">Thumbnail Image:</label>
+              <label for="thumbnailFile2">Upload Image (JPG, PNG or WebP):</label>
               <input type="file" id="thumbnailFile2" accept="image/*" required>
               <img id="thumbnailPreview2" class="thumbnail-preview hidden">
             </div>
@@ -528,6 +3545,85 @@ app.get('/', (req, res) => {
         </div>
       </div>
       
+      <!-- Tags Modal -->
+      <div id="tagsModal" class="modal">
+        <div class="modal-content">
+          <span class="close">&times;</span>
+          <h2>Edit Tags</h2>
+          <form id="tagsForm">
+            <div class="form-group">
+              <label for="tagsInput">Tags (comma-separated):</label>
+              <input type="text" id="tagsInput" placeholder="e.g. holiday, beach, 2024">
+            </div>
+            <div class="form-group">
+              <button type="submit" class="btn">Save</button>
+              <button type="button" id="cancelTags" class="btn btn-secondary">Cancel</button>
+            </div>
+          </form>
+        </div>
+      </div>
+      
+      <!-- Stats Modal -->
+      <div id="statsModal" class="modal">
+        <div class="modal-content">
+          <span class="close">&times;</span>
+          <h2>Stats</h2>
+          <div id="statsSummary" class="stats-summary"></div>
+          <h3>Audience retention</h3>
+          <svg id="retentionChart" class="retention-chart" viewBox="0 0 400 120" preserveAspectRatio="none"></svg>
+          <div class="retention-axis"><span>0:00</span><span id="retentionEnd"></span></div>
+        </div>
+      </div>
+      
+      <!-- Add to Playlist Modal -->
+      <div id="playlistModal" class="modal">
+        <div class="modal-content">
+          <span class="close">&times;</span>
+          <h2>Add to Playlist</h2>
+          <form id="playlistForm">
+            <div class="form-group">
+              <label for="playlistSelect">Playlist:</label>
+              <select id="playlistSelect"></select>
+            </div>
+            <div class="form-group" id="newPlaylistGroup">
+              <label for="newPlaylistTitle">New playlist title:</label>
+              <input type="text" id="newPlaylistTitle">
+            </div>
+            <div class="form-group">
+              <button type="submit" class="btn">Add</button>
+              <button type="button" id="cancelPlaylist" class="btn btn-secondary">Cancel</button>
+            </div>
+          </form>
+        </div>
+      </div>
+      
+      <!-- Captions Modal -->
+      <div id="subtitlesModal" class="modal">
+        <div class="modal-content">
+          <span class="close">&times;</span>
+          <h2>Captions</h2>
+          <div id="subtitleList"></div>
+          <form id="subtitleForm" enctype="multipart/form-data">
+            <div class="form-group">
+              <label for="subtitleFile">Subtitle File (SRT or WebVTT):</label>
+              <input type="file" id="subtitleFile" accept=".srt,.vtt" required>
+            </div>
+            <div class="form-group">
+              <label for="subtitleLanguage">Language Code:</label>
+              <input type="text" id="subtitleLanguage" placeholder="e.g. en, fr, pt-BR" required>
+            </div>
+            <div class="form-group">
+              <label for="subtitleLabel">Label (optional):</label>
+              <input type="text" id="subtitleLabel" placeholder="Defaults to the language name">
+            </div>
+            <div class="form-group">
+              <button type="submit" class="btn">Add Track</button>
+              <button type="button" id="cancelSubtitles" class="btn btn-secondary">Close</button>
+            </div>
+          </form>
+        </div>
+      </div>
+      
       <!-- Custom Popup -->
       <div id="popupOverlay" class="popup-overlay">
         <div class="popup">
@@ -542,488 +3638,317 @@ app.get('/', (req, res) => {
       
       <div id="notification" class="notification"></div>
       
-      <script>
-        let currentVideoId = null;
-        let videos = [];
-        let pendingFiles = [];
-        let popupCallback = null;
-        
-        async function loadVideos() {
-          try {
-            const response = await fetch('/api/videos');
-            videos = await response.json();
-            
-            const videoGrid = document.getElementById('videoGrid');
-            videoGrid.innerHTML = '';
-            
-            if (videos.length === 0) {
-              videoGrid.innerHTML = '<p>No videos found. Upload some videos to get started!</p>';
-              return;
-            }
-            
-            videos.forEach(video => {
-              const videoCard = document.createElement('div');
-              videoCard.className = 'video-card';
-              videoCard.dataset.videoId = video.id;
-              
-              const thumbnailContainer = document.createElement('div');
-              thumbnailContainer.className = 'video-thumbnail-container';
-              
-              if (video.thumbnailUrl) {
-                const lazyImage = document.createElement('img');
-                lazyImage.className = 'video-thumbnail lazy-load';
-                lazyImage.dataset.src = video.thumbnailUrl;
-                lazyImage.alt = video.displayName;
-                
-                thumbnailContainer.innerHTML = '<div class="spinner"></div>';
-                thumbnailContainer.appendChild(lazyImage);
-                
-                const observer = new IntersectionObserver((entries, observer) => {
-                  entries.forEach(entry => {
-                    if (entry.isIntersecting) {
-                      const img = entry.target;
-                      img.src = img.dataset.src;
-                      img.onload = () => {
-                        img.classList.remove('lazy-load');
-                        thumbnailContainer.querySelector('.spinner')?.remove();
-                      };
-                      observer.unobserve(img);
-                    }
-                  });
-                });
-                
-                observer.observe(lazyImage);
-              } else {
-                thumbnailContainer.innerHTML = '<div class="lazy-load">No Thumbnail</div>';
-              }
-              
-              videoCard.appendChild(thumbnailContainer);
-              
-              const videoInfo = document.createElement('div');
-              videoInfo.className = 'video-info';
-              videoInfo.innerHTML = \`
-                <div class="video-title" title="\${video.displayName}">\${video.displayName}</div>
-                <div class="video-filename" title="\${video.filename}">\${video.filename}</div>
-                <div class="video-meta">
-                  Size: \${formatFileSize(video.size)}<br>
-                  Modified: \${new Date(video.modified).toLocaleDateString()}
-                </div>
-                <div class="video-actions">
-                  <button class="btn" onclick="playVideo('\${video.id}', '\${video.displayName}')">Play</button>
-                  <button class="btn btn-secondary" onclick="showRenameModal('\${video.id}', '\${video.displayName}')">Rename</button>
-                  <button class="btn btn-secondary" onclick="showThumbnailModal('\${video.id}')">Thumbnail</button>
-                  <a href="\${video.url}" target="_blank" class="btn btn-secondary">Direct Link</a>
-                  <button class="btn btn-danger" onclick="confirmDeleteVideo('\${video.id}')">Delete</button>
-                </div>
-              \`;
-              
-              videoCard.appendChild(videoInfo);
-              videoGrid.appendChild(videoCard);
-            });
-          } catch (error) {
-            console.error('Error loading videos:', error);
-            showNotification('Failed to load videos', true);
-          }
-        }
-        
-        function playVideo(videoId, filename) {
-          const player = document.getElementById('videoPlayer');
-          const container = document.getElementById('videoPlayerContainer');
-          const title = document.getElementById('currentVideoTitle');
-          
-          player.src = \`/video/\${videoId}\`;
-          title.textContent = filename;
-          container.classList.remove('hidden');
-          
-          player.play();
-          container.scrollIntoView({ behavior: 'smooth' });
-        }
-        
-        document.getElementById('closePlayer').addEventListener('click', function() {
-          const player = document.getElementById('videoPlayer');
-          const container = document.getElementById('videoPlayerContainer');
-          
-          player.pause();
-          player.src = '';
-          container.classList.add('hidden');
-        });
-        
-        function showRenameModal(videoId, currentName) {
-          currentVideoId = videoId;
-          document.getElementById('newName').value = currentName;
-          document.getElementById('renameError').classList.add('hidden');
-          document.getElementById('renameModal').style.display = 'block';
-        }
-        
-        async function renameVideo(videoId, newName) {
-          try {
-            const response = await fetch(\`/api/rename/\${videoId}\`, {
-              method: 'PUT',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ newName })
-            });
-            
-            if (response.ok) {
-              showNotification('Video renamed successfully');
-              loadVideos();
-            } else {
-              const error = await response.json();
-              showNotification(\`Failed to rename video: \${error.error}\`, true);
-            }
-          } catch (error) {
-            console.error('Error renaming video:', error);
-            showNotification('Error renaming video', true);
-          }
-        }
-        
-        function confirmDeleteVideo(videoId) {
-          showCustomPopup(
-            'Delete Video',
-            'Are you sure you want to delete this video? This action cannot be undone.',
-            () => deleteVideo(videoId)
-          );
-        }
-        
-        async function deleteVideo(videoId) {
-          try {
-            const response = await fetch(\`/api/video/\${videoId}\`, {
-              method: 'DELETE'
-            });
-            
-            if (response.ok) {
-              showNotification('Video deleted successfully');
-              loadVideos();
-            } else {
-              showNotification('Failed to delete video', true);
-            }
-          } catch (error) {
-            console.error('Error deleting video:', error);
-            showNotification('Error deleting video', true);
-          }
-        }
-        
-        function formatFileSize(bytes) {
-          if (bytes === 0) return '0 Bytes';
-          const k = 1024;
-          const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-          const i = Math.floor(Math.log(bytes) / Math.log(k));
-          return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-        }
-        
-        function showNotification(message, isError = false) {
-          const notification = document.getElementById('notification');
-          notification.textContent = message;
-          notification.className = 'notification show';
-          if (isError) notification.classList.add('error');
-          
-          setTimeout(() => {
-            notification.classList.remove('show');
-          }, 3000);
-        }
-        
-        function showCustomPopup(title, message, onConfirm, confirmText = 'Confirm', confirmClass = 'popup-btn-confirm') {
-          const popupOverlay = document.getElementById('popupOverlay');
-          const popupTitle = document.getElementById('popupTitle');
-          const popupMessage = document.getElementById('popupMessage');
-          const popupConfirm = document.getElementById('popupConfirm');
-          
-          popupTitle.textContent = title;
-          popupMessage.textContent = message;
-          popupConfirm.textContent = confirmText;
-          popupConfirm.className = \`popup-btn \${confirmClass}\`;
-          
-          popupCallback = onConfirm;
-          
-          popupOverlay.classList.add('show');
-        }
-        
-        const uploadArea = document.getElementById('uploadArea');
-        const fileInput = document.getElementById('fileInput');
-        const uploadModal = document.getElementById('uploadModal');
-        const uploadForm = document.getElementById('uploadForm');
-        const customNameInput = document.getElementById('customName');
-        const nameError = document.getElementById('nameError');
-        const thumbnailFileInput = document.getElementById('thumbnailFile');
-        const thumbnailPreview = document.getElementById('thumbnailPreview');
-        
-        uploadArea.addEventListener('click', () => fileInput.click());
-        
-        uploadArea.addEventListener('dragover', (e) => {
-          e.preventDefault();
-          uploadArea.classList.add('dragover');
-        });
-        
-        uploadArea.addEventListener('dragleave', () => {
-          uploadArea.classList.remove('dragover');
-        });
-        
-        uploadArea.addEventListener('drop', (e) => {
-          e.preventDefault();
-          uploadArea.classList.remove('dragover');
-          
-          const files = Array.from(e.dataTransfer.files);
-          handleFileSelection(files);
-        });
-        
-        fileInput.addEventListener('change', () => {
-          const files = Array.from(fileInput.files);
-          handleFileSelection(files);
-          fileInput.value = '';
-        });
-        
-        function handleFileSelection(files) {
-          const videoFiles = files.filter(file => file.type.startsWith('video/'));
-          
-          if (videoFiles.length === 0) {
-            showNotification('No video files found in selection', true);
-            return;
-          }
-          
-          pendingFiles = videoFiles;
-          uploadModal.style.display = 'block';
-          
-          uploadForm.reset();
-          thumbnailPreview.classList.add('hidden');
-          nameError.classList.add('hidden');
-        }
-        
-        thumbnailFileInput.addEventListener('change', () => {
-          const file = thumbnailFileInput.files[0];
-          if (file) {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-              thumbnailPreview.src = e.target.result;
-              thumbnailPreview.classList.remove('hidden');
-            };
-            reader.readAsDataURL(file);
-          } else {
-            thumbnailPreview.classList.add('hidden');
-          }
-        });
-        
-        customNameInput.addEventListener('input', async () => {
-          const name = customNameInput.value.trim();
-          if (name) {
-            try {
-              const response = await fetch(\`/api/check-name/\${encodeURIComponent(name)}\`);
-              const result = await response.json();
-              
-              if (result.exists) {
-                nameError.textContent = 'A video with this name already exists. Please choose a different name.';
-                nameError.classList.remove('hidden');
-              } else {
-                nameError.classList.add('hidden');
-              }
-            } catch (error) {
-              console.error('Error checking name:', error);
-            }
-          } else {
-            nameError.classList.add('hidden');
-          }
-        });
-        
-        uploadForm.addEventListener('submit', async (e) => {
-          e.preventDefault();
-          
-          const customName = customNameInput.value.trim();
-          const thumbnailFile = thumbnailFileInput.files[0];
-          
-          if (customName) {
-            try {
-              const response = await fetch(\`/api/check-name/\${encodeURIComponent(customName)}\`);
-              const result = await response.json();
-              
-              if (result.exists) {
-                nameError.textContent = 'A video with this name already exists. Please choose a different name.';
-                nameError.classList.remove('hidden');
-                return;
-              }
-            } catch (error) {
-              console.error('Error checking name:', error);
-            }
-          }
-          
-          uploadModal.style.display = 'none';
-          
-          for (const file of pendingFiles) {
-            try {
-              showNotification(\`Uploading \${file.name}...\`);
-              
-              const formData = new FormData();
-              formData.append('video', file);
-              if (customName) {
-                formData.append('customName', customName);
-              }
-              
-              const response = await fetch('/api/upload', {
-                method: 'POST',
-                body: formData
-              });
-              
-              if (response.ok) {
-                const result = await response.json();
-                showNotification(\`Successfully uploaded \${file.name}\`);
-                
-                if (thumbnailFile) {
-                  try {
-                    const thumbnailFormData = new FormData();
-                    thumbnailFormData.append('thumbnail', thumbnailFile);
-                    thumbnailFormData.append('videoId', result.videoId);
-                    
-                    const thumbnailResponse = await fetch('/api/upload-thumbnail', {
-                      method: 'POST',
-                      body: thumbnailFormData
-                    });
-                    
-                    if (thumbnailResponse.ok) {
-                      showNotification(\`Thumbnail uploaded for \${file.name}\`);
-                    } else {
-                      showNotification(\`Failed to upload thumbnail for \${file.name}\`, true);
-                    }
-                  } catch (error) {
-                    console.error('Error uploading thumbnail:', error);
-                    showNotification(\`Error uploading thumbnail for \${file.name}\`, true);
-                  }
-                }
-              } else {
-                showNotification(\`Failed to upload \${file.name}\`, true);
-              }
-            } catch (error) {
-              console.error('Error uploading file:', error);
-              showNotification(\`Error uploading \${file.name}\`, true);
-            }
-          }
-          
-          loadVideos();
-        });
-        
-        document.getElementById('renameForm').addEventListener('submit', async (e) => {
-          e.preventDefault();
-          
-          const newName = document.getElementById('newName').value.trim();
-          const renameError = document.getElementById('renameError');
-          
-          if (!newName) {
-            renameError.textContent = 'Please enter a new name';
-            renameError.classList.remove('hidden');
-            return;
-          }
-          
-          try {
-            const response = await fetch(\`/api/check-name/\${encodeURIComponent(newName)}\`);
-            const result = await response.json();
-            
-            if (result.exists) {
-              renameError.textContent = 'A video with this name already exists. Please choose a different name.';
-              renameError.classList.remove('hidden');
-              return;
-            } else {
-              renameError.classList.add('hidden');
-            }
-          } catch (error) {
-            console.error('Error checking name:', error);
-          }
-          
-          document.getElementById('renameModal').style.display = 'none';
-          await renameVideo(currentVideoId, newName);
-        });
-        
-        document.querySelectorAll('.close').forEach(closeBtn => {
-          closeBtn.addEventListener('click', function() {
-            this.closest('.modal').style.display = 'none';
-          });
-        });
-        
-        document.getElementById('cancelUpload').addEventListener('click', () => {
-          uploadModal.style.display = 'none';
-        });
-        
-        document.getElementById('cancelRename').addEventListener('click', () => {
-          document.getElementById('renameModal').style.display = 'none';
-        });
-        
-        function showThumbnailModal(videoId) {
-          currentVideoId = videoId;
-          document.getElementById('thumbnailModal').style.display = 'block';
-          document.getElementById('thumbnailForm').reset();
-          document.getElementById('thumbnailPreview2').classList.add('hidden');
-        }
-        
-        document.getElementById('cancelThumbnail').addEventListener('click', () => {
-          document.getElementById('thumbnailModal').style.display = 'none';
-        });
-        
-        document.getElementById('thumbnailFile2').addEventListener('change', () => {
-          const file = document.getElementById('thumbnailFile2').files[0];
-          if (file) {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-              document.getElementById('thumbnailPreview2').src = e.target.result;
-              document.getElementById('thumbnailPreview2').classList.remove('hidden');
-            };
-            reader.readAsDataURL(file);
-          } else {
-            document.getElementById('thumbnailPreview2').classList.add('hidden');
-          }
-        });
-        
-        document.getElementById('thumbnailForm').addEventListener('submit', async (e) => {
-          e.preventDefault();
-          
-          const thumbnailFile = document.getElementById('thumbnailFile2').files[0];
-          if (!thumbnailFile) {
-            showNotification('Please select a thumbnail image', true);
-            return;
-          }
-          
-          try {
-            const formData = new FormData();
-            formData.append('thumbnail', thumbnailFile);
-            formData.append('videoId', currentVideoId);
-            
-            const response = await fetch('/api/upload-thumbnail', {
-              method: 'POST',
-              body: formData
-            });
-            
-            if (response.ok) {
-              showNotification('Thumbnail uploaded successfully');
-              document.getElementById('thumbnailModal').style.display = 'none';
-              loadVideos();
-            } else {
-              showNotification('Failed to upload thumbnail', true);
-            }
-          } catch (error) {
-            console.error('Error uploading thumbnail:', error);
-            showNotification('Error uploading thumbnail', true);
-          }
-        });
-        
-        document.getElementById('popupCancel').addEventListener('click', () => {
-          document.getElementById('popupOverlay').classList.remove('show');
-          popupCallback = null;
-        });
-        
-        document.getElementById('popupConfirm').addEventListener('click', () => {
-          if (popupCallback) {
-            popupCallback();
-            popupCallback = null;
-          }
-          document.getElementById('popupOverlay').classList.remove('show');
-        });
-        
-        window.addEventListener('click', (event) => {
-          if (event.target.classList.contains('modal')) {
-            event.target.style.display = 'none';
-          }
-        });
-        
-        loadVideos();
-      </script>
+      <script src="/vendor/hls.min.js"></script>
+      <script src="/assets/watch-tracker.js"></script>
+      <script src="/assets/app.js"></script>
+    </body>
+    </html>
+  `);
+});
+
+// Watch a playlist: the player moves on to the next video when one ends.
+// Start elsewhere with #<position>, counting from 1.
+app.get('/playlist/:id', (req, res) => {
+  const playlist = playlists.get(req.params.id);
+  if (!playlist || !canViewPlaylist(req, playlist)) {
+    return res.status(404).send('Playlist not found');
+  }
+  
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>Playlist</title>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <link rel="stylesheet" href="/assets/playlist.css">
+    </head>
+    <body data-playlist-id="${escapeHtml(playlist.id)}">
+      <div class="container">
+        <a href="/">&larr; Library</a>
+        <h1 id="playlistTitle"></h1>
+        <p id="playlistDescription" class="playlist-description"></p>
+        <div class="playlist-layout">
+          <div class="playlist-player">
+            <video id="videoPlayer" controls></video>
+            <h2 id="currentVideoTitle"></h2>
+          </div>
+          <ol id="playlistEntries" class="playlist-entries"></ol>
+        </div>
+      </div>
+      
+      <script src="/vendor/hls.min.js"></script>
+      <script src="/assets/watch-tracker.js"></script>
+      <script src="/assets/playlist.js"></script>
+    </body>
+    </html>
+  `);
+});
+
+function publicBaseUrl(req) {
+  return PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+// The signature of a signed page request, for links to the page itself;
+// '' when the request is not signed
+function signatureQuery(req) {
+  if (!req.query.sig) return '';
+  const params = new URLSearchParams();
+  ['expires', 'ip', 'ref', 'sig'].forEach(name => {
+    if (typeof req.query[name] === 'string') params.set(name, req.query[name]);
+  });
+  return params.toString();
+}
+
+// The signature for the media a signed page loads, which are requested with
+// the page as their Referer; '' when the page's own signature isn't valid
+function mediaSignatureQuery(req, record) {
+  if (!req.query.sig || !hasValidSignature(req, record, true)) return '';
+  return signMediaAccess(URL_SIGNING_SECRET, record.id, req.query);
+}
+
+function withQuery(url, query) {
+  if (!query) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}${query}`;
+}
+
+// The poster at the stored width closest to `width`, with its size when known
+function posterImage(record, width) {
+  if (!record.thumbnail) return null;
+  const entry = findPoster(record);
+  if (!entry) return { url: `/thumbnail/${record.id}`, width: null, height: null };
+  
+  const storedWidth = pickWidth(entry.widths, width);
+  const size = thumbnailSize(entry, storedWidth) || {};
+  return { url: `/thumbnail/${record.id}?width=${storedWidth}`, width: size.width || null, height: size.height || null };
+}
+
+// The <video> element and scripts shared by the watch and embed pages, with
+// the options from parseEmbedOptions. What to play goes in data attributes
+// for public/player.js.
+function renderPlayer(req, record, options) {
+  const video = serializeVideo(record);
+  if (video.playable === false) {
+    return '<p class="unavailable">This video can\'t be played in the browser.</p>';
+  }
+  
+  const query = mediaSignatureQuery(req, record);
+  const poster = posterImage(record, 1280);
+  const attributes = ['controls', 'playsinline', 'preload="metadata"'];
+  if (options.autoplay) attributes.push('autoplay');
+  if (options.muted) attributes.push('muted');
+  if (options.loop) attributes.push('loop');
+  if (poster) attributes.push(`poster="${escapeHtml(withQuery(poster.url, query))}"`);
+  const tracks = video.subtitles.map(track =>
+    `<track kind="subtitles" src="${escapeHtml(withQuery(track.url, query))}" srclang="${escapeHtml(track.language)}" label="${escapeHtml(track.label)}">`
+  ).join('');
+  const hlsUrl = video.hlsUrl ? withQuery(video.hlsUrl, query) : null;
+  if (hlsUrl) attributes.push(`data-hls-url="${escapeHtml(hlsUrl)}"`);
+  attributes.push(`data-playback-url="${escapeHtml(withQuery(video.playbackUrl, query))}"`);
+  attributes.push(`data-beacon-url="${escapeHtml(withQuery(`/api/videos/${record.id}/beacon`, query))}"`);
+  if (options.start) attributes.push(`data-start="${escapeHtml(options.start)}"`);
+  
+  return `
+      <video id="player" ${attributes.join(' ')}>${tracks}</video>
+      ${hlsUrl ? '<script src="/vendor/hls.min.js"></script>' : ''}
+      <script src="/assets/watch-tracker.js"></script>
+      <script src="/assets/player.js"></script>`;
+}
+
+// Look up the video for a watch or embed page, sending the error page when
+// there is none or the viewer may not see it
+function findPageVideo(req, res, prefix) {
+  if (redirectLegacyId(req, res, prefix)) return null;
+  
+  const record = catalog.get(req.params.id);
+  if (record && !canView(req, record, { page: true })) {
+    denyMedia(req, res, 'Video not found');
+    return null;
+  }
+  if (!record || record.missing) {
+    res.status(404).send('Video not found');
+    return null;
+  }
+  
+  // Titles and posters can change, so the pages are revalidated every time
+  res.setHeader('Cache-Control', record.visibility === 'private' ? PRIVATE_CACHE_CONTROL : 'public, no-cache');
+  return record;
+}
+
+// The player on its own, for other sites to put in an iframe. Options:
+// ?autoplay=1 (which also mutes), muted=1, loop=1 and start=90, 1:30 or 1m30s.
+app.get('/embed/:id', (req, res) => {
+  const record = findPageVideo(req, res, '/embed');
+  if (!record) return;
+  
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${escapeHtml(record.title)}</title>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <meta name="robots" content="noindex">
+      <link rel="stylesheet" href="/assets/embed.css">
+    </head>
+    <body>
+      ${renderPlayer(req, record, parseEmbedOptions(req.query))}
+    </body>
+    </html>
+  `);
+});
+
+// A video's own page and the link to share. Open Graph and Twitter card tags
+// make the link unfurl with the poster; the oEmbed link lets sites that
+// support it embed the player. Takes the same options as /embed/:id.
+app.get('/watch/:id', (req, res) => {
+  const record = findPageVideo(req, res, '/watch');
+  if (!record) return;
+  
+  const base = publicBaseUrl(req);
+  const query = signatureQuery(req);
+  const mediaQuery = mediaSignatureQuery(req, record);
+  const video = serializeVideoFor(req, record);
+  const isPrivate = video.visibility === 'private';
+  const pageUrl = `${base}${video.watchUrl}`;
+  const embedSize = fitEmbedSize(record.width, record.height);
+  const poster = posterImage(record, 1280);
+  const description = record.description || `Watch ${record.title} on ${SITE_NAME}`;
+  
+  const tags = [
+    ['og:site_name', SITE_NAME],
+    ['og:type', 'video.other'],
+    ['og:title', record.title],
+    ['og:description', description.slice(0, 300)],
+    ['og:url', withQuery(pageUrl, query)],
+    ['twitter:title', record.title],
+    ['twitter:description', description.slice(0, 200)]
+  ];
+  if (poster) {
+    tags.push(
+      ['og:image', `${base}${withQuery(poster.url, mediaQuery)}`],
+      ['og:image:width', poster.width],
+      ['og:image:height', poster.height],
+      ['twitter:image', `${base}${withQuery(poster.url, mediaQuery)}`]
+    );
+  }
+  if (video.playable !== false) {
+    tags.push(
+      ['og:video', `${base}${withQuery(video.playbackUrl, mediaQuery)}`],
+      ['og:video:type', record.transcode ? record.transcode.mimeType : record.mimeType],
+      ['og:video:width', record.width],
+      ['og:video:height', record.height],
+      ['video:duration', record.duration ? Math.round(record.duration) : null],
+      ['twitter:card', 'player'],
+      ['twitter:player', `${base}${withQuery(video.embedUrl, query)}`],
+      ['twitter:player:width', embedSize.width],
+      ['twitter:player:height', embedSize.height]
+    );
+  } else {
+    tags.push(['twitter:card', poster ? 'summary_large_image' : 'summary']);
+  }
+  const metaTags = tags
+    .filter(([, content]) => content !== null && content !== undefined && content !== '')
+    .map(([name, content]) => `<meta ${name.startsWith('twitter:') ? 'name' : 'property'}="${name}" content="${escapeHtml(content)}">`)
+    .join('\n      ');
+  
+  // Private videos can't be embedded without a signature, so they get no
+  // embed code and no oEmbed discovery link
+  const oembedLink = isPrivate ? '' :
+    `<link rel="alternate" type="application/json+oembed" href="${escapeHtml(`${base}/oembed?url=${encodeURIComponent(pageUrl)}&format=json`)}" title="${escapeHtml(record.title)}">`;
+  const embedCode = isPrivate ? '' : `
+        <label for="embedCode">Embed</label>
+        <input id="embedCode" class="embed-code" readonly value="${escapeHtml(embedIframe(`${base}${video.embedUrl}`, embedSize.width, embedSize.height, record.title))}">`;
+  const details = [
+    video.ownerName ? `Uploaded by ${escapeHtml(video.ownerName)}` : null,
+    new Date(video.created).toLocaleDateString()
+  ].filter(Boolean).join(' &middot; ');
+  
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${escapeHtml(record.title)} - ${escapeHtml(SITE_NAME)}</title>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <meta name="description" content="${escapeHtml(description.slice(0, 300))}">
+      ${video.visibility === 'public' ? '' : '<meta name="robots" content="noindex">'}
+      <link rel="canonical" href="${escapeHtml(pageUrl)}">
+      ${oembedLink}
+      ${metaTags}
+      <link rel="stylesheet" href="/assets/watch.css">
+    </head>
+    <body>
+      <div class="container">
+        <a href="/">&larr; Library</a>
+        ${renderPlayer(req, record, parseEmbedOptions(req.query))}
+        <h1>${escapeHtml(record.title)}</h1>
+        <div class="watch-details">${details}</div>
+        <p>${video.tags.map(tag => `<span class="tag-chip">${escapeHtml(tag)}</span>`).join('')}</p>
+        <p class="watch-description">${escapeHtml(record.description)}</p>
+        ${embedCode}
+      </div>
     </body>
     </html>
   `);
 });
 
+// oEmbed (https://oembed.com) for links to watch, embed and video pages.
+// Only JSON is offered; private videos are refused with 401 as the spec asks.
+app.get('/oembed', (req, res) => {
+  if (req.query.format !== undefined && req.query.format !== 'json') {
+    return res.status(501).json({ error: 'Only the json format is supported' });
+  }
+  if (typeof req.query.url !== 'string' || req.query.url === '') {
+    return res.status(400).json({ error: 'url is required' });
+  }
+  
+  const base = publicBaseUrl(req);
+  let videoId = videoIdFromUrl(req.query.url, new URL(base).host);
+  const redirect = videoId && !catalog.get(videoId) ? redirects.get(videoId) : null;
+  if (redirect) videoId = redirect.videoId;
+  
+  const record = videoId ? catalog.get(videoId) : null;
+  if (!record || record.missing) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+  if (record.visibility === 'private') {
+    return res.status(401).json({ error: 'This video is private' });
+  }
+  
+  const maxWidth = parseInt(req.query.maxwidth, 10);
+  const maxHeight = parseInt(req.query.maxheight, 10);
+  const size = fitEmbedSize(record.width, record.height, maxWidth, maxHeight);
+  const owner = record.ownerId ? users.get(record.ownerId) : null;
+  const response = {
+    version: '1.0',
+    type: 'video',
+    provider_name: SITE_NAME,
+    provider_url: `${base}/`,
+    title: record.title,
+    html: embedIframe(`${base}/embed/${record.id}`, size.width, size.height, record.title),
+    width: size.width,
+    height: size.height
+  };
+  if (owner) {
+    response.author_name = owner.username;
+  }
+  
+  // The thumbnail has to fit maxwidth and maxheight too, so offer the largest
+  // stored width that does; without known sizes it is left out
+  const entry = findPoster(record);
+  const thumbnail = entry ? [...entry.widths]
+    .sort((a, b) => b - a)
+    .map(width => ({ width, size: thumbnailSize(entry, width) }))
+    .find(({ size }) => size && !(size.width > maxWidth) && !(size.height > maxHeight)) : null;
+  if (thumbnail) {
+    response.thumbnail_url = `${base}/thumbnail/${record.id}?width=${thumbnail.width}`;
+    response.thumbnail_width = thumbnail.size.width;
+    response.thumbnail_height = thumbnail.size.height;
+  }
+  
+  res.json(response);
+});
+
 // Export for Vercel
 module.exports = app;
\ No newline at end of file